@@ -19,6 +19,9 @@ namespace RetailDecomposed.Data
         public DbSet<Order> Orders => Set<Order>();
         public DbSet<OrderLine> OrderLines => Set<OrderLine>();
 
+        public DbSet<ChatConversation> ChatConversations => Set<ChatConversation>();
+        public DbSet<ChatConversationMessage> ChatConversationMessages => Set<ChatConversationMessage>();
+
         // Data Protection Keys for shared authentication across pods
         public DbSet<DataProtectionKey> DataProtectionKeys => Set<DataProtectionKey>();
 
@@ -36,6 +39,11 @@ namespace RetailDecomposed.Data
             
             b.Entity<Order>().Property(o => o.Total).HasPrecision(18, 2);
             b.Entity<OrderLine>().Property(o => o.UnitPrice).HasPrecision(18, 2);
+
+            b.Entity<ChatConversation>().HasIndex(c => c.CustomerId);
+            b.Entity<ChatConversation>().Property(c => c.CustomerId).HasMaxLength(256);
+            b.Entity<ChatConversation>().Property(c => c.Title).HasMaxLength(ChatConversation.MaxTitleLength);
+            b.Entity<ChatConversationMessage>().Property(m => m.Role).HasMaxLength(16);
         }
 
         public static async Task SeedAsync(AppDbContext db)
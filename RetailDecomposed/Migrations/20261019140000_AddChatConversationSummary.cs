@@ -0,0 +1,39 @@
+﻿using Microsoft.EntityFrameworkCore.Migrations;
+
+#nullable disable
+
+namespace RetailDecomposed.Migrations
+{
+    /// <inheritdoc />
+    public partial class AddChatConversationSummary : Migration
+    {
+        /// <inheritdoc />
+        protected override void Up(MigrationBuilder migrationBuilder)
+        {
+            migrationBuilder.AddColumn<int>(
+                name: "SummarizedMessageCount",
+                table: "ChatConversations",
+                type: "int",
+                nullable: false,
+                defaultValue: 0);
+
+            migrationBuilder.AddColumn<string>(
+                name: "Summary",
+                table: "ChatConversations",
+                type: "nvarchar(max)",
+                nullable: true);
+        }
+
+        /// <inheritdoc />
+        protected override void Down(MigrationBuilder migrationBuilder)
+        {
+            migrationBuilder.DropColumn(
+                name: "SummarizedMessageCount",
+                table: "ChatConversations");
+
+            migrationBuilder.DropColumn(
+                name: "Summary",
+                table: "ChatConversations");
+        }
+    }
+}
@@ -91,6 +91,73 @@ namespace RetailDecomposed.Migrations
                     b.ToTable("CartLines");
                 });
 
+            modelBuilder.Entity("RetailDecomposed.Models.ChatConversation", b =>
+                {
+                    b.Property<int>("Id")
+                        .ValueGeneratedOnAdd()
+                        .HasColumnType("int");
+
+                    SqlServerPropertyBuilderExtensions.UseIdentityColumn(b.Property<int>("Id"));
+
+                    b.Property<DateTime>("CreatedUtc")
+                        .HasColumnType("datetime2");
+
+                    b.Property<string>("CustomerId")
+                        .IsRequired()
+                        .HasMaxLength(256)
+                        .HasColumnType("nvarchar(256)");
+
+                    b.Property<int>("SummarizedMessageCount")
+                        .HasColumnType("int");
+
+                    b.Property<string>("Summary")
+                        .HasColumnType("nvarchar(max)");
+
+                    b.Property<string>("Title")
+                        .IsRequired()
+                        .HasMaxLength(100)
+                        .HasColumnType("nvarchar(100)");
+
+                    b.Property<DateTime>("UpdatedUtc")
+                        .HasColumnType("datetime2");
+
+                    b.HasKey("Id");
+
+                    b.HasIndex("CustomerId");
+
+                    b.ToTable("ChatConversations");
+                });
+
+            modelBuilder.Entity("RetailDecomposed.Models.ChatConversationMessage", b =>
+                {
+                    b.Property<int>("Id")
+                        .ValueGeneratedOnAdd()
+                        .HasColumnType("int");
+
+                    SqlServerPropertyBuilderExtensions.UseIdentityColumn(b.Property<int>("Id"));
+
+                    b.Property<string>("Content")
+                        .IsRequired()
+                        .HasColumnType("nvarchar(max)");
+
+                    b.Property<int>("ConversationId")
+                        .HasColumnType("int");
+
+                    b.Property<DateTime>("CreatedUtc")
+                        .HasColumnType("datetime2");
+
+                    b.Property<string>("Role")
+                        .IsRequired()
+                        .HasMaxLength(16)
+                        .HasColumnType("nvarchar(16)");
+
+                    b.HasKey("Id");
+
+                    b.HasIndex("ConversationId");
+
+                    b.ToTable("ChatConversationMessages");
+                });
+
             modelBuilder.Entity("RetailDecomposed.Models.InventoryItem", b =>
                 {
                     b.Property<int>("Id")
@@ -227,6 +294,17 @@ namespace RetailDecomposed.Migrations
                     b.Navigation("Cart");
                 });
 
+            modelBuilder.Entity("RetailDecomposed.Models.ChatConversationMessage", b =>
+                {
+                    b.HasOne("RetailDecomposed.Models.ChatConversation", "Conversation")
+                        .WithMany("Messages")
+                        .HasForeignKey("ConversationId")
+                        .OnDelete(DeleteBehavior.Cascade)
+                        .IsRequired();
+
+                    b.Navigation("Conversation");
+                });
+
             modelBuilder.Entity("RetailDecomposed.Models.OrderLine", b =>
                 {
                     b.HasOne("RetailDecomposed.Models.Order", "Order")
@@ -243,6 +321,11 @@ namespace RetailDecomposed.Migrations
                     b.Navigation("Lines");
                 });
 
+            modelBuilder.Entity("RetailDecomposed.Models.ChatConversation", b =>
+                {
+                    b.Navigation("Messages");
+                });
+
             modelBuilder.Entity("RetailDecomposed.Models.Order", b =>
                 {
                     b.Navigation("Lines");
@@ -0,0 +1,29 @@
+namespace RetailDecomposed.Models
+{
+    public class ChatConversation
+    {
+        public int Id { get; set; }
+        public string CustomerId { get; set; } = default!;
+        public string Title { get; set; } = DefaultTitle;
+        public DateTime CreatedUtc { get; set; } = DateTime.UtcNow;
+        public DateTime UpdatedUtc { get; set; } = DateTime.UtcNow;
+        public List<ChatConversationMessage> Messages { get; set; } = new();
+
+        // Rolling summary of the oldest messages, sent to the model in their place
+        public string? Summary { get; set; }
+        public int SummarizedMessageCount { get; set; }
+
+        public const string DefaultTitle = "New conversation";
+        public const int MaxTitleLength = 100;
+    }
+
+    public class ChatConversationMessage
+    {
+        public int Id { get; set; }
+        public int ConversationId { get; set; }
+        public ChatConversation? Conversation { get; set; }
+        public string Role { get; set; } = default!; // user|assistant
+        public string Content { get; set; } = default!;
+        public DateTime CreatedUtc { get; set; } = DateTime.UtcNow;
+    }
+}
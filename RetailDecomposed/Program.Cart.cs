@@ -67,10 +67,49 @@ app.MapPost("/api/cart/{customerId}/items", async (string customerId, int produc
     return Results.Ok(new { message = "Item added to cart" });
 });
 
-app.MapDelete("/api/cart/{customerId}/items/{sku}", async (string customerId, string sku, ICartService cart) =>
+app.MapPost("/api/cart/{customerId}/items/batch", async (string customerId, CartBatchRequest request, ICartService cart, CancellationToken ct) =>
 {
-    await cart.RemoveFromCartAsync(customerId, sku);
-    return Results.Ok(new { message = "Item removed from cart" });
+    if (request.Items is not { Count: > 0 })
+        return Results.BadRequest(new { error = "At least one item is required" });
+    if (request.Items.Count > CartBatchRequest.MaxItems)
+        return Results.BadRequest(new { error = $"At most {CartBatchRequest.MaxItems} items can be added at once" });
+    if (!CartBatchModes.IsValid(request.Mode))
+        return Results.BadRequest(new { error = $"Mode must be {CartBatchModes.AllOrNothing} or {CartBatchModes.BestEffort}" });
+    var tooMany = request.Items.Where(item => item.Quantity > CartQuantityRequest.MaxQuantity).ToList();
+    if (tooMany.Count > 0)
+        return Results.BadRequest(new { error = $"At most {CartQuantityRequest.MaxQuantity} of each product can be added", items = tooMany });
+    var duplicates = request.Items.GroupBy(item => item.ProductId).Where(group => group.Count() > 1).Select(group => group.Key).ToList();
+    if (duplicates.Count > 0)
+        return Results.BadRequest(new { error = "Each product can only be listed once", productIds = duplicates });
+
+    var mode = request.Mode ?? CartBatchModes.AllOrNothing;
+    var result = await cart.AddItemsAsync(customerId, request.Items, mode, ct);
+    return result.Success || mode == CartBatchModes.BestEffort ? Results.Ok(result) : Results.UnprocessableEntity(result);
+});
+
+app.MapDelete("/api/cart/{customerId}/items/{sku}", async (string customerId, string sku, int? quantity, ICartService cart) =>
+{
+    if (quantity is null)
+    {
+        await cart.RemoveFromCartAsync(customerId, sku);
+        return Results.Ok(new { message = "Item removed from cart" });
+    }
+    if (quantity < 1)
+        return Results.BadRequest(new { error = "Quantity must be at least 1" });
+
+    await cart.RemoveQuantityFromCartAsync(customerId, sku, quantity.Value);
+    return Results.Ok(new { message = "Quantity removed from cart" });
+});
+
+app.MapPatch("/api/cart/{customerId}/items/{sku}", async (string customerId, string sku, CartQuantityRequest request, ICartService cart, CancellationToken ct) =>
+{
+    if (request.Quantity is not (>= 1 and <= CartQuantityRequest.MaxQuantity))
+        return Results.BadRequest(new { error = $"Quantity must be between 1 and {CartQuantityRequest.MaxQuantity}" });
+
+    if (!await cart.UpdateQuantityAsync(customerId, sku, request.Quantity.Value, ct))
+        return Results.NotFound(new { error = "Item is not in the cart" });
+
+    return Results.Ok(await cart.GetCartWithLinesAsync(customerId, ct));
 });
 
 app.MapDelete("/api/cart/{customerId}", async (string customerId, ICartService cart) =>
@@ -93,7 +132,9 @@ Console.WriteLine("  API Endpoints:");
 Console.WriteLine("  ├─ GET    /health                         → Health check");
 Console.WriteLine("  ├─ GET    /api/cart/{customerId}          → Get cart");
 Console.WriteLine("  ├─ POST   /api/cart/{customerId}/items    → Add item");
-Console.WriteLine("  ├─ DELETE /api/cart/{customerId}/items/{sku} → Remove item");
+Console.WriteLine("  ├─ POST   /api/cart/{customerId}/items/batch → Add several items");
+Console.WriteLine("  ├─ PATCH  /api/cart/{customerId}/items/{sku} → Set item quantity");
+Console.WriteLine("  ├─ DELETE /api/cart/{customerId}/items/{sku} → Remove item (?quantity=n removes n)");
 Console.WriteLine("  └─ DELETE /api/cart/{customerId}          → Clear cart");
 Console.WriteLine("\n  Dependencies:");
 Console.WriteLine($"  └─ Products Service: {productsServiceUrl}");
@@ -70,6 +70,16 @@ app.MapGet("/api/products/category/{category}", async (string category, AppDbCon
     return Results.Ok(products);
 });
 
+// Stock for several SKUs at once, e.g. ?skus=RUN-001&skus=TENT-001. SKUs without an inventory record have none
+app.MapGet("/api/products/stock", async (string[] skus, AppDbContext db, CancellationToken ct) =>
+{
+    var wanted = skus.Distinct().ToList();
+    var stocked = await db.Inventory
+        .Where(i => wanted.Contains(i.Sku))
+        .ToDictionaryAsync(i => i.Sku, i => i.Quantity, ct);
+    return Results.Ok(wanted.ToDictionary(sku => sku, sku => stocked.GetValueOrDefault(sku)));
+});
+
 // Display service info
 var urls = app.Urls.FirstOrDefault() ?? "http://localhost:8081";
 Console.WriteLine("\n" + new string('=', 60));
@@ -84,7 +94,8 @@ Console.WriteLine("  API Endpoints:");
 Console.WriteLine("  ├─ GET  /health                        → Health check");
 Console.WriteLine("  ├─ GET  /api/products                  → List all products");
 Console.WriteLine("  ├─ GET  /api/products/{id}             → Get product by ID");
-Console.WriteLine("  └─ GET  /api/products/category/{name}  → Filter by category");
+Console.WriteLine("  ├─ GET  /api/products/category/{name}  → Filter by category");
+Console.WriteLine("  └─ GET  /api/products/stock?skus=...   → Stock for SKUs");
 Console.WriteLine("\n" + new string('=', 60) + "\n");
 
 app.Run();
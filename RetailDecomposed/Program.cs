@@ -1,4 +1,4 @@
-using Microsoft.AspNetCore.Authentication;
+﻿using Microsoft.AspNetCore.Authentication;
 using Microsoft.AspNetCore.Authentication.OpenIdConnect;
 using Microsoft.EntityFrameworkCore;
 using Microsoft.Identity.Web;
@@ -7,6 +7,7 @@ using RetailDecomposed.Data;
 using RetailDecomposed.Services;
 using System.Security.Claims;
 using System.Text.Encodings.Web;
+using System.Text.Json;
 using System.Text.Json.Serialization;
 using Azure.Monitor.OpenTelemetry.AspNetCore;
 using OpenTelemetry.Trace;
@@ -212,6 +213,22 @@ static HttpMessageHandler CreateHttpMessageHandler(bool isDevelopment)
     return handler;
 }
 
+// Picks the model behind the copilot from ChatModel:Provider (AzureOpenAI when not set)
+static IChatModelProvider CreateChatModelProvider(IServiceProvider services)
+{
+    var configuration = services.GetRequiredService<IConfiguration>();
+    var provider = configuration["ChatModel:Provider"];
+
+    return provider switch
+    {
+        null or "" or ChatModelProviders.AzureOpenAI => ActivatorUtilities.CreateInstance<AzureOpenAIChatModelProvider>(services),
+        ChatModelProviders.OpenAICompatible => ActivatorUtilities.CreateInstance<OpenAICompatibleChatModelProvider>(services),
+        ChatModelProviders.Fake => ActivatorUtilities.CreateInstance<FakeChatModelProvider>(services),
+        _ => throw new InvalidOperationException(
+            $"Unknown ChatModel:Provider '{provider}'. Use {ChatModelProviders.AzureOpenAI}, {ChatModelProviders.OpenAICompatible} or {ChatModelProviders.Fake}.")
+    };
+}
+
 // Get service URLs from configuration
 var productsServiceUrl = builder.Configuration["ProductsServiceUrl"] ?? "http://localhost:8081";
 var cartServiceUrl = builder.Configuration["CartServiceUrl"] ?? "http://localhost:8082";
@@ -248,8 +265,14 @@ builder.Services.AddHttpClient<ICheckoutApiClient, CheckoutApiClient>(client =>
 .ConfigurePrimaryHttpMessageHandler(() => CreateHttpMessageHandler(builder.Environment.IsDevelopment()));
 
 // Register AI services (Copilot and Semantic Search)
+builder.Services.AddSingleton<IChatModelProvider>(CreateChatModelProvider);
 builder.Services.AddScoped<ICopilotService, CopilotService>();
-builder.Services.AddScoped<ISemanticSearchService, SemanticSearchService>();
+builder.Services.AddScoped<ISemanticSearchService>(SemanticSearchServiceFactory.Create);
+builder.Services.AddSingleton<LocalProductVectorIndex>();
+builder.Services.AddScoped<IChatConversationService, ChatConversationService>();
+builder.Services.AddScoped<IChatHistoryService, ChatHistoryService>();
+builder.Services.AddSingleton(TimeProvider.System);
+builder.Services.AddSingleton<IChatQuotaService, ChatQuotaService>();
 
 // Register services for local API endpoints (used in testing and local development)
 builder.Services.AddScoped<ICartService, CartService>();
@@ -327,6 +350,16 @@ app.MapGet("/api/products/category/{category}", async (string category, AppDbCon
     return Results.Ok(products);
 });
 
+// Stock for several SKUs at once, e.g. ?skus=RUN-001&skus=TENT-001. SKUs without an inventory record have none
+app.MapGet("/api/products/stock", async (string[] skus, AppDbContext db, CancellationToken ct) =>
+{
+    var wanted = skus.Distinct().ToList();
+    var stocked = await db.Inventory
+        .Where(i => wanted.Contains(i.Sku))
+        .ToDictionaryAsync(i => i.Sku, i => i.Quantity, ct);
+    return Results.Ok(wanted.ToDictionary(sku => sku, sku => stocked.GetValueOrDefault(sku)));
+});
+
 // Cart API endpoints (require authentication and user match)
 app.MapGet("/api/cart/{customerId}", async (string customerId, ICartService cart, HttpContext context) =>
 {
@@ -354,7 +387,8 @@ app.MapPost("/api/cart/{customerId}/items", async (string customerId, int produc
     return Results.Ok(new { message = "Item added to cart" });
 });
 
-app.MapDelete("/api/cart/{customerId}/items/{sku}", async (string customerId, string sku, ICartService cart, HttpContext context) =>
+// Adds several products in one change; all-or-nothing mode adds nothing unless every item can be added
+app.MapPost("/api/cart/{customerId}/items/batch", async (string customerId, CartBatchRequest request, ICartService cart, HttpContext context) =>
 {
     if (context.User.Identity?.IsAuthenticated != true)
         return Results.Unauthorized();
@@ -362,9 +396,66 @@ app.MapDelete("/api/cart/{customerId}/items/{sku}", async (string customerId, st
     var userId = context.User.Identity?.Name;
     if (userId != customerId)
         return Results.Forbid();
+
+    if (request.Items is not { Count: > 0 })
+        return Results.BadRequest(new { error = "At least one item is required" });
+    if (request.Items.Count > CartBatchRequest.MaxItems)
+        return Results.BadRequest(new { error = $"At most {CartBatchRequest.MaxItems} items can be added at once" });
+    if (!CartBatchModes.IsValid(request.Mode))
+        return Results.BadRequest(new { error = $"Mode must be {CartBatchModes.AllOrNothing} or {CartBatchModes.BestEffort}" });
+    var tooMany = request.Items.Where(item => item.Quantity > CartQuantityRequest.MaxQuantity).ToList();
+    if (tooMany.Count > 0)
+        return Results.BadRequest(new { error = $"At most {CartQuantityRequest.MaxQuantity} of each product can be added", items = tooMany });
+    var duplicates = request.Items.GroupBy(item => item.ProductId).Where(group => group.Count() > 1).Select(group => group.Key).ToList();
+    if (duplicates.Count > 0)
+        return Results.BadRequest(new { error = "Each product can only be listed once", productIds = duplicates });
+
+    var mode = request.Mode ?? CartBatchModes.AllOrNothing;
+    var result = await cart.AddItemsAsync(customerId, request.Items, mode, context.RequestAborted);
+
+    // A rejected all-or-nothing batch still lists why each item could or couldn't be added
+    return result.Success || mode == CartBatchModes.BestEffort ? Results.Ok(result) : Results.UnprocessableEntity(result);
+});
+
+// Removes the whole line, or with ?quantity=n takes n off it (how the chat undoes an add)
+app.MapDelete("/api/cart/{customerId}/items/{sku}", async (string customerId, string sku, int? quantity, ICartService cart, HttpContext context) =>
+{
+    if (context.User.Identity?.IsAuthenticated != true)
+        return Results.Unauthorized();
     
-    await cart.RemoveFromCartAsync(customerId, sku);
-    return Results.Ok(new { message = "Item removed from cart" });
+    var userId = context.User.Identity?.Name;
+    if (userId != customerId)
+        return Results.Forbid();
+
+    if (quantity is null)
+    {
+        await cart.RemoveFromCartAsync(customerId, sku);
+        return Results.Ok(new { message = "Item removed from cart" });
+    }
+    if (quantity < 1)
+        return Results.BadRequest(new { error = "Quantity must be at least 1" });
+
+    await cart.RemoveQuantityFromCartAsync(customerId, sku, quantity.Value);
+    return Results.Ok(new { message = "Quantity removed from cart" });
+});
+
+// Sets a line's quantity and returns the updated cart, so the caller can show the new totals
+app.MapPatch("/api/cart/{customerId}/items/{sku}", async (string customerId, string sku, CartQuantityRequest request, ICartService cart, HttpContext context) =>
+{
+    if (context.User.Identity?.IsAuthenticated != true)
+        return Results.Unauthorized();
+    
+    var userId = context.User.Identity?.Name;
+    if (userId != customerId)
+        return Results.Forbid();
+
+    if (request.Quantity is not (>= 1 and <= CartQuantityRequest.MaxQuantity))
+        return Results.BadRequest(new { error = $"Quantity must be between 1 and {CartQuantityRequest.MaxQuantity}" });
+
+    if (!await cart.UpdateQuantityAsync(customerId, sku, request.Quantity.Value, context.RequestAborted))
+        return Results.NotFound(new { error = "Item is not in the cart" });
+
+    return Results.Ok(await cart.GetCartWithLinesAsync(customerId, context.RequestAborted));
 });
 
 app.MapDelete("/api/cart/{customerId}", async (string customerId, ICartService cart, HttpContext context) =>
@@ -429,18 +520,50 @@ app.MapPost("/api/checkout", async (CheckoutRequest request, ICheckoutService ch
 });
 
 // Chat/Copilot API endpoint
-app.MapPost("/api/chat", async (ChatApiRequest request, ICopilotService copilotService, HttpContext context) =>
+app.MapPost("/api/chat", async (ChatApiRequest request, ICopilotService copilotService, IChatConversationService conversations, IChatHistoryService chatHistory, IChatQuotaService quota, HttpContext context) =>
 {
     if (context.User.Identity?.IsAuthenticated != true)
         return Results.Unauthorized();
     
     if (string.IsNullOrWhiteSpace(request.Message))
         return Results.BadRequest(new { error = "Message cannot be empty" });
-    
+
+    var customerId = context.User.Identity!.Name!;
+    ChatHistory? storedHistory = null;
     try
     {
-        var response = await copilotService.GetChatResponseAsync(request.Message, request.ConversationHistory);
-        return Results.Ok(new { response });
+        RetailDecomposed.Models.ChatConversation? conversation = null;
+        if (request.ConversationId is int conversationId)
+        {
+            conversation = await conversations.GetConversationAsync(conversationId, customerId, context.RequestAborted);
+            if (conversation is null)
+                return Results.NotFound(new { error = "Conversation not found" });
+        }
+
+        var decision = quota.TryStartRequest(customerId);
+        if (!decision.Allowed)
+            return ChatQuotaExceeded(context, decision);
+
+        // Summarizing calls the model too, so it only happens once the request is within quota
+        storedHistory = conversation is null ? null : await chatHistory.GetHistoryAsync(conversation, context.RequestAborted);
+        var history = storedHistory?.Messages ?? ClientChatHistory(request.ConversationHistory);
+
+        var result = await copilotService.GetChatResponseAsync(request.Message, history, customerId, request.PageContext, context.RequestAborted);
+        var quotaStatus = quota.RecordUsage(customerId, (result.Usage?.TotalTokens ?? 0) + (storedHistory?.SummaryUsage?.TotalTokens ?? 0));
+
+        if (request.ConversationId is int savedConversationId)
+        {
+            await conversations.AddMessagesAsync(savedConversationId, customerId, CreateExchange(request.Message, result.Content), context.RequestAborted);
+        }
+
+        return Results.Ok(new { response = result.Content, usage = result.Usage, actions = result.Actions, proposedActions = result.ProposedActions, suggestions = result.Suggestions, quota = quotaStatus, conversationId = request.ConversationId, historySummarized = storedHistory?.Summarized });
+    }
+    catch (OperationCanceledException ex) when (context.RequestAborted.IsCancellationRequested)
+    {
+        // The user stopped the response; the model call has been cancelled and the exchange is not saved,
+        // but the tokens spent before the stop still count
+        quota.RecordUsage(customerId, TokensSpentBeforeCancel(ex, request.Message, string.Empty) + (storedHistory?.SummaryUsage?.TotalTokens ?? 0));
+        return Results.Empty;
     }
     catch (Exception ex)
     {
@@ -448,6 +571,247 @@ app.MapPost("/api/chat", async (ChatApiRequest request, ICopilotService copilotS
     }
 });
 
+// Streaming Chat/Copilot API endpoint (Server-Sent Events)
+app.MapPost("/api/chat/stream", async (ChatApiRequest request, ICopilotService copilotService, IChatConversationService conversations, IChatHistoryService chatHistory, IChatQuotaService quota, ILogger<Program> logger, HttpContext context) =>
+{
+    if (context.User.Identity?.IsAuthenticated != true)
+        return Results.Unauthorized();
+    
+    if (string.IsNullOrWhiteSpace(request.Message))
+        return Results.BadRequest(new { error = "Message cannot be empty" });
+
+    var customerId = context.User.Identity!.Name!;
+    RetailDecomposed.Models.ChatConversation? conversation = null;
+    if (request.ConversationId is int conversationId)
+    {
+        conversation = await conversations.GetConversationAsync(conversationId, customerId, context.RequestAborted);
+        if (conversation is null)
+            return Results.NotFound(new { error = "Conversation not found" });
+    }
+
+    var decision = quota.TryStartRequest(customerId);
+    if (!decision.Allowed)
+        return ChatQuotaExceeded(context, decision);
+
+    ChatHistory? storedHistory;
+    try
+    {
+        storedHistory = conversation is null ? null : await chatHistory.GetHistoryAsync(conversation, context.RequestAborted);
+    }
+    catch (OperationCanceledException) when (context.RequestAborted.IsCancellationRequested)
+    {
+        return Results.Empty;
+    }
+    var history = storedHistory?.Messages ?? ClientChatHistory(request.ConversationHistory);
+
+    context.Response.ContentType = "text/event-stream";
+    context.Response.Headers.CacheControl = "no-cache";
+    // Stop the ingress from buffering the response so chunks reach the browser as they are generated
+    context.Response.Headers["X-Accel-Buffering"] = "no";
+
+    var response = new System.Text.StringBuilder();
+    CopilotTokenUsage? usage = null;
+    List<CopilotChatAction>? actions = null;
+    List<CopilotProposedAction>? proposedActions = null;
+    List<string>? suggestions = null;
+    string? correctedContent = null;
+    var usageRecorded = false;
+    try
+    {
+        await foreach (var update in copilotService.StreamChatResponseAsync(request.Message, history, customerId, request.PageContext, context.RequestAborted))
+        {
+            usage = update.Usage ?? usage;
+            actions = update.Actions ?? actions;
+            proposedActions = update.ProposedActions ?? proposedActions;
+            suggestions = update.Suggestions ?? suggestions;
+            correctedContent = update.CorrectedContent ?? correctedContent;
+            if (string.IsNullOrEmpty(update.Content))
+                continue;
+
+            response.Append(update.Content);
+            await WriteServerSentEventAsync(context.Response, "delta", new { content = update.Content }, context.RequestAborted);
+        }
+
+        var quotaStatus = quota.RecordUsage(customerId, (usage?.TotalTokens ?? 0) + (storedHistory?.SummaryUsage?.TotalTokens ?? 0));
+        usageRecorded = true;
+
+        if (request.ConversationId is int savedConversationId)
+        {
+            await conversations.AddMessagesAsync(savedConversationId, customerId, CreateExchange(request.Message, correctedContent ?? response.ToString()), context.RequestAborted);
+        }
+
+        // content is only sent when the catalog checks or the removal of follow-up tags changed what was streamed; the client re-renders with it
+        await WriteServerSentEventAsync(context.Response, "done", new { conversationId = request.ConversationId, usage, actions, proposedActions, suggestions, content = correctedContent, quota = quotaStatus, historySummarized = storedHistory?.Summarized }, context.RequestAborted);
+    }
+    catch (OperationCanceledException ex) when (context.RequestAborted.IsCancellationRequested)
+    {
+        // The user stopped the response (or closed the page); the model call has been cancelled
+        // and the partial exchange is not saved, but the tokens spent before the stop still count
+        if (!usageRecorded)
+            quota.RecordUsage(customerId, TokensSpentBeforeCancel(ex, request.Message, response.ToString()) + (storedHistory?.SummaryUsage?.TotalTokens ?? 0));
+    }
+    catch (Exception ex)
+    {
+        // The headers are already sent, so the failure goes to the client as an error event instead of a 500.
+        // As with a stop, the tokens spent so far still count
+        logger.LogError(ex, "Streaming chat response failed");
+        if (!usageRecorded)
+            quota.RecordUsage(customerId, (usage?.TotalTokens ?? CopilotTokenUsage.Estimate(request.Message.Length, response.Length).TotalTokens) + (storedHistory?.SummaryUsage?.TotalTokens ?? 0));
+        await WriteServerSentEventAsync(context.Response, "error", new { error = ex.Message }, context.RequestAborted);
+    }
+    return Results.Empty;
+});
+
+// Remaining chat budget for the signed-in user
+app.MapGet("/api/chat/quota", (IChatQuotaService quota, HttpContext context) =>
+{
+    if (context.User.Identity?.IsAuthenticated != true)
+        return Results.Unauthorized();
+
+    return Results.Ok(quota.GetStatus(context.User.Identity!.Name!));
+});
+
+// Rejects a chat request with 429 Too Many Requests and a Retry-After header
+static IResult ChatQuotaExceeded(HttpContext context, ChatQuotaDecision decision)
+{
+    var retryAfterSeconds = Math.Max(1, (int)Math.Ceiling(decision.RetryAfter?.TotalSeconds ?? 60));
+    context.Response.Headers.RetryAfter = retryAfterSeconds.ToString(System.Globalization.CultureInfo.InvariantCulture);
+
+    var error = decision.ExceededLimit == ChatQuotaLimits.TokensPerDay
+        ? "Daily chat token budget reached"
+        : "Too many chat requests";
+
+    return Results.Json(new
+    {
+        error,
+        limit = decision.ExceededLimit,
+        retryAfterSeconds,
+        resetsAtUtc = decision.RetryAtUtc,
+        quota = decision.Status
+    }, statusCode: StatusCodes.Status429TooManyRequests);
+}
+
+// Chat conversation history API endpoints (scoped to the signed-in user)
+app.MapGet("/api/chat/conversations", async (IChatConversationService conversations, HttpContext context) =>
+{
+    if (context.User.Identity?.IsAuthenticated != true)
+        return Results.Unauthorized();
+
+    var list = await conversations.GetConversationsAsync(context.User.Identity!.Name!);
+    return Results.Ok(list.Select(ToConversationSummary));
+});
+
+app.MapGet("/api/chat/conversations/{id}", async (int id, IChatConversationService conversations, HttpContext context) =>
+{
+    if (context.User.Identity?.IsAuthenticated != true)
+        return Results.Unauthorized();
+
+    var conversation = await conversations.GetConversationAsync(id, context.User.Identity!.Name!);
+    if (conversation is null)
+        return Results.NotFound();
+
+    return Results.Ok(new
+    {
+        conversation.Id,
+        conversation.Title,
+        conversation.CreatedUtc,
+        conversation.UpdatedUtc,
+        // The first SummarizedMessageCount messages reach the model only through the conversation's summary
+        conversation.SummarizedMessageCount,
+        Messages = conversation.Messages.Select(m => new { m.Role, m.Content, m.CreatedUtc })
+    });
+});
+
+app.MapPost("/api/chat/conversations", async (CreateConversationRequest? request, IChatConversationService conversations, HttpContext context) =>
+{
+    if (context.User.Identity?.IsAuthenticated != true)
+        return Results.Unauthorized();
+
+    var conversation = await conversations.CreateConversationAsync(context.User.Identity!.Name!, request?.Title);
+    return Results.Created($"/api/chat/conversations/{conversation.Id}", ToConversationSummary(conversation));
+});
+
+app.MapPatch("/api/chat/conversations/{id}", async (int id, RenameConversationRequest request, IChatConversationService conversations, HttpContext context) =>
+{
+    if (context.User.Identity?.IsAuthenticated != true)
+        return Results.Unauthorized();
+
+    if (string.IsNullOrWhiteSpace(request.Title))
+        return Results.BadRequest(new { error = "Title cannot be empty" });
+
+    var renamed = await conversations.RenameConversationAsync(id, context.User.Identity!.Name!, request.Title);
+    return renamed ? Results.Ok(new { message = "Conversation renamed" }) : Results.NotFound();
+});
+
+app.MapDelete("/api/chat/conversations/{id}", async (int id, IChatConversationService conversations, HttpContext context) =>
+{
+    if (context.User.Identity?.IsAuthenticated != true)
+        return Results.Unauthorized();
+
+    var deleted = await conversations.DeleteConversationAsync(id, context.User.Identity!.Name!);
+    return deleted ? Results.Ok(new { message = "Conversation deleted" }) : Results.NotFound();
+});
+
+// Records an order placed from the chat so follow-up questions can refer to it. The note is written here from the
+// stored order: only the server writes assistant turns
+app.MapPost("/api/chat/conversations/{id}/orders", async (int id, ChatOrderNoteRequest request, IOrdersApiClient orders, IChatConversationService conversations, HttpContext context) =>
+{
+    if (context.User.Identity?.IsAuthenticated != true)
+        return Results.Unauthorized();
+
+    var customerId = context.User.Identity!.Name!;
+
+    // Someone else's order is reported as missing rather than forbidden
+    var order = await orders.GetOrderByIdAsync(request.OrderId, context.RequestAborted);
+    if (order is null || order.CustomerId != customerId)
+        return Results.NotFound(new { error = "Order not found" });
+
+    var note = new ChatMessage { Role = "assistant", Content = OrderNote(order) };
+    var added = await conversations.AddMessagesAsync(id, customerId, new[] { note }, context.RequestAborted);
+    return added ? Results.Ok(new { message = "Order recorded" }) : Results.NotFound();
+});
+
+// History sent by the client is taken as it is, except that only the server writes conversation summaries
+static List<ChatMessage>? ClientChatHistory(List<ChatMessage>? history) =>
+    history?.Where(m => m.Role is "user" or "assistant").ToList();
+
+// The copilot reports what a cancelled response had cost so far; if the response was stopped anywhere else
+// (e.g. while a chunk was being written to the browser) the cost is estimated from the text instead
+static int TokensSpentBeforeCancel(OperationCanceledException ex, string message, string streamed) =>
+    ex is CopilotCancelledException cancelled
+        ? cancelled.Usage?.TotalTokens ?? 0
+        : CopilotTokenUsage.Estimate(message.Length, streamed.Length).TotalTokens;
+
+static ChatMessage[] CreateExchange(string userMessage, string assistantMessage) => new[]
+{
+    new ChatMessage { Role = "user", Content = userMessage },
+    new ChatMessage { Role = "assistant", Content = assistantMessage }
+};
+
+// Same wording as the confirmation the chat shows when the order is placed
+static string OrderNote(RetailDecomposed.Models.Order order) => order.Status == "Paid"
+    ? $"✅ Order #{order.Id} placed! Status: {order.Status}. Total: £{order.Total.ToString("#,0.00", System.Globalization.CultureInfo.InvariantCulture)}."
+    : $"⚠️ Order #{order.Id} was created but payment did not go through. Status: {order.Status}.";
+
+static object ToConversationSummary(RetailDecomposed.Models.ChatConversation conversation) => new
+{
+    conversation.Id,
+    conversation.Title,
+    conversation.CreatedUtc,
+    conversation.UpdatedUtc
+};
+
+// Writes a single Server-Sent Event and flushes it to the client
+static async Task WriteServerSentEventAsync(HttpResponse response, string eventName, object payload, CancellationToken ct)
+{
+    // Same serializer settings as the JSON endpoints (camelCase, nulls omitted)
+    var jsonOptions = response.HttpContext.RequestServices
+        .GetRequiredService<Microsoft.Extensions.Options.IOptions<Microsoft.AspNetCore.Http.Json.JsonOptions>>().Value.SerializerOptions;
+    var data = JsonSerializer.Serialize(payload, jsonOptions);
+    await response.WriteAsync($"event: {eventName}\ndata: {data}\n\n", ct);
+    await response.Body.FlushAsync(ct);
+}
+
 // ============================================================================
 
 // Display service info
@@ -516,7 +880,13 @@ public class NoAuthHandler : AuthenticationHandler<AuthenticationSchemeOptions>
 // DTOs for API endpoints
 record CheckoutRequest(string CustomerId, string PaymentToken);
 
-record ChatApiRequest(string Message, List<RetailDecomposed.Services.ChatMessage>? ConversationHistory);
+record ChatApiRequest(string Message, List<RetailDecomposed.Services.ChatMessage>? ConversationHistory, int? ConversationId = null, ChatPageContext? PageContext = null);
+
+record CreateConversationRequest(string? Title);
+
+record RenameConversationRequest(string Title);
+
+record ChatOrderNoteRequest(int OrderId);
 
 // Make Program class accessible to test projects
 namespace RetailDecomposed
@@ -0,0 +1,36 @@
+using Azure.AI.OpenAI;
+using Azure.Identity;
+
+namespace RetailDecomposed.Services
+{
+    /// <summary>
+    /// Azure OpenAI deployment, authenticated with Entra ID (no API keys).
+    /// </summary>
+    public class AzureOpenAIChatModelProvider : OpenAIChatModelProvider
+    {
+        public AzureOpenAIChatModelProvider(IConfiguration configuration, ILogger<AzureOpenAIChatModelProvider> logger)
+            : base(CreateChatClient(configuration, logger), ChatModelProviders.AzureOpenAI, configuration["AzureAI:DeploymentName"] ?? "gpt-4o")
+        {
+        }
+
+        private static OpenAI.Chat.ChatClient CreateChatClient(IConfiguration configuration, ILogger logger)
+        {
+            var endpoint = configuration["AzureAI:Endpoint"]
+                ?? throw new InvalidOperationException("AzureAI:Endpoint must be configured");
+
+            var tenantId = configuration["AzureAI:TenantId"];
+
+            // Initialize client with Entra ID authentication with specified tenant
+            logger.LogInformation("Initializing Azure AI client with Entra ID authentication (Tenant: {TenantId})", tenantId ?? "default");
+
+            var credentialOptions = new DefaultAzureCredentialOptions();
+            if (!string.IsNullOrEmpty(tenantId))
+            {
+                credentialOptions.TenantId = tenantId;
+            }
+
+            var client = new AzureOpenAIClient(new Uri(endpoint), new DefaultAzureCredential(credentialOptions));
+            return client.GetChatClient(configuration["AzureAI:DeploymentName"] ?? "gpt-4o");
+        }
+    }
+}
@@ -21,6 +21,107 @@ namespace RetailDecomposed.Services
                 throw new InvalidOperationException("Invalid product ID");
             }
 
+            AddLine(cart, product, quantity);
+
+            await _db.SaveChangesAsync(ct);
+
+        }
+
+        public async Task<CartBatchResult> AddItemsAsync(string customerId, IReadOnlyList<CartBatchItem> items, string mode, CancellationToken ct = default)
+        {
+            var productIds = items.Select(item => item.ProductId).Distinct().ToList();
+            var products = await _db.Products
+                .Where(p => productIds.Contains(p.Id))
+                .ToDictionaryAsync(p => p.Id, ct);
+
+            // What is already in the cart counts towards each line's limit
+            var existingCart = await _db.Carts
+                .Include(c => c.Lines)
+                .OrderBy(c => c.Id)
+                .FirstOrDefaultAsync(c => c.CustomerId == customerId, ct);
+            var inCart = existingCart?.Lines
+                .GroupBy(line => line.Sku)
+                .ToDictionary(group => group.Key, group => group.Sum(line => line.Quantity))
+                ?? new Dictionary<string, int>();
+
+            var result = new CartBatchResult
+            {
+                Mode = mode,
+                Items = items.Select(item => CheckItem(item, products, inCart)).ToList()
+            };
+
+            // A product listed twice would be added twice past the per-line check, so only its first entry counts
+            foreach (var duplicate in result.Items.GroupBy(item => item.ProductId).SelectMany(group => group.Skip(1)))
+            {
+                duplicate.Status = CartBatchItemStatuses.Failed;
+                duplicate.Error = "Product is listed more than once";
+            }
+
+            var anyFailed = result.Items.Any(item => item.Status == CartBatchItemStatuses.Failed);
+            if (mode == CartBatchModes.AllOrNothing && anyFailed)
+            {
+                foreach (var item in result.Items.Where(item => item.Status == CartBatchItemStatuses.Added))
+                {
+                    item.Status = CartBatchItemStatuses.Skipped;
+                }
+                return result;
+            }
+
+            var added = result.Items.Where(item => item.Status == CartBatchItemStatuses.Added).ToList();
+            if (added.Count > 0)
+            {
+                var cart = existingCart ?? await GetOrCreateCartAsync(customerId, ct);
+                foreach (var item in added)
+                {
+                    AddLine(cart, products[item.ProductId], item.Quantity);
+                }
+
+                // One save, so the lines are written together or not at all
+                await _db.SaveChangesAsync(ct);
+            }
+
+            result.AddedCount = added.Count;
+            result.Success = !anyFailed;
+            return result;
+        }
+
+        private static CartBatchItemResult CheckItem(CartBatchItem item, Dictionary<int, Product> products, Dictionary<string, int> inCart)
+        {
+            var result = new CartBatchItemResult { ProductId = item.ProductId, Quantity = item.Quantity };
+            if (!products.TryGetValue(item.ProductId, out var product))
+            {
+                result.Status = CartBatchItemStatuses.Failed;
+                result.Error = "Product not found";
+                return result;
+            }
+
+            result.Sku = product.Sku;
+            result.Name = product.Name;
+            if (!product.IsActive)
+            {
+                result.Status = CartBatchItemStatuses.Failed;
+                result.Error = "Product is no longer available";
+            }
+            else if (item.Quantity < 1)
+            {
+                result.Status = CartBatchItemStatuses.Failed;
+                result.Error = "Quantity must be at least 1";
+            }
+            else if (item.Quantity > CartQuantityRequest.MaxQuantity)
+            {
+                result.Status = CartBatchItemStatuses.Failed;
+                result.Error = $"Quantity must be at most {CartQuantityRequest.MaxQuantity}";
+            }
+            else if (inCart.TryGetValue(product.Sku, out var current) && current + item.Quantity > CartQuantityRequest.MaxQuantity)
+            {
+                result.Status = CartBatchItemStatuses.Failed;
+                result.Error = $"The cart already has {current}; a line can hold at most {CartQuantityRequest.MaxQuantity}";
+            }
+            return result;
+        }
+
+        private static void AddLine(Cart cart, Product product, int quantity)
+        {
             //check if product already exists in cart
             var existing = cart.Lines.FirstOrDefault(line => line.Sku == product.Sku);
 
@@ -41,9 +142,6 @@ namespace RetailDecomposed.Services
                 };
                 cart.Lines.Add(line);
             }
-
-            await _db.SaveChangesAsync(ct);
-
         }
 
         public async Task ClearCartAsync(string customerId, CancellationToken ct = default)
@@ -73,6 +171,50 @@ namespace RetailDecomposed.Services
             }
         }
 
+        public async Task RemoveQuantityFromCartAsync(string customerId, string sku, int quantity, CancellationToken ct = default)
+        {
+            if (quantity < 1)
+            {
+                throw new ArgumentOutOfRangeException(nameof(quantity), "Quantity must be at least 1");
+            }
+
+            var cart = await _db.Carts
+                .Include(c => c.Lines)
+                .FirstOrDefaultAsync(c => c.CustomerId == customerId, ct);
+
+            var line = cart?.Lines.FirstOrDefault(l => l.Sku == sku);
+            if (line is null) return;
+
+            if (line.Quantity > quantity)
+            {
+                line.Quantity -= quantity;
+            }
+            else
+            {
+                cart!.Lines.Remove(line);
+            }
+            await _db.SaveChangesAsync(ct);
+        }
+
+        public async Task<bool> UpdateQuantityAsync(string customerId, string sku, int quantity, CancellationToken ct = default)
+        {
+            if (quantity < 1 || quantity > CartQuantityRequest.MaxQuantity)
+            {
+                throw new ArgumentOutOfRangeException(nameof(quantity), $"Quantity must be between 1 and {CartQuantityRequest.MaxQuantity}");
+            }
+
+            var cart = await _db.Carts
+                .Include(c => c.Lines)
+                .FirstOrDefaultAsync(c => c.CustomerId == customerId, ct);
+
+            var line = cart?.Lines.FirstOrDefault(l => l.Sku == sku);
+            if (line is null) return false;
+
+            line.Quantity = quantity;
+            await _db.SaveChangesAsync(ct);
+            return true;
+        }
+
         public async Task<Cart> GetCartWithLinesAsync(string customerId, CancellationToken ct = default)
         {
             //return cart if found otherwise return a new cart instance
@@ -0,0 +1,130 @@
+using System.Text.RegularExpressions;
+
+namespace RetailDecomposed.Services
+{
+    /// <summary>
+    /// Reads the interactive tags the copilot writes in its responses (e.g. [ADD_TO_CART:5:Dell XPS 13])
+    /// into typed actions, so clients do not have to parse them out of the text.
+    /// Cart tags may carry quantities: [ADD_TO_CART:5:Dell XPS 13:2] and [ADD_ALL_TO_CART:5x2,8,12x3].
+    /// </summary>
+    public static class ChatActionParser
+    {
+        // Same tags the chat clients understand (wwwroot/js/chat-markdown.js).
+        // A quantity follows the name, so the name is matched lazily to leave it out
+        internal static readonly Regex TagPattern = new(
+            @"\[(?<kind>PRODUCT|ADD_TO_CART|PLACE_ORDER):(?<id>\d+)(?::(?<name>[^\]\n]+?))?(?::(?<quantity>\d+))?\]" +
+            @"|\[(?<kind>ADD_ALL_TO_CART|ORDER_ALL):(?<ids>\d+(?:x\d+)?(?:\s*,\s*\d+(?:x\d+)?)*)\]" +
+            @"|\[(?<kind>NAVIGATE):(?<url>/[^\]:\s]*)(?::(?<name>[^\]\n]+))?\]",
+            RegexOptions.Compiled);
+
+        // Navigation is limited to the store's own pages
+        private static readonly Regex NavigablePath = new(
+            @"^/(?:(?:Products|Cart|Checkout|Orders|Search|Copilot)(?:/[\w-]+)*(?:\?[\w=&%.-]*)?)?$",
+            RegexOptions.Compiled | RegexOptions.IgnoreCase);
+
+        /// <summary>
+        /// Lists the actions in a response in the order they appear, without duplicates.
+        /// Malformed tags, quantities outside 1 to <see cref="CartQuantityRequest.MaxQuantity"/> and navigation outside the store are skipped.
+        /// </summary>
+        public static List<CopilotChatAction> Parse(string? text)
+        {
+            var actions = new List<CopilotChatAction>();
+            var seen = new HashSet<string>();
+
+            foreach (Match match in TagPattern.Matches(text ?? string.Empty))
+            {
+                var action = ToAction(match);
+                if (action is null)
+                {
+                    continue;
+                }
+
+                // The model often mentions the same product more than once in a response
+                var key = $"{action.Type}|{action.ProductId}|{action.Quantity}|{string.Join(',', action.ProductIds ?? new List<int>())}|{string.Join(',', action.Quantities ?? new List<int>())}|{action.Url}";
+                if (seen.Add(key))
+                {
+                    actions.Add(action);
+                }
+            }
+
+            return actions;
+        }
+
+        private static CopilotChatAction? ToAction(Match match)
+        {
+            var name = match.Groups["name"].Success ? match.Groups["name"].Value.Trim() : null;
+
+            switch (match.Groups["kind"].Value)
+            {
+                case "PRODUCT":
+                    return ProductAction(CopilotChatActionTypes.ViewProduct, match, name);
+                case "ADD_TO_CART":
+                    var addToCart = ProductAction(CopilotChatActionTypes.AddToCart, match, name);
+                    if (addToCart is null || !TryParseQuantity(match.Groups["quantity"].Success ? match.Groups["quantity"].Value : null, out var quantity))
+                    {
+                        return null;
+                    }
+                    addToCart.Quantity = quantity;
+                    return addToCart;
+                case "PLACE_ORDER":
+                    return int.TryParse(match.Groups["id"].Value, out var orderId)
+                        ? new CopilotChatAction { Type = CopilotChatActionTypes.PlaceOrder, ProductIds = new List<int> { orderId }, Name = name }
+                        : null;
+                case "ADD_ALL_TO_CART":
+                    return ProductListAction(CopilotChatActionTypes.AddAllToCart, match);
+                case "ORDER_ALL":
+                    return ProductListAction(CopilotChatActionTypes.PlaceOrder, match);
+                case "NAVIGATE":
+                    var url = match.Groups["url"].Value;
+                    return NavigablePath.IsMatch(url)
+                        ? new CopilotChatAction { Type = CopilotChatActionTypes.Navigate, Url = url, Name = name }
+                        : null;
+                default:
+                    return null;
+            }
+        }
+
+        private static CopilotChatAction? ProductAction(string type, Match match, string? name)
+        {
+            return int.TryParse(match.Groups["id"].Value, out var productId)
+                ? new CopilotChatAction { Type = type, ProductId = productId, Name = name }
+                : null;
+        }
+
+        private static CopilotChatAction? ProductListAction(string type, Match match)
+        {
+            var ids = new List<int>();
+            var quantities = new List<int>();
+            foreach (var part in match.Groups["ids"].Value.Split(',', StringSplitOptions.TrimEntries))
+            {
+                // "12x3" is three of product 12
+                var item = part.Split('x');
+                if (!int.TryParse(item[0], out var id) || !TryParseQuantity(item.Length > 1 ? item[1] : null, out var quantity))
+                {
+                    return null;
+                }
+                if (!ids.Contains(id))
+                {
+                    ids.Add(id);
+                    quantities.Add(quantity);
+                }
+            }
+
+            // Orders check out the cart, so only additions carry quantities
+            return type == CopilotChatActionTypes.AddAllToCart
+                ? new CopilotChatAction { Type = type, ProductIds = ids, Quantities = quantities }
+                : new CopilotChatAction { Type = type, ProductIds = ids };
+        }
+
+        // Tags without a quantity are for one item
+        private static bool TryParseQuantity(string? value, out int quantity)
+        {
+            if (value is null)
+            {
+                quantity = 1;
+                return true;
+            }
+            return int.TryParse(value, out quantity) && quantity >= 1 && quantity <= CartQuantityRequest.MaxQuantity;
+        }
+    }
+}
@@ -0,0 +1,123 @@
+using Microsoft.EntityFrameworkCore;
+using RetailDecomposed.Data;
+using RetailDecomposed.Models;
+
+namespace RetailDecomposed.Services
+{
+    public class ChatConversationService : IChatConversationService
+    {
+        private readonly AppDbContext _db;
+        public ChatConversationService(AppDbContext db) => _db = db;
+
+        public async Task<List<ChatConversation>> GetConversationsAsync(string customerId, CancellationToken ct = default)
+        {
+            //list without messages, most recently active first
+            return await _db.ChatConversations
+                .Where(c => c.CustomerId == customerId)
+                .OrderByDescending(c => c.UpdatedUtc)
+                .ToListAsync(ct);
+        }
+
+        public async Task<ChatConversation?> GetConversationAsync(int conversationId, string customerId, CancellationToken ct = default)
+        {
+            //messages are returned in the order they were written
+            return await _db.ChatConversations
+                .Include(c => c.Messages.OrderBy(m => m.Id))
+                .FirstOrDefaultAsync(c => c.Id == conversationId && c.CustomerId == customerId, ct);
+        }
+
+        public async Task<ChatConversation> CreateConversationAsync(string customerId, string? title = null, CancellationToken ct = default)
+        {
+            var conversation = new ChatConversation
+            {
+                CustomerId = customerId,
+                Title = NormalizeTitle(title) ?? ChatConversation.DefaultTitle
+            };
+
+            _db.ChatConversations.Add(conversation);
+            await _db.SaveChangesAsync(ct);
+            return conversation;
+        }
+
+        public async Task<bool> RenameConversationAsync(int conversationId, string customerId, string title, CancellationToken ct = default)
+        {
+            var normalized = NormalizeTitle(title);
+            if (normalized is null)
+            {
+                throw new ArgumentException("Title cannot be empty", nameof(title));
+            }
+
+            var conversation = await _db.ChatConversations
+                .FirstOrDefaultAsync(c => c.Id == conversationId && c.CustomerId == customerId, ct);
+            if (conversation is null) return false;
+
+            conversation.Title = normalized;
+            await _db.SaveChangesAsync(ct);
+            return true;
+        }
+
+        public async Task<bool> DeleteConversationAsync(int conversationId, string customerId, CancellationToken ct = default)
+        {
+            var conversation = await _db.ChatConversations
+                .Include(c => c.Messages)
+                .FirstOrDefaultAsync(c => c.Id == conversationId && c.CustomerId == customerId, ct);
+            if (conversation is null) return false;
+
+            _db.ChatConversations.Remove(conversation);
+            await _db.SaveChangesAsync(ct);
+            return true;
+        }
+
+        public async Task<bool> AddMessagesAsync(int conversationId, string customerId, IEnumerable<ChatMessage> messages, CancellationToken ct = default)
+        {
+            var conversation = await _db.ChatConversations
+                .FirstOrDefaultAsync(c => c.Id == conversationId && c.CustomerId == customerId, ct);
+            if (conversation is null) return false;
+
+            var now = DateTime.UtcNow;
+            foreach (var message in messages)
+            {
+                _db.ChatConversationMessages.Add(new ChatConversationMessage
+                {
+                    ConversationId = conversation.Id,
+                    Role = message.Role,
+                    Content = message.Content,
+                    CreatedUtc = now
+                });
+
+                //untitled conversations are named after the first question
+                if (conversation.Title == ChatConversation.DefaultTitle && message.Role == "user")
+                {
+                    conversation.Title = NormalizeTitle(message.Content) ?? ChatConversation.DefaultTitle;
+                }
+            }
+
+            conversation.UpdatedUtc = now;
+            await _db.SaveChangesAsync(ct);
+            return true;
+        }
+
+        public async Task<bool> SaveSummaryAsync(int conversationId, string customerId, string summary, int summarizedMessageCount, CancellationToken ct = default)
+        {
+            var conversation = await _db.ChatConversations
+                .FirstOrDefaultAsync(c => c.Id == conversationId && c.CustomerId == customerId, ct);
+            if (conversation is null) return false;
+
+            //summarizing is bookkeeping, so the conversation keeps its place in the list
+            conversation.Summary = summary;
+            conversation.SummarizedMessageCount = summarizedMessageCount;
+            await _db.SaveChangesAsync(ct);
+            return true;
+        }
+
+        private static string? NormalizeTitle(string? title)
+        {
+            if (string.IsNullOrWhiteSpace(title)) return null;
+
+            var singleLine = string.Join(' ', title.Split((char[]?)null, StringSplitOptions.RemoveEmptyEntries));
+            return singleLine.Length <= ChatConversation.MaxTitleLength
+                ? singleLine
+                : singleLine[..(ChatConversation.MaxTitleLength - 1)] + "…";
+        }
+    }
+}
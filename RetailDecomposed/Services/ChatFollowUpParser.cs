@@ -0,0 +1,47 @@
+using System.Text.RegularExpressions;
+
+namespace RetailDecomposed.Services
+{
+    /// <summary>
+    /// Takes the follow-up questions the copilot suggests at the end of a response (e.g. [FOLLOW_UP:Does it come in blue?])
+    /// out of the text, so the chat UI can show them as chips instead of in the message.
+    /// </summary>
+    public static class ChatFollowUpParser
+    {
+        public const int MaxSuggestions = 3;
+        public const int MaxSuggestionLength = 100;
+
+        // Spaces before a tag go with it, so a tag in the middle of a line doesn't leave a gap
+        private static readonly Regex FollowUpPattern = new(@"[ \t]*\[FOLLOW_UP:(?<text>[^\]\n]*)\]", RegexOptions.Compiled);
+
+        /// <summary>
+        /// Removes the follow-up tags from a response.
+        /// </summary>
+        /// <param name="text">Response text written by the model</param>
+        /// <returns>The text without the tags, and up to <see cref="MaxSuggestions"/> distinct suggestions in the order they appear</returns>
+        public static (string Content, List<string> Suggestions) Extract(string? text)
+        {
+            var suggestions = new List<string>();
+            if (string.IsNullOrEmpty(text) || !text.Contains("[FOLLOW_UP:", StringComparison.Ordinal))
+            {
+                return (text ?? string.Empty, suggestions);
+            }
+
+            var content = FollowUpPattern.Replace(text, match =>
+            {
+                var suggestion = match.Groups["text"].Value.Trim();
+                // Suggestions too long for a chip are dropped rather than cut off mid-question
+                if (suggestion.Length > 0 && suggestion.Length <= MaxSuggestionLength &&
+                    suggestions.Count < MaxSuggestions &&
+                    !suggestions.Contains(suggestion, StringComparer.OrdinalIgnoreCase))
+                {
+                    suggestions.Add(suggestion);
+                }
+                return string.Empty;
+            });
+
+            // The tags usually sit on their own lines at the end
+            return (content.TrimEnd(), suggestions);
+        }
+    }
+}
@@ -0,0 +1,132 @@
+using OpenAI.Chat;
+using System.Diagnostics;
+using System.Text;
+using RetailDecomposed.Models;
+
+namespace RetailDecomposed.Services
+{
+    /// <summary>
+    /// Keeps the history sent to the model within budget without forgetting what the customer said early on
+    /// ("I'm a size 9", "my budget is £50"). Instead of dropping old messages, it has the chat model fold them
+    /// into a rolling summary that is stored with the conversation and carried forward.
+    /// </summary>
+    public class ChatHistoryService : IChatHistoryService
+    {
+        /// <summary>
+        /// System prompt of a summarization request; the scripted model recognises it by this text.
+        /// </summary>
+        public const string SummaryInstructions =
+            "You keep a running summary of a conversation between a customer and an online store's shopping assistant. " +
+            "Update the summary with the new messages. Keep every preference and constraint the customer stated " +
+            "(sizes, budgets, colours, brands, who a purchase is for), the products discussed with their ids, " +
+            "and anything added to the cart or ordered. Leave out greetings and small talk. " +
+            "Reply with the summary only, in plain sentences of at most 150 words, without any [TAG:...] markup.";
+
+        private readonly IChatModelProvider _chatModel;
+        private readonly IChatConversationService _conversations;
+        private readonly int _maxMessages;
+        private readonly int _recentMessages;
+        private readonly int _summaryMaxTokens;
+        private readonly ILogger<ChatHistoryService> _logger;
+        private static readonly ActivitySource _activitySource = TelemetryActivitySources.Copilot;
+
+        public ChatHistoryService(
+            IConfiguration configuration,
+            IChatModelProvider chatModel,
+            IChatConversationService conversations,
+            ILogger<ChatHistoryService> logger)
+        {
+            // Summarizing in batches keeps it to one model call every few exchanges
+            _maxMessages = int.Parse(configuration["ChatHistory:MaxMessages"] ?? "16");
+            _recentMessages = Math.Min(int.Parse(configuration["ChatHistory:RecentMessages"] ?? "8"), _maxMessages);
+            _summaryMaxTokens = int.Parse(configuration["ChatHistory:SummaryMaxTokens"] ?? "300");
+
+            _chatModel = chatModel;
+            _conversations = conversations;
+            _logger = logger;
+        }
+
+        public async Task<ChatHistory> GetHistoryAsync(ChatConversation conversation, CancellationToken ct = default)
+        {
+            var messages = conversation.Messages;
+            var summary = conversation.Summary;
+            var summarizedCount = Math.Clamp(conversation.SummarizedMessageCount, 0, messages.Count);
+            var history = new ChatHistory();
+
+            if (messages.Count - summarizedCount > _maxMessages)
+            {
+                var folded = messages.Skip(summarizedCount).Take(messages.Count - _recentMessages - summarizedCount).ToList();
+                using var activity = _activitySource.StartActivity("SummarizeConversation");
+                activity?.SetTag("copilot.history.message_count", messages.Count);
+                activity?.SetTag("copilot.history.folded_message_count", folded.Count);
+
+                try
+                {
+                    var completion = await SummarizeAsync(summary, folded, ct);
+                    activity?.SetTag("ai.provider", _chatModel.Name);
+                    activity?.SetTag("ai.model", _chatModel.ModelName);
+                    activity?.SetTag("ai.total_tokens", completion.Usage?.TotalTokens ?? 0);
+                    if (string.IsNullOrWhiteSpace(completion.Content))
+                    {
+                        throw new InvalidOperationException("The model returned an empty summary");
+                    }
+
+                    summary = completion.Content.Trim();
+                    summarizedCount += folded.Count;
+                    await _conversations.SaveSummaryAsync(conversation.Id, conversation.CustomerId, summary, summarizedCount, ct);
+
+                    conversation.Summary = summary;
+                    conversation.SummarizedMessageCount = summarizedCount;
+                    history.Summarized = true;
+                    history.SummaryUsage = completion.Usage;
+                    _logger.LogInformation("Summarized {Count} messages of conversation {ConversationId}", folded.Count, conversation.Id);
+                }
+                catch (Exception ex) when (!ct.IsCancellationRequested)
+                {
+                    // Nothing is dropped: the previous summary goes with every message since it, over budget
+                    // for this request, and the next message tries again
+                    activity?.SetStatus(ActivityStatusCode.Error, ex.Message);
+                    activity?.RecordException(ex);
+                    _logger.LogWarning(ex, "Could not summarize conversation {ConversationId}; sending its {Count} unsummarized messages in full",
+                        conversation.Id, messages.Count - summarizedCount);
+                }
+            }
+
+            if (!string.IsNullOrEmpty(summary))
+            {
+                history.Messages.Add(new ChatMessage { Role = "summary", Content = summary });
+            }
+            history.Messages.AddRange(messages
+                .Skip(summarizedCount)
+                .Select(m => new ChatMessage { Role = m.Role, Content = m.Content }));
+            history.SummarizedMessageCount = conversation.SummarizedMessageCount;
+            return history;
+        }
+
+        private Task<ChatModelCompletion> SummarizeAsync(string? summary, List<ChatConversationMessage> messages, CancellationToken ct)
+        {
+            var transcript = new StringBuilder();
+            transcript.AppendLine("Summary so far:");
+            transcript.AppendLine(string.IsNullOrEmpty(summary) ? "(none)" : summary);
+            transcript.AppendLine();
+            transcript.AppendLine("New messages:");
+            foreach (var message in messages)
+            {
+                transcript.Append(message.Role == "user" ? "Customer: " : "Assistant: ");
+                transcript.AppendLine(message.Content.ReplaceLineEndings(" "));
+            }
+
+            var prompt = new List<OpenAI.Chat.ChatMessage>
+            {
+                new SystemChatMessage(SummaryInstructions),
+                new UserChatMessage(transcript.ToString())
+            };
+
+            return _chatModel.CompleteChatAsync(prompt, new ChatCompletionOptions
+            {
+                MaxOutputTokenCount = _summaryMaxTokens,
+                Temperature = 0.2f
+            }, ct);
+        }
+    }
+}
@@ -0,0 +1,56 @@
+namespace RetailDecomposed.Services
+{
+    /// <summary>
+    /// The starter prompts shown above the side chat. Pages that describe themselves with a
+    /// <see cref="ChatPageContext"/> get prompts about what they show; other pages get the general ones.
+    /// </summary>
+    public static class ChatPromptSuggestions
+    {
+        private static readonly IReadOnlyList<ChatPromptSuggestion> General = new[]
+        {
+            new ChatPromptSuggestion("Electronics under £50", "Show me Electronics under £50", "bi-laptop"),
+            new ChatPromptSuggestion("Beauty products", "What Beauty products do you have?", "bi-palette"),
+            new ChatPromptSuggestion("Compare categories", "Compare Apparel and Footwear items", "bi-cart"),
+            new ChatPromptSuggestion("Home & Accessories", "Show all Home and Accessories items", "bi-house")
+        };
+
+        // The page context tells the model which product, cart or order "this" refers to
+        private static readonly IReadOnlyList<ChatPromptSuggestion> Product = new[]
+        {
+            new ChatPromptSuggestion("Compare with similar", "Compare this product with similar ones", "bi-arrow-left-right"),
+            new ChatPromptSuggestion("Is it in stock?", "Is this product in stock?", "bi-box-seam"),
+            new ChatPromptSuggestion("Goes well with", "What goes well with this product?", "bi-plus-circle")
+        };
+
+        private static readonly IReadOnlyList<ChatPromptSuggestion> Cart = new[]
+        {
+            new ChatPromptSuggestion("Anything I'm missing?", "Is there anything I'm missing from my cart?", "bi-lightbulb"),
+            new ChatPromptSuggestion("What's my total?", "What's the total of my cart?", "bi-calculator"),
+            new ChatPromptSuggestion("Cheaper options", "Are there cheaper alternatives to the items in my cart?", "bi-piggy-bank")
+        };
+
+        private static readonly IReadOnlyList<ChatPromptSuggestion> Order = new[]
+        {
+            new ChatPromptSuggestion("Summarize this order", "Summarize this order for me", "bi-receipt"),
+            new ChatPromptSuggestion("Order again", "Help me order these items again", "bi-arrow-repeat"),
+            new ChatPromptSuggestion("Goes well with", "What goes well with the items in this order?", "bi-plus-circle")
+        };
+
+        /// <summary>
+        /// Lists the prompts for a page.
+        /// </summary>
+        /// <param name="page">One of <see cref="ChatPages"/>, or null for pages that don't describe themselves</param>
+        public static IReadOnlyList<ChatPromptSuggestion> ForPage(string? page) => page switch
+        {
+            ChatPages.Product => Product,
+            ChatPages.Cart => Cart,
+            ChatPages.Order => Order,
+            _ => General
+        };
+    }
+
+    /// <summary>
+    /// A prompt chip: the label shown, the message it puts in the chat input and its Bootstrap icon.
+    /// </summary>
+    public record ChatPromptSuggestion(string Label, string Prompt, string Icon);
+}
@@ -0,0 +1,134 @@
+using System.Collections.Concurrent;
+
+namespace RetailDecomposed.Services
+{
+    /// <summary>
+    /// Enforces per-user chat quotas: a sliding one-minute request limit and a token budget per UTC day.
+    /// Usage is kept in memory, so each frontend instance enforces the limits on its own.
+    /// </summary>
+    public class ChatQuotaService : IChatQuotaService
+    {
+        private static readonly TimeSpan RequestWindow = TimeSpan.FromMinutes(1);
+
+        private readonly ConcurrentDictionary<string, UserQuota> _quotas = new(StringComparer.OrdinalIgnoreCase);
+        private readonly TimeProvider _timeProvider;
+        private readonly int _requestsPerMinute;
+        private readonly int _tokensPerDay;
+
+        public ChatQuotaService(IConfiguration configuration, TimeProvider timeProvider)
+        {
+            _timeProvider = timeProvider;
+
+            // Zero or a negative value switches a limit off
+            _requestsPerMinute = int.Parse(configuration["ChatQuota:RequestsPerMinute"] ?? "10");
+            _tokensPerDay = int.Parse(configuration["ChatQuota:TokensPerDay"] ?? "200000");
+        }
+
+        public ChatQuotaDecision TryStartRequest(string customerId)
+        {
+            var now = _timeProvider.GetUtcNow();
+            var quota = _quotas.GetOrAdd(customerId, _ => new UserQuota());
+
+            lock (quota)
+            {
+                quota.Refresh(now);
+
+                if (_tokensPerDay > 0 && quota.TokensUsed >= _tokensPerDay)
+                {
+                    return Reject(ChatQuotaLimits.TokensPerDay, NextUtcMidnight(now), now, quota);
+                }
+
+                if (_requestsPerMinute > 0 && quota.RequestTimes.Count >= _requestsPerMinute)
+                {
+                    return Reject(ChatQuotaLimits.RequestsPerMinute, quota.RequestTimes.Peek() + RequestWindow, now, quota);
+                }
+
+                quota.RequestTimes.Enqueue(now);
+                return new ChatQuotaDecision { Allowed = true, Status = BuildStatus(quota, now) };
+            }
+        }
+
+        public ChatQuotaStatus RecordUsage(string customerId, int tokens)
+        {
+            var now = _timeProvider.GetUtcNow();
+            var quota = _quotas.GetOrAdd(customerId, _ => new UserQuota());
+
+            lock (quota)
+            {
+                quota.Refresh(now);
+                quota.TokensUsed += Math.Max(0, tokens);
+                return BuildStatus(quota, now);
+            }
+        }
+
+        public ChatQuotaStatus GetStatus(string customerId)
+        {
+            var now = _timeProvider.GetUtcNow();
+            var quota = _quotas.GetOrAdd(customerId, _ => new UserQuota());
+
+            lock (quota)
+            {
+                quota.Refresh(now);
+                return BuildStatus(quota, now);
+            }
+        }
+
+        private ChatQuotaDecision Reject(string limit, DateTimeOffset retryAt, DateTimeOffset now, UserQuota quota)
+        {
+            return new ChatQuotaDecision
+            {
+                Allowed = false,
+                ExceededLimit = limit,
+                RetryAtUtc = retryAt,
+                RetryAfter = retryAt - now,
+                Status = BuildStatus(quota, now)
+            };
+        }
+
+        private ChatQuotaStatus BuildStatus(UserQuota quota, DateTimeOffset now)
+        {
+            var status = new ChatQuotaStatus();
+
+            if (_requestsPerMinute > 0)
+            {
+                status.RequestsPerMinute = _requestsPerMinute;
+                status.RequestsRemaining = Math.Max(0, _requestsPerMinute - quota.RequestTimes.Count);
+            }
+
+            if (_tokensPerDay > 0)
+            {
+                status.TokensPerDay = _tokensPerDay;
+                status.TokensRemaining = Math.Max(0, _tokensPerDay - quota.TokensUsed);
+                status.TokensResetUtc = NextUtcMidnight(now);
+            }
+
+            return status;
+        }
+
+        private static DateTimeOffset NextUtcMidnight(DateTimeOffset now) =>
+            new DateTimeOffset(now.UtcDateTime.Date.AddDays(1), TimeSpan.Zero);
+
+        private class UserQuota
+        {
+            public Queue<DateTimeOffset> RequestTimes { get; } = new();
+            public DateOnly Day { get; set; }
+            public int TokensUsed { get; set; }
+
+            // Drops requests that have left the one-minute window and starts a new token day at UTC midnight
+            public void Refresh(DateTimeOffset now)
+            {
+                while (RequestTimes.Count > 0 && RequestTimes.Peek() <= now - RequestWindow)
+                {
+                    RequestTimes.Dequeue();
+                }
+
+                var today = DateOnly.FromDateTime(now.UtcDateTime);
+                if (Day != today)
+                {
+                    Day = today;
+                    TokensUsed = 0;
+                }
+            }
+        }
+    }
+}
@@ -1,151 +1,502 @@
-using Azure;
-using Azure.AI.OpenAI;
-using Azure.Identity;
 using OpenAI.Chat;
-using RetailDecomposed.Models;
 using System.Text;
 using System.Diagnostics;
+using System.Runtime.CompilerServices;
 
 namespace RetailDecomposed.Services
 {
     public class CopilotService : ICopilotService
     {
-        private readonly AzureOpenAIClient _openAIClient;
-        private readonly string _deploymentName;
+        private readonly IChatModelProvider _chatModel;
         private readonly int _maxTokens;
         private readonly float _temperature;
+        private readonly int _maxToolRounds;
+        private readonly int _retrievalTopK;
         private readonly IProductsApiClient _productsApiClient;
+        private readonly ISemanticSearchService _semanticSearchService;
+        private readonly ICartApiClient _cartApiClient;
+        private readonly IOrdersApiClient _ordersApiClient;
+        private readonly ProductTagValidator _tagValidator;
         private readonly ILogger<CopilotService> _logger;
         private static readonly ActivitySource _activitySource = TelemetryActivitySources.Copilot;
 
+        // Limits on what a page may add to the prompt
+        private const int MaxPageCartLines = 50;
+        private const int MaxPagePathLength = 200;
+
         public CopilotService(
             IConfiguration configuration,
+            IChatModelProvider chatModel,
             IProductsApiClient productsApiClient,
+            ISemanticSearchService semanticSearchService,
+            ICartApiClient cartApiClient,
+            IOrdersApiClient ordersApiClient,
             ILogger<CopilotService> logger)
         {
-            var endpoint = configuration["AzureAI:Endpoint"]
-                ?? throw new InvalidOperationException("AzureAI:Endpoint must be configured");
-            
-            var tenantId = configuration["AzureAI:TenantId"];
-            
-            _deploymentName = configuration["AzureAI:DeploymentName"] ?? "gpt-4o";
             _maxTokens = int.Parse(configuration["AzureAI:MaxTokens"] ?? "800");
             _temperature = float.Parse(configuration["AzureAI:Temperature"] ?? "0.7");
+            _maxToolRounds = int.Parse(configuration["AzureAI:MaxToolRounds"] ?? "3");
+            _retrievalTopK = int.Parse(configuration["AzureAI:RetrievalTopK"] ?? "8");
 
-            // Assign dependencies first
+            _chatModel = chatModel;
             _productsApiClient = productsApiClient;
+            _semanticSearchService = semanticSearchService;
+            _cartApiClient = cartApiClient;
+            _ordersApiClient = ordersApiClient;
+            _tagValidator = new ProductTagValidator(productsApiClient);
             _logger = logger;
-
-            // Initialize client with Entra ID authentication with specified tenant
-            _logger.LogInformation("Initializing Azure AI client with Entra ID authentication (Tenant: {TenantId})", tenantId ?? "default");
-            
-            var credentialOptions = new DefaultAzureCredentialOptions();
-            if (!string.IsNullOrEmpty(tenantId))
-            {
-                credentialOptions.TenantId = tenantId;
-            }
-            
-            _openAIClient = new AzureOpenAIClient(new Uri(endpoint), new DefaultAzureCredential(credentialOptions));
         }
 
-        public async Task<string> GetChatResponseAsync(
+        public async Task<CopilotChatResponse> GetChatResponseAsync(
             string userMessage,
             List<ChatMessage>? conversationHistory = null,
+            string? customerId = null,
+            ChatPageContext? pageContext = null,
             CancellationToken ct = default)
         {
             using var activity = _activitySource.StartActivity("GetChatResponse", ActivityKind.Server);
             activity?.SetTag("copilot.user_message_length", userMessage?.Length ?? 0);
             activity?.SetTag("copilot.has_conversation_history", conversationHistory?.Count > 0);
             activity?.SetTag("copilot.history_message_count", conversationHistory?.Count ?? 0);
-            
+
+            var tools = CreateTools(customerId);
+            CopilotTokenUsage? usage = null;
+            // The prompt of a completion still in progress, which is billed even if the completion is cancelled
+            CopilotTokenUsage? pending = null;
+
             try
             {
-                // Get product catalog for context
-                var products = await _productsApiClient.GetProductsAsync(ct);
-                activity?.SetTag("copilot.product_count", products.Count);
-                
-                var productContext = BuildProductContext(products);
+                var messages = await BuildChatMessagesAsync(userMessage, conversationHistory, pageContext, customerId, activity, ct);
+
+                // Keep completing until the model answers instead of calling tools
+                ChatModelCompletion completion;
+                for (var round = 0; ; round++)
+                {
+                    using (var completionActivity = StartCompletionActivity("ChatModel.CompleteChat", messages.Count))
+                    {
+                        pending = CopilotTokenUsage.Estimate(PromptLength(messages), 0);
+                        completion = await _chatModel.CompleteChatAsync(messages, CreateChatOptions(tools, round), ct);
+                        pending = null;
+                        SetUsageTags(completionActivity, completion.Usage);
+                    }
+                    usage = AddUsage(usage, completion.Usage);
+
+                    if (completion.ToolCalls.Count == 0)
+                    {
+                        break;
+                    }
 
-                // Build the system message with product context
-                var systemMessage = BuildSystemMessage(productContext);
+                    await RunToolCallsAsync(messages, completion.ToolCalls, tools, ct);
+                }
 
-                // Create chat messages
-                var messages = new List<OpenAI.Chat.ChatMessage>
+                var (content, suggestions) = ChatFollowUpParser.Extract(completion.Content);
+                var response = await ValidateResponseAsync(content, activity, ct);
+                activity?.SetTag("copilot.response_length", response?.Length ?? 0);
+                activity?.SetTag("copilot.proposed_action_count", tools.ProposedActions.Count);
+                activity?.SetTag("copilot.follow_up_count", suggestions.Count);
+                
+                _logger.LogInformation("AI Copilot response generated for user message: {Message}", userMessage);
+                
+                return new CopilotChatResponse
                 {
-                    new SystemChatMessage(systemMessage)
+                    Content = response,
+                    Usage = usage,
+                    Actions = ChatActionParser.Parse(response),
+                    ProposedActions = tools.ProposedActions.ToList(),
+                    Suggestions = suggestions
                 };
+            }
+            catch (OperationCanceledException) when (ct.IsCancellationRequested)
+            {
+                // The caller gave up on the response, so there is nobody to apologise to
+                activity?.SetTag("copilot.cancelled", true);
+                throw new CopilotCancelledException(AddUsage(usage, pending), ct);
+            }
+            catch (Exception ex)
+            {
+                // Tokens spent on earlier tool rounds still count against the user's budget
+                return new CopilotChatResponse { Content = HandleChatFailure(ex, activity, userMessage), Usage = usage };
+            }
+        }
 
-                // Add conversation history if provided
-                if (conversationHistory != null)
+        public async IAsyncEnumerable<CopilotStreamUpdate> StreamChatResponseAsync(
+            string userMessage,
+            List<ChatMessage>? conversationHistory = null,
+            string? customerId = null,
+            ChatPageContext? pageContext = null,
+            [EnumeratorCancellation] CancellationToken ct = default)
+        {
+            using var activity = _activitySource.StartActivity("StreamChatResponse", ActivityKind.Server);
+            activity?.SetTag("copilot.user_message_length", userMessage?.Length ?? 0);
+            activity?.SetTag("copilot.has_conversation_history", conversationHistory?.Count > 0);
+            activity?.SetTag("copilot.history_message_count", conversationHistory?.Count ?? 0);
+
+            var tools = CreateTools(customerId);
+            List<OpenAI.Chat.ChatMessage>? messages = null;
+            string? failureMessage = null;
+            CopilotTokenUsage? usage = null;
+
+            CopilotCancelledException Cancelled(CopilotTokenUsage? inProgress)
+            {
+                activity?.SetTag("copilot.cancelled", true);
+                return new CopilotCancelledException(AddUsage(usage, inProgress), ct);
+            }
+
+            try
+            {
+                messages = await BuildChatMessagesAsync(userMessage, conversationHistory, pageContext, customerId, activity, ct);
+            }
+            catch (OperationCanceledException) when (ct.IsCancellationRequested)
+            {
+                throw Cancelled(null);
+            }
+            catch (Exception ex)
+            {
+                failureMessage = HandleChatFailure(ex, activity, userMessage);
+            }
+
+            if (messages is null)
+            {
+                yield return new CopilotStreamUpdate { Content = failureMessage ?? string.Empty };
+                yield break;
+            }
+
+            var response = new StringBuilder();
+            for (var round = 0; failureMessage is null; round++)
+            {
+                List<ChatToolCall>? toolCalls = null;
+                var roundStart = response.Length;
+                var updates = _chatModel.CompleteChatStreamingAsync(messages, CreateChatOptions(tools, round), ct).GetAsyncEnumerator(ct);
+
+                using (var completionActivity = StartCompletionActivity("ChatModel.CompleteChatStreaming", messages.Count))
                 {
-                    foreach (var msg in conversationHistory)
+                    await using (updates)
                     {
-                        if (msg.Role.ToLower() == "user")
+                        while (true)
                         {
-                            messages.Add(new UserChatMessage(msg.Content));
-                        }
-                        else if (msg.Role.ToLower() == "assistant")
-                        {
-                            messages.Add(new AssistantChatMessage(msg.Content));
+                            // C# does not allow yield inside a try block with a catch clause,
+                            // so only the move to the next update is guarded
+                            ChatModelUpdate update;
+                            try
+                            {
+                                if (!await updates.MoveNextAsync())
+                                {
+                                    break;
+                                }
+                                update = updates.Current;
+                            }
+                            catch (OperationCanceledException) when (ct.IsCancellationRequested)
+                            {
+                                // The round was cut off before the model reported its usage
+                                throw Cancelled(CopilotTokenUsage.Estimate(PromptLength(messages), response.Length - roundStart));
+                            }
+                            catch (Exception ex)
+                            {
+                                completionActivity?.SetStatus(ActivityStatusCode.Error, ex.Message);
+                                failureMessage = HandleChatFailure(ex, activity, userMessage);
+                                break;
+                            }
+
+                            // Usage and tool calls arrive on the last update of the stream
+                            if (update.Usage != null)
+                            {
+                                SetUsageTags(completionActivity, update.Usage);
+                                usage = AddUsage(usage, update.Usage);
+                            }
+                            toolCalls = update.ToolCalls ?? toolCalls;
+
+                            if (!string.IsNullOrEmpty(update.Content))
+                            {
+                                response.Append(update.Content);
+                                yield return new CopilotStreamUpdate { Content = update.Content };
+                            }
                         }
                     }
                 }
 
-                // Add the current user message
-                messages.Add(new UserChatMessage(userMessage));
+                if (failureMessage != null || toolCalls is null || toolCalls.Count == 0)
+                {
+                    break;
+                }
 
-                // Get chat client
-                var chatClient = _openAIClient.GetChatClient(_deploymentName);
+                // Run the requested tools, then stream the model's next turn
+                try
+                {
+                    await RunToolCallsAsync(messages, toolCalls, tools, ct);
+                }
+                catch (OperationCanceledException) when (ct.IsCancellationRequested)
+                {
+                    throw Cancelled(null);
+                }
+            }
 
-                // Create chat completion options
-                var chatOptions = new ChatCompletionOptions
+            if (failureMessage != null)
+            {
+                // Keep whatever was already streamed and append the apology after it
+                yield return new CopilotStreamUpdate
                 {
-                    MaxOutputTokenCount = _maxTokens,
-                    Temperature = _temperature
+                    Content = response.Length > 0 ? $"\n\n{failureMessage}" : failureMessage,
+                    Usage = usage
                 };
+                yield break;
+            }
+
+            // The text has already been streamed, so a corrected version (which also drops the follow-up tags) replaces it on the client
+            var streamed = response.ToString();
+            var (content, suggestions) = ChatFollowUpParser.Extract(streamed);
+            string validated;
+            try
+            {
+                validated = await ValidateResponseAsync(content, activity, ct);
+            }
+            catch (OperationCanceledException) when (ct.IsCancellationRequested)
+            {
+                throw Cancelled(null);
+            }
+
+            activity?.SetTag("copilot.response_length", validated.Length);
+            activity?.SetTag("copilot.proposed_action_count", tools.ProposedActions.Count);
+            activity?.SetTag("copilot.follow_up_count", suggestions.Count);
+            _logger.LogInformation("AI Copilot response streamed for user message: {Message}", userMessage);
+
+            yield return new CopilotStreamUpdate
+            {
+                Usage = usage,
+                Actions = ChatActionParser.Parse(validated),
+                ProposedActions = tools.ProposedActions.ToList(),
+                Suggestions = suggestions,
+                CorrectedContent = validated != streamed ? validated : null
+            };
+        }
+
+        // Corrects product tags the model got wrong and records how often it named products that don't exist
+        private async Task<string> ValidateResponseAsync(string response, Activity? activity, CancellationToken ct)
+        {
+            ProductTagValidationResult validation;
+            try
+            {
+                validation = await _tagValidator.ValidateAsync(response, ct);
+            }
+            catch (Exception ex) when (!ct.IsCancellationRequested)
+            {
+                // An unchecked answer is better than none
+                activity?.SetTag("copilot.validation.skipped", true);
+                activity?.RecordException(ex);
+                _logger.LogWarning(ex, "Could not check the copilot response against the catalog");
+                return response;
+            }
+
+            activity?.SetTag("copilot.validation.tag_count", validation.TagCount);
+            activity?.SetTag("copilot.hallucinated_product_count", validation.UnknownReferences);
+            activity?.SetTag("copilot.validation.corrected_names", validation.CorrectedNames);
+            activity?.SetTag("copilot.validation.corrected_prices", validation.CorrectedPrices);
+            if (validation.UnknownProductIds.Count > 0)
+            {
+                activity?.SetTag("copilot.hallucinated_product_ids", validation.UnknownProductIds.ToArray());
+                _logger.LogWarning("Copilot response referenced unknown products {ProductIds}", string.Join(", ", validation.UnknownProductIds));
+            }
+            if (validation.MismatchedPriceProductIds.Count > 0)
+            {
+                activity?.SetTag("copilot.validation.mismatched_price_product_ids", validation.MismatchedPriceProductIds.ToArray());
+                _logger.LogInformation("Copilot response quoted other prices next to products {ProductIds}; left as written", string.Join(", ", validation.MismatchedPriceProductIds));
+            }
+
+            return validation.Content;
+        }
+
+        private CopilotTools CreateTools(string? customerId)
+        {
+            return new CopilotTools(_productsApiClient, _cartApiClient, _ordersApiClient, customerId);
+        }
+
+        // Records the model's tool calls and their results so the next round can answer from them
+        private static async Task RunToolCallsAsync(
+            List<OpenAI.Chat.ChatMessage> messages,
+            List<ChatToolCall> toolCalls,
+            CopilotTools tools,
+            CancellationToken ct)
+        {
+            messages.Add(new AssistantChatMessage(toolCalls));
+            foreach (var toolCall in toolCalls)
+            {
+                messages.Add(new ToolChatMessage(toolCall.Id, await tools.InvokeAsync(toolCall.FunctionName, toolCall.FunctionArguments, ct)));
+            }
+        }
+
+        // Adds one completion's tokens to the running total across tool-calling rounds
+        private static CopilotTokenUsage? AddUsage(CopilotTokenUsage? total, CopilotTokenUsage? next)
+        {
+            if (total is null || next is null)
+            {
+                return next ?? total;
+            }
+
+            return new CopilotTokenUsage
+            {
+                PromptTokens = total.PromptTokens + next.PromptTokens,
+                CompletionTokens = total.CompletionTokens + next.CompletionTokens,
+                TotalTokens = total.TotalTokens + next.TotalTokens
+            };
+        }
 
-                // Get completion
-                ChatCompletion completion;
-                using (var completionActivity = _activitySource.StartActivity("AzureOpenAI.CompleteChat", ActivityKind.Client))
+        private static int PromptLength(IEnumerable<OpenAI.Chat.ChatMessage> messages) =>
+            messages.Sum(m => m.Content.Sum(part => part.Text?.Length ?? 0));
+
+        private static void SetUsageTags(Activity? completionActivity, CopilotTokenUsage? usage)
+        {
+            completionActivity?.SetTag("ai.prompt_tokens", usage?.PromptTokens ?? 0);
+            completionActivity?.SetTag("ai.response_tokens", usage?.CompletionTokens ?? 0);
+            completionActivity?.SetTag("ai.total_tokens", usage?.TotalTokens ?? 0);
+        }
+
+        private async Task<List<OpenAI.Chat.ChatMessage>> BuildChatMessagesAsync(
+            string userMessage,
+            List<ChatMessage>? conversationHistory,
+            ChatPageContext? pageContext,
+            string? customerId,
+            Activity? activity,
+            CancellationToken ct)
+        {
+            // Only the products relevant to this message go into the prompt, not the whole catalog
+            var products = await RetrieveProductsAsync(userMessage, activity, ct);
+            var productContext = BuildProductContext(products);
+
+            // Build the system message with product context
+            var systemMessage = BuildSystemMessage(productContext);
+
+            // Create chat messages
+            var messages = new List<OpenAI.Chat.ChatMessage>
+            {
+                new SystemChatMessage(systemMessage)
+            };
+
+            // Add conversation history if provided
+            if (conversationHistory != null)
+            {
+                foreach (var msg in conversationHistory)
                 {
-                    completionActivity?.SetTag("ai.model", _deploymentName);
-                    completionActivity?.SetTag("ai.max_tokens", _maxTokens);
-                    completionActivity?.SetTag("ai.temperature", _temperature);
-                    completionActivity?.SetTag("ai.message_count", messages.Count);
-                    
-                    var completionResult = await chatClient.CompleteChatAsync(messages, chatOptions, ct);
-                    completion = completionResult.Value;
-                    
-                    completionActivity?.SetTag("ai.response_tokens", completion.Usage?.OutputTokenCount ?? 0);
-                    completionActivity?.SetTag("ai.total_tokens", completion.Usage?.TotalTokenCount ?? 0);
+                    if (msg.Role.ToLower() == "user")
+                    {
+                        messages.Add(new UserChatMessage(msg.Content));
+                    }
+                    else if (msg.Role.ToLower() == "assistant")
+                    {
+                        messages.Add(new AssistantChatMessage(msg.Content));
+                    }
+                    else if (msg.Role.ToLower() == "summary")
+                    {
+                        // Older messages condensed by IChatHistoryService
+                        messages.Add(new SystemChatMessage($"Summary of the earlier conversation: {msg.Content}"));
+                    }
                 }
+            }
 
-                var response = completion.Content[0].Text;
-                activity?.SetTag("copilot.response_length", response?.Length ?? 0);
-                
-                _logger.LogInformation("AI Copilot response generated for user message: {Message}", userMessage);
-                
-                return response;
+            // Right before the message it applies to, so "is this in stock?" refers to the page, not the history.
+            // It carries the path the browser sent, so it goes in as the customer's words rather than as instructions
+            var pageDescription = await BuildPageContextAsync(pageContext, customerId, activity, ct);
+            if (pageDescription != null)
+            {
+                messages.Add(new UserChatMessage(pageDescription));
             }
-            catch (Exception ex)
+
+            // Add the current user message
+            messages.Add(new UserChatMessage(userMessage));
+
+            return messages;
+        }
+
+        private ChatCompletionOptions CreateChatOptions(CopilotTools tools, int round)
+        {
+            var options = new ChatCompletionOptions
+            {
+                MaxOutputTokenCount = _maxTokens,
+                Temperature = _temperature,
+                // Once the rounds are used up the model has to answer with what it has
+                ToolChoice = round < _maxToolRounds ? ChatToolChoice.CreateAutoChoice() : ChatToolChoice.CreateNoneChoice()
+            };
+
+            foreach (var tool in tools.GetDefinitions())
+            {
+                options.Tools.Add(tool);
+            }
+
+            return options;
+        }
+
+        private Activity? StartCompletionActivity(string name, int messageCount)
+        {
+            var completionActivity = _activitySource.StartActivity(name, ActivityKind.Client);
+            completionActivity?.SetTag("ai.provider", _chatModel.Name);
+            completionActivity?.SetTag("ai.model", _chatModel.ModelName);
+            completionActivity?.SetTag("ai.max_tokens", _maxTokens);
+            completionActivity?.SetTag("ai.temperature", _temperature);
+            completionActivity?.SetTag("ai.message_count", messageCount);
+            return completionActivity;
+        }
+
+        private string HandleChatFailure(Exception ex, Activity? activity, string? userMessage)
+        {
+            activity?.SetStatus(ActivityStatusCode.Error, ex.Message);
+            activity?.RecordException(ex);
+            _logger.LogError(ex, "Error generating AI copilot response for message: {Message}", userMessage);
+            return "I apologize, but I'm having trouble processing your request right now. Please try again later.";
+        }
+
+        private async Task<List<ProductSearchResult>> RetrieveProductsAsync(string userMessage, Activity? activity, CancellationToken ct)
+        {
+            var filters = ProductQueryFilters.Infer(userMessage);
+            activity?.SetTag("copilot.retrieval.top_k", _retrievalTopK);
+            activity?.SetTag("copilot.retrieval.category", filters.Category);
+            activity?.SetTag("copilot.retrieval.min_price", (double?)filters.MinPrice);
+            activity?.SetTag("copilot.retrieval.max_price", (double?)filters.MaxPrice);
+
+            List<ProductSearchResult> products;
+            try
             {
-                activity?.SetStatus(ActivityStatusCode.Error, ex.Message);
+                products = await _semanticSearchService.SearchProductsAsync(
+                    userMessage, _retrievalTopK, filters.Category, filters.MinPrice, filters.MaxPrice);
+
+                // The filters are guessed from the wording, so a filtered search that finds nothing is retried without them
+                if (products.Count == 0 && !filters.IsEmpty)
+                {
+                    activity?.SetTag("copilot.retrieval.filters_relaxed", true);
+                    products = await _semanticSearchService.SearchProductsAsync(userMessage, _retrievalTopK);
+                }
+            }
+            catch (Exception ex) when (!ct.IsCancellationRequested)
+            {
+                // The model can still look products up with the search_products tool
+                activity?.SetTag("copilot.retrieval.failed", true);
                 activity?.RecordException(ex);
-                _logger.LogError(ex, "Error generating AI copilot response for message: {Message}", userMessage);
-                return "I apologize, but I'm having trouble processing your request right now. Please try again later.";
+                _logger.LogWarning(ex, "Product retrieval failed for copilot message: {Message}", userMessage);
+                products = new List<ProductSearchResult>();
             }
+
+            activity?.SetTag("copilot.product_count", products.Count);
+            activity?.SetTag("copilot.retrieved_product_ids", products.Select(p => p.Id).ToArray());
+            activity?.SetTag("copilot.retrieved_product_skus", products.Select(p => p.Sku).ToArray());
+            _logger.LogInformation("Retrieved {Count} products for copilot message: {ProductIds}",
+                products.Count, string.Join(", ", products.Select(p => p.Id)));
+
+            return products;
         }
 
-        private string BuildProductContext(IList<Product> products)
+        private string BuildProductContext(IList<ProductSearchResult> products)
         {
             var sb = new StringBuilder();
-            sb.AppendLine("Available Products in our catalog:");
+            if (products.Count == 0)
+            {
+                sb.AppendLine("No products matched the customer's latest message. Use the search_products tool to look products up.");
+                return sb.ToString();
+            }
+
+            sb.AppendLine("Products most relevant to the customer's latest message:");
             sb.AppendLine();
 
             foreach (var product in products)
             {
-                sb.AppendLine($"- {product.Name} (SKU: {product.Sku})");
-                sb.AppendLine($"  Price: {product.Price:C} {product.Currency}");
+                sb.AppendLine($"- {product.Name} (ID: {product.Id}, SKU: {product.Sku})");
+                sb.AppendLine($"  Price: {product.Price:C}");
                 if (!string.IsNullOrEmpty(product.Description))
                 {
                     sb.AppendLine($"  Description: {product.Description}");
@@ -160,6 +511,105 @@ namespace RetailDecomposed.Services
             return sb.ToString();
         }
 
+        // Describes the page the customer is on from the ids it reported, reading the product, stock, order and cart from the services
+        private async Task<string?> BuildPageContextAsync(ChatPageContext? page, string? customerId, Activity? activity, CancellationToken ct)
+        {
+            if (page is null)
+            {
+                return null;
+            }
+
+            activity?.SetTag("copilot.page", page.Page);
+            activity?.SetTag("copilot.page.product_id", page.ProductId);
+            activity?.SetTag("copilot.page.order_id", page.OrderId);
+
+            var sb = new StringBuilder();
+            var path = CleanPageText(page.Path, MaxPagePathLength);
+            var where = page.Page switch
+            {
+                ChatPages.Product => "a product page",
+                ChatPages.Cart => "their cart page",
+                ChatPages.Order => "an order details page",
+                _ => "a page of the store"
+            };
+            sb.AppendLine(path?.StartsWith('/') == true
+                ? $"The customer sent their latest message from {where} ({path})."
+                : $"The customer sent their latest message from {where}.");
+
+            try
+            {
+                if (page.ProductId is int productId)
+                {
+                    var product = await _productsApiClient.GetProductByIdAsync(productId, ct);
+                    if (product is null || !product.IsActive)
+                    {
+                        sb.AppendLine($"The product on the page (ID: {productId}) is no longer sold.");
+                    }
+                    else
+                    {
+                        sb.AppendLine("Product on the page:");
+                        sb.AppendLine($"- {product.Name} (ID: {product.Id}, SKU: {product.Sku})");
+                        sb.AppendLine($"  Price: {product.Price:C}");
+                        var stock = (await _productsApiClient.GetStockAsync(new[] { product.Sku }, ct))[product.Sku];
+                        sb.AppendLine(stock > 0 ? $"  Stock: {stock} available" : "  Stock: out of stock");
+                    }
+                }
+
+                // Only the customer's own orders are described, like the get_order tool
+                if (page.OrderId is int orderId && customerId != null)
+                {
+                    var order = await _ordersApiClient.GetOrderByIdAsync(orderId, ct);
+                    if (order != null && order.CustomerId == customerId)
+                    {
+                        sb.AppendLine($"Order on the page: #{order.Id}, placed {order.CreatedUtc:yyyy-MM-dd}, status {order.Status}, total {order.Total:C}");
+                        foreach (var line in order.Lines)
+                        {
+                            sb.AppendLine($"- {line.Quantity} × {line.Name} (SKU: {line.Sku}) at {line.UnitPrice:C}");
+                        }
+                    }
+                }
+
+                // The signed-in customer's own cart, read here rather than taken from the page
+                if (page.Page == ChatPages.Cart && customerId != null)
+                {
+                    var cart = await _cartApiClient.GetCartAsync(customerId, ct);
+                    activity?.SetTag("copilot.page.cart_line_count", cart.Lines.Count);
+                    if (cart.Lines.Count > 0)
+                    {
+                        sb.AppendLine($"Cart on the page ({cart.Lines.Sum(l => l.Quantity)} items, total {cart.Lines.Sum(l => l.UnitPrice * l.Quantity):C}):");
+                        foreach (var line in cart.Lines.Take(MaxPageCartLines))
+                        {
+                            sb.AppendLine($"- {line.Quantity} × {line.Name} (SKU: {line.Sku}) at {line.UnitPrice:C}");
+                        }
+                    }
+                    else
+                    {
+                        sb.AppendLine("The cart on the page is empty.");
+                    }
+                }
+            }
+            catch (Exception ex) when (!ct.IsCancellationRequested)
+            {
+                // The tools can still look the product, order or cart up
+                activity?.SetTag("copilot.page.lookup_failed", true);
+                _logger.LogWarning(ex, "Could not look up the page the chat message was sent from");
+            }
+
+            return sb.ToString().TrimEnd();
+        }
+
+        // The path comes from the browser, so it is kept short and on one line
+        private static string? CleanPageText(string? value, int maxLength)
+        {
+            if (string.IsNullOrWhiteSpace(value))
+            {
+                return null;
+            }
+
+            var singleLine = new string(value.Where(c => !char.IsControl(c)).ToArray()).Trim();
+            return singleLine.Length <= maxLength ? singleLine : singleLine[..maxLength];
+        }
+
         private string BuildSystemMessage(string productContext)
         {
             return $@"You are a friendly and helpful retail shopping assistant for an online store. Your role is to:
@@ -171,24 +621,35 @@ namespace RetailDecomposed.Services
 5. Help customers add products to cart and place orders
 6. Be enthusiastic and conversational while remaining professional
 
-Current Product Catalog:
+Relevant Products:
 {productContext}
 
 Guidelines:
 - Always be friendly, helpful, and concise
+- The products above are only the closest matches to the latest message, not the whole catalog. If none of them fit, call search_products before telling the customer we do not stock something
 - If a customer asks about a product not in our catalog, politely let them know and suggest similar alternatives if available
 - When recommending products, explain why they're a good fit
 - Include prices when discussing products
 - If you're unsure about something, be honest and offer to help in another way
 - Keep responses focused and conversational - avoid overly long explanations unless asked
 
+Tools:
+- Call search_products or get_product to check current prices and availability before promising them
+- Call get_cart, list_orders or get_order when the customer asks about their cart or their orders
+- When the customer asks you to add something to their cart, call propose_add_to_cart with the quantity they want
+- When the customer asks to check out or place an order, call propose_place_order
+- Proposals do not change anything: the customer sees a confirmation button. Never say an item was added or an order was placed; say it is ready for them to confirm
+
 Interactive Features:
 - When mentioning a specific product, ALWAYS add [PRODUCT:id:ProductName] to create a clickable link
 - ALWAYS add [ADD_TO_CART:id:ProductName] button after EVERY product mention so customers can add to cart easily
 - When recommending 3 OR MORE products in a single response, ALWAYS add [ADD_ALL_TO_CART:id1,id2,id3,...] at the end
+- When the customer wants more than one of a product, put the quantity after the name: [ADD_TO_CART:12:Wool Socks:3]. In [ADD_ALL_TO_CART] write id x quantity with no spaces: [ADD_ALL_TO_CART:12x3,15,20x2]
 - CRITICAL: Every product reference MUST include both [PRODUCT:id:ProductName] and [ADD_TO_CART:id:ProductName]
 - Use these features in EVERY response that mentions products
+- To point the customer to a page, add [NAVIGATE:/path:Label], e.g. [NAVIGATE:/Cart:View your cart] or [NAVIGATE:/Orders:Your orders]. Only /Products, /Cart, /Checkout, /Orders and /Search are allowed
 - Format: ""Check out [PRODUCT:5:Product Name] [ADD_TO_CART:5:Product Name]""
+- End every response with up to 3 short questions the customer might ask next, each as [FOLLOW_UP:question] on its own line, written as the customer would ask them, e.g. [FOLLOW_UP:Does it come in other colours?]
 
 Examples:
 - ""I recommend the [PRODUCT:5:Dell XPS 13] [ADD_TO_CART:5:Dell XPS 13] - it's perfect for your needs!""
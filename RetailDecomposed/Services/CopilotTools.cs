@@ -0,0 +1,335 @@
+using OpenAI.Chat;
+using RetailDecomposed.Models;
+using System.Diagnostics;
+using System.Text.Json;
+
+namespace RetailDecomposed.Services
+{
+    /// <summary>
+    /// Functions the copilot model can call to look up live catalog, cart and order data.
+    /// Tools never change the cart or place orders: they return proposed actions that the
+    /// chat UI shows to the user for confirmation.
+    /// </summary>
+    public class CopilotTools
+    {
+        public const string SearchProducts = "search_products";
+        public const string GetProduct = "get_product";
+        public const string GetCart = "get_cart";
+        public const string ListOrders = "list_orders";
+        public const string GetOrder = "get_order";
+        public const string ProposeAddToCart = "propose_add_to_cart";
+        public const string ProposePlaceOrder = "propose_place_order";
+
+        // Keeps tool results small enough to fit comfortably in the prompt
+        private const int MaxSearchResults = 10;
+        private const int MaxListedOrders = 10;
+
+        private static readonly JsonSerializerOptions _jsonOptions = new(JsonSerializerDefaults.Web);
+        private static readonly ActivitySource _activitySource = TelemetryActivitySources.Copilot;
+
+        private readonly IProductsApiClient _productsApiClient;
+        private readonly ICartApiClient _cartApiClient;
+        private readonly IOrdersApiClient _ordersApiClient;
+        private readonly string? _customerId;
+        private readonly List<CopilotProposedAction> _proposedActions = new();
+
+        public CopilotTools(
+            IProductsApiClient productsApiClient,
+            ICartApiClient cartApiClient,
+            IOrdersApiClient ordersApiClient,
+            string? customerId)
+        {
+            _productsApiClient = productsApiClient;
+            _cartApiClient = cartApiClient;
+            _ordersApiClient = ordersApiClient;
+            _customerId = customerId;
+        }
+
+        /// <summary>
+        /// Actions the model proposed during this request, in the order it proposed them.
+        /// </summary>
+        public IReadOnlyList<CopilotProposedAction> ProposedActions => _proposedActions;
+
+        /// <summary>
+        /// Tool definitions for the chat options. Cart and order tools are only offered for a known customer.
+        /// </summary>
+        public IEnumerable<ChatTool> GetDefinitions()
+        {
+            yield return ChatTool.CreateFunctionTool(
+                SearchProducts,
+                "Searches the active product catalog by keyword, category and maximum price. Returns matching products with their current price and availability.",
+                BinaryData.FromString("""
+                {
+                    "type": "object",
+                    "properties": {
+                        "query": { "type": "string", "description": "Words to look for in the product name or description" },
+                        "category": { "type": "string", "description": "Exact product category, e.g. Electronics" },
+                        "maxPrice": { "type": "number", "description": "Highest unit price to include" }
+                    }
+                }
+                """));
+
+            yield return ChatTool.CreateFunctionTool(
+                GetProduct,
+                "Gets the current details, price and availability of one product.",
+                BinaryData.FromString("""
+                {
+                    "type": "object",
+                    "properties": {
+                        "productId": { "type": "integer", "description": "Product id" }
+                    },
+                    "required": ["productId"]
+                }
+                """));
+
+            if (_customerId is null)
+            {
+                yield break;
+            }
+
+            yield return ChatTool.CreateFunctionTool(
+                GetCart,
+                "Gets the items currently in the customer's cart and the cart total.",
+                BinaryData.FromString("""{ "type": "object", "properties": {} }"""));
+
+            yield return ChatTool.CreateFunctionTool(
+                ListOrders,
+                "Lists the customer's most recent orders, newest first.",
+                BinaryData.FromString("""{ "type": "object", "properties": {} }"""));
+
+            yield return ChatTool.CreateFunctionTool(
+                GetOrder,
+                "Gets one of the customer's orders with its lines.",
+                BinaryData.FromString("""
+                {
+                    "type": "object",
+                    "properties": {
+                        "orderId": { "type": "integer", "description": "Order id" }
+                    },
+                    "required": ["orderId"]
+                }
+                """));
+
+            yield return ChatTool.CreateFunctionTool(
+                ProposeAddToCart,
+                "Proposes adding a product to the customer's cart. The cart is not changed: the customer sees a confirmation button and decides.",
+                BinaryData.FromString("""
+                {
+                    "type": "object",
+                    "properties": {
+                        "productId": { "type": "integer", "description": "Product id" },
+                        "quantity": { "type": "integer", "description": "How many to add (defaults to 1)" }
+                    },
+                    "required": ["productId"]
+                }
+                """));
+
+            yield return ChatTool.CreateFunctionTool(
+                ProposePlaceOrder,
+                "Proposes checking out the customer's current cart. No order is placed: the customer reviews the order summary and confirms it.",
+                BinaryData.FromString("""{ "type": "object", "properties": {} }"""));
+        }
+
+        /// <summary>
+        /// Runs a tool call and returns its result as JSON for the model.
+        /// Failures are returned to the model as an error object so it can tell the user.
+        /// </summary>
+        public async Task<string> InvokeAsync(string name, BinaryData arguments, CancellationToken ct = default)
+        {
+            using var activity = _activitySource.StartActivity($"CopilotTool.{name}", ActivityKind.Internal);
+            activity?.SetTag("copilot.tool.name", name);
+
+            try
+            {
+                var json = arguments.ToString();
+                using var document = JsonDocument.Parse(string.IsNullOrWhiteSpace(json) ? "{}" : json);
+                var args = document.RootElement;
+
+                object result = name switch
+                {
+                    SearchProducts => await SearchProductsAsync(args, ct),
+                    GetProduct => await GetProductAsync(args, ct),
+                    GetCart => await GetCartAsync(ct),
+                    ListOrders => await ListOrdersAsync(ct),
+                    GetOrder => await GetOrderAsync(args, ct),
+                    ProposeAddToCart => await ProposeAddToCartAsync(args, ct),
+                    ProposePlaceOrder => await ProposePlaceOrderAsync(ct),
+                    _ => Error($"Unknown tool '{name}'")
+                };
+
+                return JsonSerializer.Serialize(result, _jsonOptions);
+            }
+            catch (OperationCanceledException) when (ct.IsCancellationRequested)
+            {
+                throw;
+            }
+            catch (Exception ex)
+            {
+                activity?.SetStatus(ActivityStatusCode.Error, ex.Message);
+                activity?.RecordException(ex);
+                return JsonSerializer.Serialize(Error(ex is JsonException or KeyNotFoundException or InvalidOperationException or FormatException
+                    ? $"Invalid arguments for '{name}'"
+                    : $"'{name}' is unavailable right now"), _jsonOptions);
+            }
+        }
+
+        private async Task<object> SearchProductsAsync(JsonElement args, CancellationToken ct)
+        {
+            var query = GetString(args, "query");
+            var category = GetString(args, "category");
+            var maxPrice = args.TryGetProperty("maxPrice", out var price) && price.ValueKind == JsonValueKind.Number
+                ? price.GetDecimal()
+                : (decimal?)null;
+
+            var products = (await _productsApiClient.GetProductsAsync(ct))
+                .Where(p => p.IsActive)
+                .Where(p => category is null || string.Equals(p.Category, category, StringComparison.OrdinalIgnoreCase))
+                .Where(p => maxPrice is null || p.Price <= maxPrice)
+                .Where(p => query is null || MatchesQuery(p, query))
+                .Take(MaxSearchResults)
+                .ToList();
+
+            var stock = await _productsApiClient.GetStockAsync(products.Select(p => p.Sku), ct);
+            return new { products = products.Select(p => ToProductResult(p, stock[p.Sku])).ToList() };
+        }
+
+        private async Task<object> GetProductAsync(JsonElement args, CancellationToken ct)
+        {
+            var product = await _productsApiClient.GetProductByIdAsync(args.GetProperty("productId").GetInt32(), ct);
+            if (product is null)
+            {
+                return Error("Product not found");
+            }
+
+            var stock = await _productsApiClient.GetStockAsync(new[] { product.Sku }, ct);
+            return ToProductResult(product, stock[product.Sku]);
+        }
+
+        private async Task<object> GetCartAsync(CancellationToken ct)
+        {
+            var cart = await _cartApiClient.GetCartAsync(_customerId!, ct);
+            return new
+            {
+                lines = cart.Lines.Select(l => new { l.Sku, l.Name, l.UnitPrice, l.Quantity }),
+                total = cart.Lines.Sum(l => l.UnitPrice * l.Quantity)
+            };
+        }
+
+        private async Task<object> ListOrdersAsync(CancellationToken ct)
+        {
+            // The orders service lists every customer's orders, so only the caller's are passed on
+            var orders = (await _ordersApiClient.GetOrdersAsync(ct))
+                .Where(o => o.CustomerId == _customerId)
+                .OrderByDescending(o => o.CreatedUtc)
+                .Take(MaxListedOrders)
+                .Select(o => new { o.Id, o.CreatedUtc, o.Status, o.Total, itemCount = o.Lines.Sum(l => l.Quantity) })
+                .ToList();
+
+            return new { orders };
+        }
+
+        private async Task<object> GetOrderAsync(JsonElement args, CancellationToken ct)
+        {
+            var order = await _ordersApiClient.GetOrderByIdAsync(args.GetProperty("orderId").GetInt32(), ct);
+
+            // Someone else's order is reported as missing rather than forbidden
+            if (order is null || order.CustomerId != _customerId)
+            {
+                return Error("Order not found");
+            }
+
+            return new
+            {
+                order.Id,
+                order.CreatedUtc,
+                order.Status,
+                order.Total,
+                lines = order.Lines.Select(l => new { l.Sku, l.Name, l.UnitPrice, l.Quantity })
+            };
+        }
+
+        private async Task<object> ProposeAddToCartAsync(JsonElement args, CancellationToken ct)
+        {
+            var quantity = args.TryGetProperty("quantity", out var value) && value.ValueKind == JsonValueKind.Number
+                ? value.GetInt32()
+                : 1;
+            if (quantity < 1 || quantity > CartQuantityRequest.MaxQuantity)
+            {
+                return Error($"Quantity must be between 1 and {CartQuantityRequest.MaxQuantity}");
+            }
+
+            var product = await _productsApiClient.GetProductByIdAsync(args.GetProperty("productId").GetInt32(), ct);
+            if (product is null || !product.IsActive)
+            {
+                return Error("Product not found or no longer available");
+            }
+
+            var stock = (await _productsApiClient.GetStockAsync(new[] { product.Sku }, ct))[product.Sku];
+            if (stock == 0)
+            {
+                return Error("Product is out of stock");
+            }
+            if (quantity > stock)
+            {
+                return Error($"Only {stock} in stock");
+            }
+
+            _proposedActions.Add(new CopilotProposedAction
+            {
+                Type = CopilotProposedActionTypes.AddToCart,
+                ProductId = product.Id,
+                Name = product.Name,
+                UnitPrice = product.Price,
+                Quantity = quantity,
+                Total = product.Price * quantity
+            });
+
+            return new { status = "proposed", message = "The customer has been asked to confirm adding this to their cart." };
+        }
+
+        private async Task<object> ProposePlaceOrderAsync(CancellationToken ct)
+        {
+            var cart = await _cartApiClient.GetCartAsync(_customerId!, ct);
+            if (cart.Lines.Count == 0)
+            {
+                return Error("The cart is empty");
+            }
+
+            _proposedActions.Add(new CopilotProposedAction
+            {
+                Type = CopilotProposedActionTypes.PlaceOrder,
+                Quantity = cart.Lines.Sum(l => l.Quantity),
+                Total = cart.Lines.Sum(l => l.UnitPrice * l.Quantity)
+            });
+
+            return new { status = "proposed", message = "The customer has been asked to review and confirm the order." };
+        }
+
+        private static bool MatchesQuery(Product product, string query)
+        {
+            var terms = query.Split(' ', StringSplitOptions.RemoveEmptyEntries | StringSplitOptions.TrimEntries);
+            var text = $"{product.Name} {product.Description} {product.Category}";
+            return terms.Any(term => text.Contains(term, StringComparison.OrdinalIgnoreCase));
+        }
+
+        private static object ToProductResult(Product product, int stockQuantity) => new
+        {
+            product.Id,
+            product.Sku,
+            product.Name,
+            product.Description,
+            product.Category,
+            product.Price,
+            product.Currency,
+            stockQuantity,
+            inStock = product.IsActive && stockQuantity > 0
+        };
+
+        private static string? GetString(JsonElement args, string property) =>
+            args.TryGetProperty(property, out var value) && value.ValueKind == JsonValueKind.String && !string.IsNullOrWhiteSpace(value.GetString())
+                ? value.GetString()!.Trim()
+                : null;
+
+        private static object Error(string message) => new { error = message };
+    }
+}
@@ -0,0 +1,332 @@
+using OpenAI.Chat;
+using System.Globalization;
+using System.Runtime.CompilerServices;
+using System.Text;
+using System.Text.Json;
+using System.Text.RegularExpressions;
+
+namespace RetailDecomposed.Services
+{
+    /// <summary>
+    /// Scripted model for development and tests without Azure or any network access.
+    /// Replies are deterministic: a question is answered by calling one of the copilot's tools
+    /// (search_products, get_cart, list_orders...) and then turning the tool's result into a reply
+    /// with the same interactive tags a real model writes, so every chat UI flow can be exercised offline.
+    /// </summary>
+    public class FakeChatModelProvider : IChatModelProvider
+    {
+        // Lets the chat UI's error handling be tried on purpose
+        public const string FailureTrigger = "simulate error";
+
+        private const int MaxListedProducts = 5;
+
+        private static readonly Regex PlaceOrderPattern = new(@"\b(?:check\s?out|place (?:my |an |the )?order)\b", RegexOptions.IgnoreCase | RegexOptions.Compiled);
+        private static readonly Regex OrderIdPattern = new(@"\border\s*#?(?<id>\d+)\b", RegexOptions.IgnoreCase | RegexOptions.Compiled);
+        private static readonly Regex OrdersPattern = new(@"\b(?:my orders?|order history|past orders)\b", RegexOptions.IgnoreCase | RegexOptions.Compiled);
+        private static readonly Regex CartPattern = new(@"\b(?:my cart|in my basket|my basket|the cart)\b", RegexOptions.IgnoreCase | RegexOptions.Compiled);
+        private static readonly Regex AddToCartPattern = new(
+            @"\badd\s+(?:(?<quantity>\d+)\s+(?:x\s+|of\s+)?)?(?:product|item)\s*#?(?<id>\d+)",
+            RegexOptions.IgnoreCase | RegexOptions.Compiled);
+        private static readonly Regex WordPattern = new(@"[a-z][a-z-]{2,}", RegexOptions.IgnoreCase | RegexOptions.Compiled);
+
+        // Words that say nothing about which product is wanted
+        private static readonly HashSet<string> StopWords = new(StringComparer.OrdinalIgnoreCase)
+        {
+            "hello", "hey", "hiya", "thanks", "thank", "please", "show", "find", "look", "looking", "search", "need", "want",
+            "would", "like", "could", "can", "you", "your", "have", "has", "got", "any", "some", "something", "the", "and",
+            "for", "with", "what", "which", "are", "there", "recommend", "suggest", "good", "best", "great", "nice", "cheap",
+            "products", "product", "items", "item", "things", "buy", "get", "about", "under", "over", "below", "above",
+            "between", "less", "more", "than", "least", "most", "max", "maximum", "min", "minimum", "within", "price", "priced"
+        };
+
+        private readonly TimeSpan _chunkDelay;
+
+        public FakeChatModelProvider(IConfiguration configuration)
+        {
+            _chunkDelay = TimeSpan.FromMilliseconds(int.Parse(configuration["ChatModel:FakeChunkDelayMs"] ?? "0"));
+        }
+
+        public string Name => ChatModelProviders.Fake;
+
+        public string ModelName => "fake-scripted";
+
+        public Task<ChatModelCompletion> CompleteChatAsync(
+            IReadOnlyList<OpenAI.Chat.ChatMessage> messages,
+            ChatCompletionOptions options,
+            CancellationToken ct = default)
+        {
+            ct.ThrowIfCancellationRequested();
+            return Task.FromResult(NextTurn(messages, options));
+        }
+
+        public async IAsyncEnumerable<ChatModelUpdate> CompleteChatStreamingAsync(
+            IReadOnlyList<OpenAI.Chat.ChatMessage> messages,
+            ChatCompletionOptions options,
+            [EnumeratorCancellation] CancellationToken ct = default)
+        {
+            var turn = NextTurn(messages, options);
+
+            // Word by word, so tags are split across chunks the way a real stream splits them
+            foreach (Match chunk in Regex.Matches(turn.Content, @"\S+\s*"))
+            {
+                if (_chunkDelay > TimeSpan.Zero)
+                {
+                    await Task.Delay(_chunkDelay, ct);
+                }
+                ct.ThrowIfCancellationRequested();
+                yield return new ChatModelUpdate { Content = chunk.Value };
+            }
+
+            yield return new ChatModelUpdate
+            {
+                ToolCalls = turn.ToolCalls.Count > 0 ? turn.ToolCalls : null,
+                Usage = turn.Usage
+            };
+        }
+
+        private static ChatModelCompletion NextTurn(IReadOnlyList<OpenAI.Chat.ChatMessage> messages, ChatCompletionOptions options)
+        {
+            if (messages.Count == 2 && messages[0] is SystemChatMessage && GetText(messages[0]) == ChatHistoryService.SummaryInstructions)
+            {
+                var summary = new ChatModelCompletion { Content = Summarize(GetText(messages[1])) };
+                summary.Usage = EstimateUsage(messages, summary);
+                return summary;
+            }
+
+            var userIndex = -1;
+            for (var i = messages.Count - 1; i >= 0; i--)
+            {
+                if (messages[i] is UserChatMessage)
+                {
+                    userIndex = i;
+                    break;
+                }
+            }
+
+            var question = userIndex >= 0 ? GetText(messages[userIndex]) : string.Empty;
+            if (question.Contains(FailureTrigger, StringComparison.OrdinalIgnoreCase))
+            {
+                throw new InvalidOperationException("Scripted model failure");
+            }
+
+            // One tool round per question: once results are back, answer from them
+            var toolResults = messages.Skip(userIndex + 1).OfType<ToolChatMessage>().Select(GetText).ToList();
+            var completion = new ChatModelCompletion();
+            if (toolResults.Count > 0)
+            {
+                completion.Content = DescribeToolResult(toolResults[^1]);
+            }
+            else
+            {
+                var toolCall = ChooseToolCall(question, options, messages.Count);
+                if (toolCall != null)
+                {
+                    completion.ToolCalls.Add(toolCall);
+                }
+                else
+                {
+                    completion.Content = "Hi! I can help you find products, check what's in your cart and look up your orders. " +
+                        "Try asking for \"running shoes under £100\". [NAVIGATE:/Products:Browse all products]";
+                }
+            }
+
+            completion.Usage = EstimateUsage(messages, completion);
+            return completion;
+        }
+
+        private static ChatToolCall? ChooseToolCall(string question, ChatCompletionOptions options, int messageCount)
+        {
+            var available = options.Tools.Select(t => t.FunctionName).ToHashSet();
+            var id = $"call_{messageCount}";
+
+            ChatToolCall? Call(string name, object arguments) =>
+                available.Contains(name) ? ChatToolCall.CreateFunctionToolCall(id, name, BinaryData.FromObjectAsJson(arguments)) : null;
+
+            var addToCart = AddToCartPattern.Match(question);
+            if (addToCart.Success)
+            {
+                var quantity = addToCart.Groups["quantity"].Success ? int.Parse(addToCart.Groups["quantity"].Value) : 1;
+                return Call(CopilotTools.ProposeAddToCart, new { productId = int.Parse(addToCart.Groups["id"].Value), quantity });
+            }
+            if (PlaceOrderPattern.IsMatch(question))
+            {
+                return Call(CopilotTools.ProposePlaceOrder, new { });
+            }
+
+            var orderId = OrderIdPattern.Match(question);
+            if (orderId.Success)
+            {
+                return Call(CopilotTools.GetOrder, new { orderId = int.Parse(orderId.Groups["id"].Value) });
+            }
+            if (OrdersPattern.IsMatch(question))
+            {
+                return Call(CopilotTools.ListOrders, new { });
+            }
+            if (CartPattern.IsMatch(question))
+            {
+                return Call(CopilotTools.GetCart, new { });
+            }
+
+            var filters = ProductQueryFilters.Infer(question);
+            var words = WordPattern.Matches(question).Select(m => m.Value).Where(w => !StopWords.Contains(w)).ToList();
+            if (filters.IsEmpty && words.Count == 0)
+            {
+                return null;
+            }
+
+            // A recognised category is a better filter than the words that named it
+            return Call(CopilotTools.SearchProducts, new
+            {
+                query = filters.Category is null && words.Count > 0 ? string.Join(' ', words) : null,
+                category = filters.Category,
+                maxPrice = filters.MaxPrice
+            });
+        }
+
+        private static string DescribeToolResult(string json)
+        {
+            using var document = JsonDocument.Parse(json);
+            var result = document.RootElement;
+
+            if (result.TryGetProperty("error", out var error))
+            {
+                return $"Sorry, I couldn't do that: {error.GetString()}.";
+            }
+            if (result.TryGetProperty("status", out var status) && status.GetString() == "proposed")
+            {
+                return "That's ready for you. Please confirm it below.";
+            }
+            if (result.TryGetProperty("products", out var products))
+            {
+                return DescribeProducts(products.EnumerateArray().ToList());
+            }
+            if (result.TryGetProperty("orders", out var orders))
+            {
+                return DescribeOrders(orders.EnumerateArray().ToList());
+            }
+            if (result.TryGetProperty("lines", out var lines))
+            {
+                return result.TryGetProperty("status", out _)
+                    ? DescribeOrder(result, lines.EnumerateArray().ToList())
+                    : DescribeCart(result, lines.EnumerateArray().ToList());
+            }
+            if (result.TryGetProperty("sku", out _))
+            {
+                var availability = result.GetProperty("inStock").GetBoolean() ? "in stock" : "currently unavailable";
+                return $"The {ProductTags(result)} costs {Price(result.GetProperty("price"))} and is {availability}.";
+            }
+
+            return "I've checked that for you.";
+        }
+
+        private static string DescribeProducts(List<JsonElement> products)
+        {
+            if (products.Count == 0)
+            {
+                return "I couldn't find anything that matches. [NAVIGATE:/Products:Browse all products]";
+            }
+
+            var listed = products.Take(MaxListedProducts).ToList();
+            var sb = new StringBuilder();
+            sb.AppendLine(listed.Count == 1 ? "Here's what I found:" : $"Here are {listed.Count} products you might like:");
+            sb.AppendLine();
+            foreach (var product in listed)
+            {
+                sb.AppendLine($"- {ProductTags(product)} for {Price(product.GetProperty("price"))}");
+            }
+
+            if (listed.Count >= 3)
+            {
+                sb.AppendLine();
+                sb.Append($"[ADD_ALL_TO_CART:{string.Join(',', listed.Select(p => p.GetProperty("id").GetInt32()))}]");
+            }
+
+            // Questions this script can answer, so the follow-up chips lead somewhere
+            return sb.ToString().TrimEnd() + FollowUps($"Add product {listed[0].GetProperty("id").GetInt32()} to my cart", "What's in my cart?");
+        }
+
+        private static string DescribeCart(JsonElement cart, List<JsonElement> lines)
+        {
+            if (lines.Count == 0)
+            {
+                return "Your cart is empty. [NAVIGATE:/Products:Browse products]";
+            }
+
+            var sb = new StringBuilder();
+            sb.AppendLine("Here's what's in your cart:");
+            sb.AppendLine();
+            foreach (var line in lines)
+            {
+                sb.AppendLine($"- {line.GetProperty("quantity").GetInt32()} × {line.GetProperty("name").GetString()} at {Price(line.GetProperty("unitPrice"))}");
+            }
+            sb.AppendLine();
+            sb.Append($"Total: **{Price(cart.GetProperty("total"))}** [NAVIGATE:/Cart:View your cart]");
+            sb.Append(FollowUps("I'd like to check out", "Show me my orders"));
+            return sb.ToString();
+        }
+
+        private static string DescribeOrders(List<JsonElement> orders)
+        {
+            if (orders.Count == 0)
+            {
+                return "You haven't placed any orders yet. [NAVIGATE:/Products:Start shopping]";
+            }
+
+            var sb = new StringBuilder();
+            sb.AppendLine("Your most recent orders:");
+            sb.AppendLine();
+            foreach (var order in orders)
+            {
+                sb.AppendLine($"- Order #{order.GetProperty("id").GetInt32()}: {order.GetProperty("status").GetString()}, {Price(order.GetProperty("total"))}");
+            }
+            sb.AppendLine();
+            sb.Append("[NAVIGATE:/Orders:Your orders]");
+            return sb.ToString();
+        }
+
+        private static string DescribeOrder(JsonElement order, List<JsonElement> lines)
+        {
+            var id = order.GetProperty("id").GetInt32();
+            var items = string.Join(", ", lines.Select(l => $"{l.GetProperty("quantity").GetInt32()} × {l.GetProperty("name").GetString()}"));
+            return $"Order #{id} is {order.GetProperty("status").GetString()}, total {Price(order.GetProperty("total"))}: {items}. " +
+                $"[NAVIGATE:/Orders/Details?id={id}:Order details]";
+        }
+
+        private static string ProductTags(JsonElement product)
+        {
+            var id = product.GetProperty("id").GetInt32();
+            var name = product.GetProperty("name").GetString();
+            return $"[PRODUCT:{id}:{name}] [ADD_TO_CART:{id}:{name}]";
+        }
+
+        private static string FollowUps(params string[] questions) =>
+            "\n" + string.Concat(questions.Select(q => $"\n[FOLLOW_UP:{q}]"));
+
+        private static string Price(JsonElement amount) =>
+            "£" + amount.GetDecimal().ToString("N2", CultureInfo.InvariantCulture);
+
+        // Keeps the previous summary and quotes everything the customer said, so carried-forward details can be checked
+        private static string Summarize(string transcript)
+        {
+            var lines = transcript.Split('\n').Select(line => line.TrimEnd('\r')).ToList();
+            var previous = string.Join(' ', lines
+                .SkipWhile(line => line != "Summary so far:").Skip(1)
+                .TakeWhile(line => line != "New messages:")
+                .Where(line => line.Length > 0 && line != "(none)"));
+            var said = lines
+                .Where(line => line.StartsWith("Customer: ", StringComparison.Ordinal))
+                .Select(line => $"\"{line["Customer: ".Length..]}\"");
+
+            return $"{previous} The customer said: {string.Join("; ", said)}.".Trim();
+        }
+
+        private static string GetText(OpenAI.Chat.ChatMessage message) =>
+            string.Concat(message.Content.Select(part => part.Text));
+
+        // Estimated from the text, as there is no real model to report it
+        private static CopilotTokenUsage EstimateUsage(IReadOnlyList<OpenAI.Chat.ChatMessage> messages, ChatModelCompletion completion) =>
+            CopilotTokenUsage.Estimate(
+                messages.Sum(m => GetText(m).Length),
+                completion.Content.Length + completion.ToolCalls.Sum(c => c.FunctionArguments.ToString().Length));
+    }
+}
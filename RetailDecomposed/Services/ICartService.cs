@@ -9,5 +9,97 @@ namespace RetailDecomposed.Services
         Task<Cart> GetCartWithLinesAsync(string customerId, CancellationToken ct = default);
         Task ClearCartAsync(string customerId, CancellationToken ct = default);
         Task RemoveFromCartAsync(string customerId, string sku, CancellationToken ct = default);
+
+        /// <summary>
+        /// Takes some of a line's quantity out of the cart, removing the line when none is left.
+        /// </summary>
+        /// <param name="customerId">Customer whose cart is changed</param>
+        /// <param name="sku">SKU of the line</param>
+        /// <param name="quantity">How many to take out; at least 1</param>
+        /// <param name="ct">Cancellation token</param>
+        Task RemoveQuantityFromCartAsync(string customerId, string sku, int quantity, CancellationToken ct = default);
+
+        /// <summary>
+        /// Sets a line's quantity.
+        /// </summary>
+        /// <param name="customerId">Customer whose cart is changed</param>
+        /// <param name="sku">SKU of the line</param>
+        /// <param name="quantity">The new quantity, from 1 to <see cref="CartQuantityRequest.MaxQuantity"/></param>
+        /// <param name="ct">Cancellation token</param>
+        /// <returns>False when the cart has no line with that SKU</returns>
+        Task<bool> UpdateQuantityAsync(string customerId, string sku, int quantity, CancellationToken ct = default);
+
+        /// <summary>
+        /// Adds several products to the cart in one change.
+        /// </summary>
+        /// <param name="customerId">Customer whose cart is changed</param>
+        /// <param name="items">Products and quantities to add</param>
+        /// <param name="mode">One of <see cref="CartBatchModes"/>; all-or-nothing adds nothing unless every item can be added</param>
+        /// <param name="ct">Cancellation token</param>
+        /// <returns>What happened to each item, in the order given</returns>
+        Task<CartBatchResult> AddItemsAsync(string customerId, IReadOnlyList<CartBatchItem> items, string mode, CancellationToken ct = default);
+    }
+
+    /// <summary>
+    /// Body of POST /api/cart/{customerId}/items/batch.
+    /// </summary>
+    public class CartBatchRequest
+    {
+        public const int MaxItems = 50;
+
+        public List<CartBatchItem>? Items { get; set; }
+        public string? Mode { get; set; } // see CartBatchModes; all-or-nothing when omitted
+    }
+
+    /// <summary>
+    /// Body of PATCH /api/cart/{customerId}/items/{sku}.
+    /// </summary>
+    public class CartQuantityRequest
+    {
+        public const int MaxQuantity = 99;
+
+        public int? Quantity { get; set; }
+    }
+
+    public class CartBatchItem
+    {
+        public int ProductId { get; set; }
+        public int Quantity { get; set; } = 1;
+    }
+
+    public static class CartBatchModes
+    {
+        public const string AllOrNothing = "allOrNothing";
+        public const string BestEffort = "bestEffort";
+
+        public static bool IsValid(string? mode) => mode is null or AllOrNothing or BestEffort;
+    }
+
+    /// <summary>
+    /// Outcome of a batch add.
+    /// </summary>
+    public class CartBatchResult
+    {
+        public string Mode { get; set; } = CartBatchModes.AllOrNothing;
+        public bool Success { get; set; } // every item was added
+        public int AddedCount { get; set; }
+        public List<CartBatchItemResult> Items { get; set; } = new();
+    }
+
+    public class CartBatchItemResult
+    {
+        public int ProductId { get; set; }
+        public int Quantity { get; set; }
+        public string? Sku { get; set; } // null when the product was not found
+        public string? Name { get; set; }
+        public string Status { get; set; } = CartBatchItemStatuses.Added; // see CartBatchItemStatuses
+        public string? Error { get; set; } // why the item failed
+    }
+
+    public static class CartBatchItemStatuses
+    {
+        public const string Added = "added";
+        public const string Failed = "failed";
+        public const string Skipped = "skipped"; // could have been added, but another item failed in all-or-nothing mode
     }
 }
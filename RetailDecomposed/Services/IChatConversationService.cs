@@ -0,0 +1,15 @@
+using RetailDecomposed.Models;
+
+namespace RetailDecomposed.Services
+{
+    public interface IChatConversationService
+    {
+        Task<List<ChatConversation>> GetConversationsAsync(string customerId, CancellationToken ct = default);
+        Task<ChatConversation?> GetConversationAsync(int conversationId, string customerId, CancellationToken ct = default);
+        Task<ChatConversation> CreateConversationAsync(string customerId, string? title = null, CancellationToken ct = default);
+        Task<bool> RenameConversationAsync(int conversationId, string customerId, string title, CancellationToken ct = default);
+        Task<bool> DeleteConversationAsync(int conversationId, string customerId, CancellationToken ct = default);
+        Task<bool> AddMessagesAsync(int conversationId, string customerId, IEnumerable<ChatMessage> messages, CancellationToken ct = default);
+        Task<bool> SaveSummaryAsync(int conversationId, string customerId, string summary, int summarizedMessageCount, CancellationToken ct = default);
+    }
+}
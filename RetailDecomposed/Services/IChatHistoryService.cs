@@ -0,0 +1,28 @@
+using RetailDecomposed.Models;
+
+namespace RetailDecomposed.Services
+{
+    public interface IChatHistoryService
+    {
+        /// <summary>
+        /// Gets the history to send to the model with the next message of a stored conversation.
+        /// When the messages since the last summary go over budget, the oldest of them are folded
+        /// into the conversation's rolling summary first, and the new summary is saved.
+        /// </summary>
+        /// <param name="conversation">The conversation, with its messages in the order they were written</param>
+        /// <param name="ct">Cancellation token</param>
+        /// <returns>The summary (as a "summary" message) followed by the recent messages</returns>
+        Task<ChatHistory> GetHistoryAsync(ChatConversation conversation, CancellationToken ct = default);
+    }
+
+    /// <summary>
+    /// Conversation history ready to be sent to the model.
+    /// </summary>
+    public class ChatHistory
+    {
+        public List<ChatMessage> Messages { get; set; } = new();
+        public int SummarizedMessageCount { get; set; } // stored messages covered by the summary instead of sent in full
+        public bool Summarized { get; set; } // whether the summary was updated for this request
+        public CopilotTokenUsage? SummaryUsage { get; set; } // tokens the model spent updating the summary
+    }
+}
@@ -0,0 +1,75 @@
+using OpenAI.Chat;
+
+namespace RetailDecomposed.Services
+{
+    /// <summary>
+    /// The language model behind the copilot. Chosen with ChatModel:Provider so the chat can run
+    /// against Azure OpenAI, any OpenAI-compatible server, or a scripted fake with no network at all.
+    /// </summary>
+    public interface IChatModelProvider
+    {
+        /// <summary>
+        /// Provider name as configured, e.g. "AzureOpenAI".
+        /// </summary>
+        string Name { get; }
+
+        /// <summary>
+        /// Model or deployment the provider sends requests to.
+        /// </summary>
+        string ModelName { get; }
+
+        /// <summary>
+        /// Gets the model's next turn in one piece.
+        /// </summary>
+        /// <param name="messages">System prompt, conversation and tool results so far</param>
+        /// <param name="options">Token limit, temperature and the tools the model may call</param>
+        /// <param name="ct">Cancellation token</param>
+        /// <returns>The reply text, or the tools the model wants called</returns>
+        Task<ChatModelCompletion> CompleteChatAsync(
+            IReadOnlyList<OpenAI.Chat.ChatMessage> messages,
+            ChatCompletionOptions options,
+            CancellationToken ct = default);
+
+        /// <summary>
+        /// Streams the model's next turn as it is generated.
+        /// </summary>
+        /// <param name="messages">System prompt, conversation and tool results so far</param>
+        /// <param name="options">Token limit, temperature and the tools the model may call</param>
+        /// <param name="ct">Cancellation token</param>
+        /// <returns>Text chunks, then a last update with the requested tool calls and token usage</returns>
+        IAsyncEnumerable<ChatModelUpdate> CompleteChatStreamingAsync(
+            IReadOnlyList<OpenAI.Chat.ChatMessage> messages,
+            ChatCompletionOptions options,
+            CancellationToken ct = default);
+    }
+
+    /// <summary>
+    /// Names accepted by ChatModel:Provider.
+    /// </summary>
+    public static class ChatModelProviders
+    {
+        public const string AzureOpenAI = "AzureOpenAI";
+        public const string OpenAICompatible = "OpenAICompatible";
+        public const string Fake = "Fake";
+    }
+
+    /// <summary>
+    /// One complete model turn.
+    /// </summary>
+    public class ChatModelCompletion
+    {
+        public string Content { get; set; } = string.Empty;
+        public List<ChatToolCall> ToolCalls { get; set; } = new(); // empty when the model answered
+        public CopilotTokenUsage? Usage { get; set; }
+    }
+
+    /// <summary>
+    /// A chunk of a streamed model turn.
+    /// </summary>
+    public class ChatModelUpdate
+    {
+        public string? Content { get; set; }
+        public List<ChatToolCall>? ToolCalls { get; set; } // complete calls, only on the last update
+        public CopilotTokenUsage? Usage { get; set; } // only on the last update
+    }
+}
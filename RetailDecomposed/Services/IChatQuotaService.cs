@@ -0,0 +1,58 @@
+namespace RetailDecomposed.Services
+{
+    public interface IChatQuotaService
+    {
+        /// <summary>
+        /// Checks the user's quotas and, when they allow it, counts a new chat request.
+        /// </summary>
+        /// <param name="customerId">The signed-in user</param>
+        /// <returns>Whether the request may go ahead, and when to retry if not</returns>
+        ChatQuotaDecision TryStartRequest(string customerId);
+
+        /// <summary>
+        /// Adds the tokens used by a completed chat request to the user's daily total.
+        /// </summary>
+        /// <param name="customerId">The signed-in user</param>
+        /// <param name="tokens">Total tokens reported by the model</param>
+        /// <returns>The user's remaining budget</returns>
+        ChatQuotaStatus RecordUsage(string customerId, int tokens);
+
+        /// <summary>
+        /// Gets the user's remaining budget without counting a request.
+        /// </summary>
+        ChatQuotaStatus GetStatus(string customerId);
+    }
+
+    /// <summary>
+    /// Names of the chat quotas, as reported to clients when one is exceeded.
+    /// </summary>
+    public static class ChatQuotaLimits
+    {
+        public const string RequestsPerMinute = "requestsPerMinute";
+        public const string TokensPerDay = "tokensPerDay";
+    }
+
+    /// <summary>
+    /// Result of checking a user's chat quotas before a request.
+    /// </summary>
+    public class ChatQuotaDecision
+    {
+        public bool Allowed { get; set; }
+        public string? ExceededLimit { get; set; } // one of ChatQuotaLimits when not allowed
+        public DateTimeOffset? RetryAtUtc { get; set; }
+        public TimeSpan? RetryAfter { get; set; }
+        public ChatQuotaStatus Status { get; set; } = new();
+    }
+
+    /// <summary>
+    /// A user's remaining chat budget. Limits that are switched off are left null.
+    /// </summary>
+    public class ChatQuotaStatus
+    {
+        public int? RequestsPerMinute { get; set; }
+        public int? RequestsRemaining { get; set; }
+        public int? TokensPerDay { get; set; }
+        public int? TokensRemaining { get; set; }
+        public DateTimeOffset? TokensResetUtc { get; set; }
+    }
+}
@@ -7,12 +7,55 @@ namespace RetailDecomposed.Services
         /// </summary>
         /// <param name="userMessage">The user's message or question</param>
         /// <param name="conversationHistory">Optional conversation history for context</param>
+        /// <param name="customerId">Signed-in customer whose cart and orders the assistant may look up</param>
+        /// <param name="pageContext">The page the message was sent from, when the client knows it</param>
         /// <param name="ct">Cancellation token</param>
-        /// <returns>The AI's response</returns>
-        Task<string> GetChatResponseAsync(
+        /// <returns>The AI's response and the tokens it used</returns>
+        Task<CopilotChatResponse> GetChatResponseAsync(
             string userMessage, 
             List<ChatMessage>? conversationHistory = null, 
+            string? customerId = null,
+            ChatPageContext? pageContext = null,
             CancellationToken ct = default);
+
+        /// <summary>
+        /// Streams the AI copilot's response as the model generates it.
+        /// </summary>
+        /// <param name="userMessage">The user's message or question</param>
+        /// <param name="conversationHistory">Optional conversation history for context</param>
+        /// <param name="customerId">Signed-in customer whose cart and orders the assistant may look up</param>
+        /// <param name="pageContext">The page the message was sent from, when the client knows it</param>
+        /// <param name="ct">Cancellation token</param>
+        /// <returns>Partial response updates in the order they were generated</returns>
+        IAsyncEnumerable<CopilotStreamUpdate> StreamChatResponseAsync(
+            string userMessage,
+            List<ChatMessage>? conversationHistory = null,
+            string? customerId = null,
+            ChatPageContext? pageContext = null,
+            CancellationToken ct = default);
+    }
+
+    /// <summary>
+    /// What the customer is looking at when they send a message. Pages describe themselves through
+    /// ViewData["ChatPageContext"]; the chat client adds the path and attaches it to every request.
+    /// Only ids are sent: the copilot looks up the product, stock, order and cart itself.
+    /// </summary>
+    public class ChatPageContext
+    {
+        public string? Page { get; set; } // one of ChatPages, or null for pages that don't describe themselves
+        public string? Path { get; set; }
+        public int? ProductId { get; set; }
+        public int? OrderId { get; set; }
+    }
+
+    /// <summary>
+    /// Pages that describe themselves to the chat.
+    /// </summary>
+    public static class ChatPages
+    {
+        public const string Product = "product";
+        public const string Cart = "cart";
+        public const string Order = "order";
     }
 
     /// <summary>
@@ -20,7 +63,119 @@ namespace RetailDecomposed.Services
     /// </summary>
     public class ChatMessage
     {
-        public string Role { get; set; } = string.Empty; // "user" or "assistant"
+        public string Role { get; set; } = string.Empty; // "user", "assistant", or "summary" for older messages condensed by IChatHistoryService
+        public string Content { get; set; } = string.Empty;
+    }
+
+    /// <summary>
+    /// A complete copilot response.
+    /// </summary>
+    public class CopilotChatResponse
+    {
         public string Content { get; set; } = string.Empty;
+        public CopilotTokenUsage? Usage { get; set; } // null when the model call failed
+        public List<CopilotChatAction>? Actions { get; set; } // null when the model call failed
+        public List<CopilotProposedAction> ProposedActions { get; set; } = new();
+        public List<string> Suggestions { get; set; } = new(); // follow-up questions the customer might ask next
+    }
+
+    /// <summary>
+    /// A partial chunk of a streamed copilot response.
+    /// </summary>
+    public class CopilotStreamUpdate
+    {
+        public string Content { get; set; } = string.Empty;
+        public CopilotTokenUsage? Usage { get; set; } // only set on the final update
+        public List<CopilotChatAction>? Actions { get; set; } // only set on the final update
+        public List<CopilotProposedAction>? ProposedActions { get; set; } // only set on the final update
+        public List<string>? Suggestions { get; set; } // only set on the final update
+        public string? CorrectedContent { get; set; } // only set on the final update, when catalog checks changed the streamed text or follow-up tags were removed from it
+    }
+
+    /// <summary>
+    /// Token counts reported by the model for one completion.
+    /// Prompt tokens include the system prompt carrying the retrieved products.
+    /// </summary>
+    public class CopilotTokenUsage
+    {
+        public int PromptTokens { get; set; }
+        public int CompletionTokens { get; set; }
+        public int TotalTokens { get; set; }
+
+        /// <summary>
+        /// Estimates usage the model did not report, at roughly four characters per token.
+        /// </summary>
+        /// <param name="promptLength">Characters sent to the model</param>
+        /// <param name="completionLength">Characters the model wrote</param>
+        public static CopilotTokenUsage Estimate(int promptLength, int completionLength)
+        {
+            var promptTokens = promptLength / 4 + 1;
+            var completionTokens = completionLength / 4 + 1;
+            return new CopilotTokenUsage
+            {
+                PromptTokens = promptTokens,
+                CompletionTokens = completionTokens,
+                TotalTokens = promptTokens + completionTokens
+            };
+        }
+    }
+
+    /// <summary>
+    /// Thrown when the caller cancels a chat response. Carries the tokens spent before it stopped, which still
+    /// count against the user's budget: the usage the model reported for finished rounds, plus an estimate for
+    /// the round that was cut off.
+    /// </summary>
+    public class CopilotCancelledException : OperationCanceledException
+    {
+        public CopilotCancelledException(CopilotTokenUsage? usage, CancellationToken ct)
+            : base("The chat response was cancelled", ct)
+        {
+            Usage = usage;
+        }
+
+        public CopilotTokenUsage? Usage { get; }
+    }
+
+    /// <summary>
+    /// A button the chat UI shows under a response, read from the tags the model wrote in its text.
+    /// </summary>
+    public class CopilotChatAction
+    {
+        public string Type { get; set; } = string.Empty; // see CopilotChatActionTypes
+        public int? ProductId { get; set; } // viewProduct and addToCart
+        public List<int>? ProductIds { get; set; } // addAllToCart and placeOrder
+        public string? Name { get; set; }
+        public int? Quantity { get; set; } // addToCart
+        public List<int>? Quantities { get; set; } // addAllToCart, in the same order as ProductIds
+        public string? Url { get; set; } // navigate; always a path on this site
+    }
+
+    public static class CopilotChatActionTypes
+    {
+        public const string ViewProduct = "viewProduct";
+        public const string AddToCart = "addToCart";
+        public const string AddAllToCart = "addAllToCart";
+        public const string PlaceOrder = "placeOrder";
+        public const string Navigate = "navigate";
+    }
+
+    /// <summary>
+    /// A cart change the assistant suggested through a tool call.
+    /// Nothing happens until the user confirms it in the chat.
+    /// </summary>
+    public class CopilotProposedAction
+    {
+        public string Type { get; set; } = string.Empty; // see CopilotProposedActionTypes
+        public int? ProductId { get; set; }
+        public string? Name { get; set; }
+        public decimal? UnitPrice { get; set; }
+        public int Quantity { get; set; } // items to add, or items in the cart for an order
+        public decimal Total { get; set; }
+    }
+
+    public static class CopilotProposedActionTypes
+    {
+        public const string AddToCart = "addToCart";
+        public const string PlaceOrder = "placeOrder";
     }
 }
@@ -3,7 +3,8 @@ using RetailDecomposed.Models;
 namespace RetailDecomposed.Services;
 
 /// <summary>
-/// Service for semantic search functionality using Azure AI Search and Azure OpenAI embeddings.
+/// Service for semantic search functionality. Backed by Azure AI Search and Azure OpenAI embeddings,
+/// or by an in-process index when SemanticSearch:Provider is Local.
 /// </summary>
 public interface ISemanticSearchService
 {
@@ -26,8 +27,10 @@ public interface ISemanticSearchService
     /// <param name="query">Natural language search query.</param>
     /// <param name="top">Maximum number of results to return (default: 10).</param>
     /// <param name="categoryFilter">Optional category filter.</param>
+    /// <param name="minPrice">Optional lowest price to include.</param>
+    /// <param name="maxPrice">Optional highest price to include.</param>
     /// <returns>List of matching products with relevance scores.</returns>
-    Task<List<ProductSearchResult>> SearchProductsAsync(string query, int top = 10, string? categoryFilter = null);
+    Task<List<ProductSearchResult>> SearchProductsAsync(string query, int top = 10, string? categoryFilter = null, decimal? minPrice = null, decimal? maxPrice = null);
 
     /// <summary>
     /// Generates embeddings for text using Azure OpenAI text-embedding-3-small model.
@@ -37,6 +40,15 @@ public interface ISemanticSearchService
     Task<ReadOnlyMemory<float>> GenerateEmbeddingsAsync(string text);
 }
 
+/// <summary>
+/// Names accepted by SemanticSearch:Provider.
+/// </summary>
+public static class SemanticSearchProviders
+{
+    public const string AzureSearch = "AzureSearch";
+    public const string Local = "Local";
+}
+
 /// <summary>
 /// Represents a search result with product information and relevance score.
 /// </summary>
@@ -50,7 +62,8 @@ public class ProductSearchResult
     public decimal Price { get; set; }
     
     /// <summary>
-    /// Relevance score from Azure AI Search (higher is more relevant).
+    /// Relevance score from the search provider (higher is more relevant).
+    /// The local provider reports cosine similarity between 0 and 1.
     /// </summary>
     public double Score { get; set; }
 }
@@ -0,0 +1,210 @@
+using System.Text;
+using RetailDecomposed.Models;
+
+namespace RetailDecomposed.Services;
+
+/// <summary>
+/// In-process vector index of the product catalog, used by <see cref="LocalSemanticSearchService"/>.
+/// Text is embedded locally by hashing its words and character trigrams into a fixed-size vector
+/// (the "hashing trick"), weighted by inverse document frequency across the catalog, so search
+/// works without Azure and tolerates plurals and small typos ("shoe" finds "Running Shoes").
+/// Registered as a singleton; each rebuild swaps in a new snapshot, so searches never see a partial index.
+/// </summary>
+public class LocalProductVectorIndex
+{
+    /// <summary>
+    /// Same size as the Azure OpenAI embeddings, so callers of GenerateEmbeddingsAsync see one shape.
+    /// </summary>
+    public const int Dimensions = 1536;
+
+    // Whole words count for more than the trigrams that spell them
+    private const float WordWeight = 1.0f;
+    private const float TrigramWeight = 0.5f;
+
+    // Below this, a match only shares common words or stray trigrams with the query
+    private const double MinimumScore = 0.05;
+
+    private volatile Snapshot? _snapshot;
+
+    /// <summary>
+    /// Whether the index has been built since the app started.
+    /// </summary>
+    public bool IsBuilt => _snapshot != null;
+
+    /// <summary>
+    /// Number of products in the index.
+    /// </summary>
+    public int Count => _snapshot?.Entries.Count ?? 0;
+
+    /// <summary>
+    /// Replaces the index with the given products.
+    /// </summary>
+    /// <returns>Number of products indexed.</returns>
+    public int Build(IEnumerable<Product> products)
+    {
+        var entries = products
+            .Select(p => (Product: p, Vector: Embed($"{p.Name} {p.Name} {p.Category} {p.Description}")))
+            .ToList();
+
+        // Features that appear in few products say more about a product than ones that appear in all of them
+        var documentFrequency = new int[Dimensions];
+        foreach (var entry in entries)
+        {
+            for (var i = 0; i < Dimensions; i++)
+            {
+                if (entry.Vector[i] != 0)
+                {
+                    documentFrequency[i]++;
+                }
+            }
+        }
+
+        var idf = new float[Dimensions];
+        for (var i = 0; i < Dimensions; i++)
+        {
+            idf[i] = (float)(Math.Log((entries.Count + 1.0) / (documentFrequency[i] + 1.0)) + 1.0);
+        }
+
+        _snapshot = new Snapshot(
+            entries.Select(e => new Entry(e.Product, Weight(e.Vector, idf))).ToList(),
+            idf);
+
+        return entries.Count;
+    }
+
+    /// <summary>
+    /// Empties the index.
+    /// </summary>
+    public void Clear()
+    {
+        _snapshot = null;
+    }
+
+    /// <summary>
+    /// Finds the products most similar to the query, best match first.
+    /// </summary>
+    /// <param name="query">Natural language search query.</param>
+    /// <param name="top">Maximum number of results to return.</param>
+    /// <param name="filter">Which products may be returned.</param>
+    /// <returns>Matching products with their cosine similarity to the query.</returns>
+    public List<(Product Product, double Score)> Search(string query, int top, Func<Product, bool> filter)
+    {
+        var snapshot = _snapshot;
+        if (snapshot is null)
+        {
+            return new List<(Product, double)>();
+        }
+
+        var queryVector = Weight(Embed(query), snapshot.Idf);
+
+        return snapshot.Entries
+            .Where(e => filter(e.Product))
+            .Select(e => (e.Product, Score: (double)Dot(queryVector, e.Vector)))
+            .Where(r => r.Score >= MinimumScore)
+            .OrderByDescending(r => r.Score)
+            .ThenBy(r => r.Product.Id)
+            .Take(top)
+            .ToList();
+    }
+
+    /// <summary>
+    /// Embeds text as a unit-length hashed feature vector, without catalog weighting.
+    /// </summary>
+    public static float[] EmbedNormalized(string text)
+    {
+        var vector = Embed(text);
+        Normalize(vector);
+        return vector;
+    }
+
+    private static float[] Embed(string text)
+    {
+        var vector = new float[Dimensions];
+        foreach (var word in Tokenize(text))
+        {
+            AddFeature(vector, "w:" + word, WordWeight);
+
+            var padded = $" {word} ";
+            for (var i = 0; i + 3 <= padded.Length; i++)
+            {
+                AddFeature(vector, "t:" + padded.Substring(i, 3), TrigramWeight);
+            }
+        }
+        return vector;
+    }
+
+    private static IEnumerable<string> Tokenize(string text)
+    {
+        var word = new StringBuilder();
+        foreach (var c in (text ?? string.Empty).ToLowerInvariant())
+        {
+            if (char.IsLetterOrDigit(c))
+            {
+                word.Append(c);
+            }
+            else if (word.Length > 0)
+            {
+                yield return word.ToString();
+                word.Clear();
+            }
+        }
+        if (word.Length > 0)
+        {
+            yield return word.ToString();
+        }
+    }
+
+    private static void AddFeature(float[] vector, string feature, float weight)
+    {
+        // FNV-1a: string.GetHashCode is randomised per process, and the index must be stable
+        var hash = 2166136261u;
+        foreach (var c in feature)
+        {
+            hash = (hash ^ c) * 16777619u;
+        }
+
+        // A hashed sign keeps colliding features from always adding up
+        var sign = (hash & 0x80000000u) == 0 ? 1f : -1f;
+        vector[(int)(hash % Dimensions)] += sign * weight;
+    }
+
+    private static float[] Weight(float[] vector, float[] idf)
+    {
+        var weighted = new float[Dimensions];
+        for (var i = 0; i < Dimensions; i++)
+        {
+            weighted[i] = vector[i] * idf[i];
+        }
+        Normalize(weighted);
+        return weighted;
+    }
+
+    private static void Normalize(float[] vector)
+    {
+        var length = Math.Sqrt(vector.Sum(v => (double)v * v));
+        if (length == 0)
+        {
+            return;
+        }
+
+        for (var i = 0; i < vector.Length; i++)
+        {
+            vector[i] = (float)(vector[i] / length);
+        }
+    }
+
+    // Both vectors are unit length, so their dot product is the cosine similarity
+    private static float Dot(float[] a, float[] b)
+    {
+        var sum = 0f;
+        for (var i = 0; i < a.Length; i++)
+        {
+            sum += a[i] * b[i];
+        }
+        return sum;
+    }
+
+    private sealed record Entry(Product Product, float[] Vector);
+
+    private sealed record Snapshot(IReadOnlyList<Entry> Entries, float[] Idf);
+}
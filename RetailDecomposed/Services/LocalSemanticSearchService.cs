@@ -0,0 +1,93 @@
+using Microsoft.EntityFrameworkCore;
+using RetailDecomposed.Constants;
+using RetailDecomposed.Data;
+
+namespace RetailDecomposed.Services;
+
+/// <summary>
+/// Semantic search that runs entirely in process, for local development and tests without
+/// Azure AI Search or Azure OpenAI. Products are read from the database into a
+/// <see cref="LocalProductVectorIndex"/> and ranked by cosine similarity to the query.
+/// Selected with SemanticSearch:Provider = Local.
+/// </summary>
+public class LocalSemanticSearchService : ISemanticSearchService
+{
+    private readonly AppDbContext _dbContext;
+    private readonly LocalProductVectorIndex _index;
+    private readonly ILogger<LocalSemanticSearchService> _logger;
+
+    public LocalSemanticSearchService(
+        AppDbContext dbContext,
+        LocalProductVectorIndex index,
+        ILogger<LocalSemanticSearchService> logger)
+    {
+        _dbContext = dbContext;
+        _index = index;
+        _logger = logger;
+    }
+
+    public Task<bool> CreateOrUpdateIndexAsync()
+    {
+        // There is no schema to create; the next search or IndexProductsAsync fills the index
+        _index.Clear();
+        _logger.LogInformation("Local search index cleared");
+        return Task.FromResult(true);
+    }
+
+    public async Task<int> IndexProductsAsync()
+    {
+        // Products that can no longer be bought are left out of the results
+        var products = await _dbContext.Products.AsNoTracking().Where(p => p.IsActive).ToListAsync();
+        var count = _index.Build(products);
+        _logger.LogInformation("Indexed {Count} products in the local search index", count);
+        return count;
+    }
+
+    public async Task<List<ProductSearchResult>> SearchProductsAsync(string query, int top = 10, string? categoryFilter = null, decimal? minPrice = null, decimal? maxPrice = null)
+    {
+        _logger.LogInformation("Performing local semantic search for query: {Query}", query);
+
+        string? category = null;
+        if (!string.IsNullOrWhiteSpace(categoryFilter))
+        {
+            // Same whitelist as the Azure implementation, so both reject the same input
+            category = ProductCategories.GetNormalizedCategory(categoryFilter);
+            if (category is null)
+            {
+                _logger.LogWarning("Invalid category filter attempted: {CategoryFilter}", categoryFilter);
+                throw new ArgumentException($"Invalid category filter. Valid categories are: {string.Join(", ", ProductCategories.All)}", nameof(categoryFilter));
+            }
+        }
+
+        // Built on first use, so the search works without calling the index endpoint first
+        if (!_index.IsBuilt)
+        {
+            await IndexProductsAsync();
+        }
+
+        var results = _index
+            .Search(query, top, p =>
+                (category is null || string.Equals(p.Category, category, StringComparison.OrdinalIgnoreCase)) &&
+                (minPrice is null || p.Price >= minPrice) &&
+                (maxPrice is null || p.Price <= maxPrice))
+            .Select(r => new ProductSearchResult
+            {
+                Id = r.Product.Id,
+                Sku = r.Product.Sku,
+                Name = r.Product.Name,
+                Description = r.Product.Description ?? string.Empty,
+                Category = r.Product.Category ?? string.Empty,
+                Price = r.Product.Price,
+                Score = r.Score
+            })
+            .ToList();
+
+        _logger.LogInformation("Local search returned {Count} results", results.Count);
+        return results;
+    }
+
+    public Task<ReadOnlyMemory<float>> GenerateEmbeddingsAsync(string text)
+    {
+        return Task.FromResult(new ReadOnlyMemory<float>(LocalProductVectorIndex.EmbedNormalized(text)));
+    }
+}
@@ -0,0 +1,127 @@
+using OpenAI.Chat;
+using System.Runtime.CompilerServices;
+using System.Text;
+
+namespace RetailDecomposed.Services
+{
+    /// <summary>
+    /// Sends chat requests through the OpenAI SDK. Subclasses only decide how the
+    /// <see cref="ChatClient"/> connects and authenticates.
+    /// </summary>
+    public abstract class OpenAIChatModelProvider : IChatModelProvider
+    {
+        private readonly ChatClient _chatClient;
+
+        protected OpenAIChatModelProvider(ChatClient chatClient, string name, string modelName)
+        {
+            _chatClient = chatClient;
+            Name = name;
+            ModelName = modelName;
+        }
+
+        public string Name { get; }
+
+        public string ModelName { get; }
+
+        public async Task<ChatModelCompletion> CompleteChatAsync(
+            IReadOnlyList<OpenAI.Chat.ChatMessage> messages,
+            ChatCompletionOptions options,
+            CancellationToken ct = default)
+        {
+            var result = await _chatClient.CompleteChatAsync(messages, options, ct);
+            var completion = result.Value;
+
+            return new ChatModelCompletion
+            {
+                Content = completion.Content.Count > 0 ? completion.Content[0].Text : string.Empty,
+                ToolCalls = completion.FinishReason == ChatFinishReason.ToolCalls ? completion.ToolCalls.ToList() : new List<ChatToolCall>(),
+                Usage = ToTokenUsage(completion.Usage)
+            };
+        }
+
+        public async IAsyncEnumerable<ChatModelUpdate> CompleteChatStreamingAsync(
+            IReadOnlyList<OpenAI.Chat.ChatMessage> messages,
+            ChatCompletionOptions options,
+            [EnumeratorCancellation] CancellationToken ct = default)
+        {
+            var toolCalls = new StreamingToolCallAccumulator();
+            CopilotTokenUsage? usage = null;
+
+            await foreach (var update in _chatClient.CompleteChatStreamingAsync(messages, options, ct).WithCancellation(ct))
+            {
+                // Usage arrives on the last update of the stream
+                usage = ToTokenUsage(update.Usage) ?? usage;
+                toolCalls.Append(update.ToolCallUpdates);
+
+                foreach (var part in update.ContentUpdate)
+                {
+                    if (!string.IsNullOrEmpty(part.Text))
+                    {
+                        yield return new ChatModelUpdate { Content = part.Text };
+                    }
+                }
+            }
+
+            yield return new ChatModelUpdate
+            {
+                ToolCalls = toolCalls.IsEmpty ? null : toolCalls.Build(),
+                Usage = usage
+            };
+        }
+
+        private static CopilotTokenUsage? ToTokenUsage(ChatTokenUsage? usage)
+        {
+            if (usage is null)
+            {
+                return null;
+            }
+
+            return new CopilotTokenUsage
+            {
+                PromptTokens = usage.InputTokenCount,
+                CompletionTokens = usage.OutputTokenCount,
+                TotalTokens = usage.TotalTokenCount
+            };
+        }
+
+        /// <summary>
+        /// Collects the tool calls a streamed completion sends in fragments across its updates.
+        /// </summary>
+        private sealed class StreamingToolCallAccumulator
+        {
+            private readonly SortedDictionary<int, (string? Id, string? Name, StringBuilder Arguments)> _calls = new();
+
+            public bool IsEmpty => _calls.Count == 0;
+
+            public void Append(IEnumerable<StreamingChatToolCallUpdate> updates)
+            {
+                foreach (var update in updates)
+                {
+                    if (!_calls.TryGetValue(update.Index, out var call))
+                    {
+                        call = (null, null, new StringBuilder());
+                    }
+
+                    // The id and name arrive with the first fragment, the arguments in pieces after it
+                    call.Id ??= update.ToolCallId;
+                    call.Name ??= update.FunctionName;
+                    if (update.FunctionArgumentsUpdate != null)
+                    {
+                        call.Arguments.Append(update.FunctionArgumentsUpdate.ToString());
+                    }
+                    _calls[update.Index] = call;
+                }
+            }
+
+            public List<ChatToolCall> Build()
+            {
+                return _calls.Values
+                    .Select(call => ChatToolCall.CreateFunctionToolCall(
+                        call.Id ?? string.Empty,
+                        call.Name ?? string.Empty,
+                        BinaryData.FromString(call.Arguments.ToString())))
+                    .ToList();
+            }
+        }
+    }
+}
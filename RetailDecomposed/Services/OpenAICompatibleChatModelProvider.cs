@@ -0,0 +1,45 @@
+using OpenAI;
+using OpenAI.Chat;
+using System.ClientModel;
+
+namespace RetailDecomposed.Services
+{
+    /// <summary>
+    /// Any server that speaks the OpenAI chat completions API over HTTP, e.g. a local
+    /// Ollama, LM Studio or vLLM instance, or OpenAI itself.
+    /// </summary>
+    public class OpenAICompatibleChatModelProvider : OpenAIChatModelProvider
+    {
+        // Local servers usually ignore the key, but the SDK will not send a request without one
+        private const string PlaceholderApiKey = "not-needed";
+
+        public OpenAICompatibleChatModelProvider(IConfiguration configuration, ILogger<OpenAICompatibleChatModelProvider> logger)
+            : base(CreateChatClient(configuration, logger), ChatModelProviders.OpenAICompatible, GetModelName(configuration))
+        {
+        }
+
+        private static ChatClient CreateChatClient(IConfiguration configuration, ILogger logger)
+        {
+            var endpoint = configuration["ChatModel:Endpoint"];
+            if (string.IsNullOrEmpty(endpoint))
+            {
+                throw new InvalidOperationException("ChatModel:Endpoint must be configured for the OpenAICompatible provider");
+            }
+
+            var apiKey = configuration["ChatModel:ApiKey"];
+            logger.LogInformation("Initializing OpenAI-compatible chat client (Endpoint: {Endpoint}, Model: {Model})",
+                endpoint, GetModelName(configuration));
+
+            return new ChatClient(
+                GetModelName(configuration),
+                new ApiKeyCredential(string.IsNullOrEmpty(apiKey) ? PlaceholderApiKey : apiKey),
+                new OpenAIClientOptions { Endpoint = new Uri(endpoint) });
+        }
+
+        private static string GetModelName(IConfiguration configuration)
+        {
+            var model = configuration["ChatModel:Model"];
+            return string.IsNullOrEmpty(model) ? configuration["AzureAI:DeploymentName"] ?? "gpt-4o" : model;
+        }
+    }
+}
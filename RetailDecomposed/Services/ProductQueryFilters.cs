@@ -0,0 +1,107 @@
+using System.Globalization;
+using System.Text.RegularExpressions;
+using RetailDecomposed.Constants;
+
+namespace RetailDecomposed.Services
+{
+    /// <summary>
+    /// Category and price limits read from a shopper's question, e.g. "running shoes under £80"
+    /// gives Footwear with a maximum price of 80. Used to narrow the products retrieved for the copilot.
+    /// </summary>
+    public class ProductQueryFilters
+    {
+        public string? Category { get; init; }
+        public decimal? MinPrice { get; init; }
+        public decimal? MaxPrice { get; init; }
+
+        public bool IsEmpty => Category is null && MinPrice is null && MaxPrice is null;
+
+        // Everyday words for each category in ProductCategories.All
+        private static readonly Dictionary<string, string[]> CategoryKeywords = new()
+        {
+            ["Beauty"] = new[] { "beauty", "makeup", "make-up", "skincare", "skin care", "cosmetic", "cosmetics", "perfume", "moisturiser", "moisturizer", "shampoo", "serum" },
+            ["Apparel"] = new[] { "apparel", "clothes", "clothing", "shirt", "shirts", "t-shirt", "jacket", "jackets", "dress", "dresses", "jeans", "hoodie", "coat" },
+            ["Footwear"] = new[] { "footwear", "shoe", "shoes", "trainers", "sneakers", "boots", "sandals", "heels" },
+            ["Home"] = new[] { "homeware", "kitchen", "furniture", "decor", "bedding", "cookware", "lamp" },
+            ["Accessories"] = new[] { "accessories", "accessory", "bag", "bags", "wallet", "belt", "jewellery", "jewelry", "watch", "sunglasses", "hat" },
+            ["Electronics"] = new[] { "electronics", "electronic", "gadget", "gadgets", "laptop", "laptops", "phone", "phones", "headphones", "camera", "tablet", "speaker" }
+        };
+
+        // e.g. 80, £80, £1,200 or 79.99
+        private const string Amount = @"[£$€]?\s?(?<{0}>(?:\d{{1,3}}(?:,\d{{3}})+|\d+)(?:\.\d{{1,2}})?)";
+
+        private static readonly Regex BetweenPattern = new(
+            $@"\bbetween\s+{string.Format(Amount, "min")}\s+(?:and|to|-)\s+{string.Format(Amount, "max")}",
+            RegexOptions.IgnoreCase | RegexOptions.Compiled);
+
+        private static readonly Regex MaxPattern = new(
+            $@"\b(?:under|below|less than|cheaper than|up to|no more than|max(?:imum)?|within)\s+{string.Format(Amount, "max")}",
+            RegexOptions.IgnoreCase | RegexOptions.Compiled);
+
+        private static readonly Regex MinPattern = new(
+            $@"\b(?:over|above|more than|at least|min(?:imum)?|starting at)\s+{string.Format(Amount, "min")}",
+            RegexOptions.IgnoreCase | RegexOptions.Compiled);
+
+        /// <summary>
+        /// Reads the filters from a question. Anything that cannot be recognised is left unset.
+        /// </summary>
+        public static ProductQueryFilters Infer(string? question)
+        {
+            var text = question ?? string.Empty;
+            decimal? minPrice = null;
+            decimal? maxPrice = null;
+
+            var between = BetweenPattern.Match(text);
+            if (between.Success)
+            {
+                minPrice = ParseAmount(between.Groups["min"].Value);
+                maxPrice = ParseAmount(between.Groups["max"].Value);
+            }
+            else
+            {
+                var max = MaxPattern.Match(text);
+                if (max.Success)
+                {
+                    maxPrice = ParseAmount(max.Groups["max"].Value);
+                }
+
+                var min = MinPattern.Match(text);
+                if (min.Success)
+                {
+                    minPrice = ParseAmount(min.Groups["min"].Value);
+                }
+            }
+
+            // A reversed range ("between 50 and 20") is read the way it was meant
+            if (minPrice > maxPrice)
+            {
+                (minPrice, maxPrice) = (maxPrice, minPrice);
+            }
+
+            return new ProductQueryFilters
+            {
+                Category = InferCategory(text),
+                MinPrice = minPrice,
+                MaxPrice = maxPrice
+            };
+        }
+
+        private static string? InferCategory(string text)
+        {
+            // Only a question that points at a single category is filtered; "shoes and a bag" searches everything
+            var matches = CategoryKeywords
+                .Where(entry => entry.Value.Any(keyword => Regex.IsMatch(text, $@"\b{Regex.Escape(keyword)}\b", RegexOptions.IgnoreCase)))
+                .Select(entry => entry.Key)
+                .ToList();
+
+            return matches.Count == 1 ? ProductCategories.GetNormalizedCategory(matches[0]) : null;
+        }
+
+        private static decimal? ParseAmount(string value)
+        {
+            return decimal.TryParse(value.Replace(",", string.Empty), NumberStyles.Number, CultureInfo.InvariantCulture, out var amount)
+                ? amount
+                : null;
+        }
+    }
+}
@@ -0,0 +1,214 @@
+using System.Globalization;
+using System.Text;
+using System.Text.RegularExpressions;
+using RetailDecomposed.Models;
+
+namespace RetailDecomposed.Services
+{
+    /// <summary>
+    /// Checks the product tags in a copilot response against the active catalog before the response
+    /// reaches the chat UI. Names and prices the model got wrong are corrected; buttons for products
+    /// that do not exist or are no longer sold are removed, and mentions of them are marked unavailable.
+    /// </summary>
+    public class ProductTagValidator
+    {
+        public const string UnavailableSuffix = " (not available)";
+
+        private const string Amount = @"(?<price>£\s?(?<amount>\d{1,3}(?:,\d{3})+(?:\.\d{1,2})?|\d+(?:\.\d{1,2})?))";
+
+        // Only a price directly after a product's tags is taken to be that product's price, e.g.
+        // "[PRODUCT:5:Dell XPS 13] [ADD_TO_CART:5:Dell XPS 13] for £1,199" or "[PRODUCT:5:Dell XPS 13] (£1,199)".
+        private static readonly Regex AdjacentPricePattern = new(
+            @"\G(?:[ \t]*\[[A-Z_]+:[^\]\n]*\])*[ \t]*(?:(?:[-–—:,]|\b(?:for|at|is|costs?|priced at)\b)[ \t]*)?\(?" + Amount,
+            RegexOptions.IgnoreCase | RegexOptions.Compiled);
+
+        // Any other price on the line may be a discount, a delivery charge or an old price, so it is only reported.
+        // Budgets ("under £100") are not prices at all.
+        private static readonly Regex PricePattern = new(
+            @"(?<!\b(?:under|below|over|above|than|up to|within|budget|budget of|max|maximum)\s+)" + Amount,
+            RegexOptions.IgnoreCase | RegexOptions.Compiled);
+
+        private readonly IProductsApiClient _productsApiClient;
+
+        public ProductTagValidator(IProductsApiClient productsApiClient)
+        {
+            _productsApiClient = productsApiClient;
+        }
+
+        /// <summary>
+        /// Corrects the tags in a response. Text without product tags is returned as it is,
+        /// without looking up the catalog.
+        /// </summary>
+        /// <param name="text">Response text written by the model</param>
+        /// <param name="ct">Cancellation token</param>
+        /// <returns>The corrected text and what was changed</returns>
+        public async Task<ProductTagValidationResult> ValidateAsync(string text, CancellationToken ct = default)
+        {
+            var matches = ChatActionParser.TagPattern.Matches(text).Where(m => m.Groups["kind"].Value != "NAVIGATE").ToList();
+            if (matches.Count == 0)
+            {
+                return new ProductTagValidationResult { Content = text };
+            }
+
+            // The products API only lists active products, so anything missing is unknown or no longer sold
+            var products = (await _productsApiClient.GetProductsAsync(ct))
+                .Where(p => p.IsActive)
+                .ToDictionary(p => p.Id);
+
+            var result = new ProductTagValidationResult { TagCount = matches.Count };
+            var content = RewriteTags(text, matches, products, result);
+            result.Content = CorrectPrices(content, products, result);
+            return result;
+        }
+
+        private static string RewriteTags(string text, List<Match> matches, Dictionary<int, Product> products, ProductTagValidationResult result)
+        {
+            var sb = new StringBuilder();
+            var position = 0;
+            foreach (var match in matches)
+            {
+                sb.Append(text, position, match.Index - position);
+                position = match.Index + match.Length;
+
+                var replacement = RewriteTag(match, products, result);
+                if (replacement.Length == 0 && sb.Length > 0 && sb[^1] == ' ')
+                {
+                    // Don't leave a double space where a button was taken out
+                    sb.Length--;
+                }
+                sb.Append(replacement);
+            }
+            sb.Append(text, position, text.Length - position);
+            return sb.ToString();
+        }
+
+        private static string RewriteTag(Match match, Dictionary<int, Product> products, ProductTagValidationResult result)
+        {
+            var kind = match.Groups["kind"].Value;
+            var name = match.Groups["name"].Success ? match.Groups["name"].Value.Trim() : null;
+
+            if (match.Groups["ids"].Success)
+            {
+                // Items keep their quantities, e.g. "12x3"
+                var items = match.Groups["ids"].Value.Split(',', StringSplitOptions.TrimEntries);
+                var known = items.Where(item => products.ContainsKey(ParseItemId(item))).ToList();
+                result.AddUnknown(items.Select(ParseItemId).Where(id => !products.ContainsKey(id)));
+                if (known.Count == items.Length)
+                {
+                    return match.Value;
+                }
+                return known.Count == 0 ? string.Empty : $"[{kind}:{string.Join(',', known)}]";
+            }
+
+            var productId = ParseId(match.Groups["id"].Value);
+            if (!products.TryGetValue(productId, out var product))
+            {
+                result.AddUnknown(new[] { productId });
+
+                // The mention stays readable but is marked, and its buttons are removed
+                return kind == "PRODUCT" && !string.IsNullOrEmpty(name) ? name + UnavailableSuffix : string.Empty;
+            }
+
+            if (name != null && name != product.Name)
+            {
+                result.CorrectedNames++;
+            }
+            var quantity = match.Groups["quantity"].Success ? $":{match.Groups["quantity"].Value}" : string.Empty;
+            return $"[{kind}:{product.Id}:{product.Name}{quantity}]";
+        }
+
+        private static string CorrectPrices(string text, Dictionary<int, Product> products, ProductTagValidationResult result)
+        {
+            var productTags = ChatActionParser.TagPattern.Matches(text).Where(m => m.Groups["kind"].Value == "PRODUCT").ToList();
+
+            // Right to left, so corrections don't move the tags still to be checked
+            for (var i = productTags.Count - 1; i >= 0; i--)
+            {
+                var tag = productTags[i];
+                var product = products[ParseId(tag.Groups["id"].Value)];
+
+                var start = tag.Index + tag.Length;
+                var end = i + 1 < productTags.Count ? productTags[i + 1].Index : text.Length;
+                var lineEnd = text.IndexOf('\n', start);
+                if (lineEnd >= 0 && lineEnd < end)
+                {
+                    end = lineEnd;
+                }
+
+                var price = AdjacentPricePattern.Match(text, start);
+                if (price.Success && price.Index + price.Length <= end)
+                {
+                    if (ParseAmount(price) != product.Price)
+                    {
+                        result.CorrectedPrices++;
+                        var amount = price.Groups["price"];
+                        text = text.Remove(amount.Index, amount.Length).Insert(amount.Index, FormatPrice(product.Price));
+                    }
+                    continue;
+                }
+
+                var otherPrices = PricePattern.Matches(text[..end], start);
+                if (otherPrices.Any(other => ParseAmount(other) != product.Price))
+                {
+                    result.AddMismatchedPrice(product.Id);
+                }
+            }
+
+            return text;
+        }
+
+        private static decimal? ParseAmount(Match price) =>
+            decimal.TryParse(price.Groups["amount"].Value.Replace(",", string.Empty), NumberStyles.Number, CultureInfo.InvariantCulture, out var amount)
+                ? amount
+                : null;
+
+        // An id too long for an int cannot be a product either
+        private static int ParseId(string value) => int.TryParse(value, out var id) ? id : 0;
+
+        private static int ParseItemId(string item) => ParseId(item.Split('x')[0]);
+
+        private static string FormatPrice(decimal price) =>
+            "£" + price.ToString(price == decimal.Truncate(price) ? "#,0" : "#,0.00", CultureInfo.InvariantCulture);
+    }
+
+    /// <summary>
+    /// A copilot response after its product tags were checked against the catalog.
+    /// </summary>
+    public class ProductTagValidationResult
+    {
+        private readonly SortedSet<int> _unknownProductIds = new();
+        private readonly SortedSet<int> _mismatchedPriceProductIds = new();
+
+        public string Content { get; set; } = string.Empty;
+        public int TagCount { get; set; }
+
+        /// <summary>
+        /// References to products that are not active, counting each id in a list tag; the hallucination count.
+        /// </summary>
+        public int UnknownReferences { get; private set; }
+        public int CorrectedNames { get; set; }
+        public int CorrectedPrices { get; set; }
+
+        /// <summary>
+        /// Ids the model used that are not active products, in ascending order.
+        /// </summary>
+        public IReadOnlyCollection<int> UnknownProductIds => _unknownProductIds;
+
+        /// <summary>
+        /// Products whose line quotes a price other than theirs that was left as written, because it does
+        /// not directly follow the product's tags and may not be its price.
+        /// </summary>
+        public IReadOnlyCollection<int> MismatchedPriceProductIds => _mismatchedPriceProductIds;
+
+        internal void AddUnknown(IEnumerable<int> ids)
+        {
+            foreach (var id in ids)
+            {
+                UnknownReferences++;
+                _unknownProductIds.Add(id);
+            }
+        }
+
+        internal void AddMismatchedPrice(int productId) => _mismatchedPriceProductIds.Add(productId);
+    }
+}
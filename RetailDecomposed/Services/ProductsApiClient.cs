@@ -8,6 +8,11 @@ namespace RetailDecomposed.Services
     {
         Task<IList<Product>> GetProductsAsync(CancellationToken ct = default);
         Task<Product?> GetProductByIdAsync(int productId, CancellationToken ct = default);
+
+        /// <summary>
+        /// Gets how many of each SKU are in stock. SKUs without an inventory record have none.
+        /// </summary>
+        Task<IReadOnlyDictionary<string, int>> GetStockAsync(IEnumerable<string> skus, CancellationToken ct = default);
     }
 
     public class ProductsApiClient : IProductsApiClient
@@ -75,5 +80,36 @@ namespace RetailDecomposed.Services
                 throw;
             }
         }
+
+        public async Task<IReadOnlyDictionary<string, int>> GetStockAsync(IEnumerable<string> skus, CancellationToken ct = default)
+        {
+            var wanted = skus.Distinct().ToList();
+            using var activity = _activitySource.StartActivity("GetStock", ActivityKind.Client);
+            activity?.SetTag("products.operation", "stock");
+            activity?.SetTag("products.count", wanted.Count);
+
+            if (wanted.Count == 0)
+            {
+                return new Dictionary<string, int>();
+            }
+
+            try
+            {
+                var query = string.Join("&", wanted.Select(sku => $"skus={Uri.EscapeDataString(sku)}"));
+                var response = await _httpClient.GetAsync($"/api/products/stock?{query}", ct);
+                activity?.SetTag("http.status_code", (int)response.StatusCode);
+                response.EnsureSuccessStatusCode();
+
+                var stock = await response.Content.ReadFromJsonAsync<Dictionary<string, int>>(cancellationToken: ct)
+                    ?? new Dictionary<string, int>();
+                return wanted.ToDictionary(sku => sku, sku => stock.GetValueOrDefault(sku));
+            }
+            catch (Exception ex)
+            {
+                activity?.SetStatus(ActivityStatusCode.Error, ex.Message);
+                activity?.RecordException(ex);
+                throw;
+            }
+        }
     }
 }
@@ -200,7 +200,7 @@ public class SemanticSearchService : ISemanticSearchService
         }
     }
 
-    public async Task<List<ProductSearchResult>> SearchProductsAsync(string query, int top = 10, string? categoryFilter = null)
+    public async Task<List<ProductSearchResult>> SearchProductsAsync(string query, int top = 10, string? categoryFilter = null, decimal? minPrice = null, decimal? maxPrice = null)
     {
         try
         {
@@ -217,6 +217,8 @@ public class SemanticSearchService : ISemanticSearchService
                 IncludeTotalCount = true
             };
 
+            var filters = new List<string>();
+
             // Add category filter if provided
             if (!string.IsNullOrWhiteSpace(categoryFilter))
             {
@@ -226,7 +228,7 @@ public class SemanticSearchService : ISemanticSearchService
                 {
                     // Escape the category value for safe use in OData filter
                     var escapedCategory = ProductCategories.EscapeForOData(normalizedCategory);
-                    searchOptions.Filter = $"Category eq '{escapedCategory}'";
+                    filters.Add($"Category eq '{escapedCategory}'");
                 }
                 else
                 {
@@ -235,6 +237,21 @@ public class SemanticSearchService : ISemanticSearchService
                 }
             }
 
+            // Price filters are numbers, so they are formatted rather than escaped
+            if (minPrice.HasValue)
+            {
+                filters.Add($"Price ge {minPrice.Value.ToString(System.Globalization.CultureInfo.InvariantCulture)}");
+            }
+            if (maxPrice.HasValue)
+            {
+                filters.Add($"Price le {maxPrice.Value.ToString(System.Globalization.CultureInfo.InvariantCulture)}");
+            }
+
+            if (filters.Count > 0)
+            {
+                searchOptions.Filter = string.Join(" and ", filters);
+            }
+
             // Configure vector search
             var vectorQuery = new VectorizedQuery(queryEmbeddings)
             {
@@ -0,0 +1,41 @@
+namespace RetailDecomposed.Services;
+
+/// <summary>
+/// Picks the semantic search backend from SemanticSearch:Provider (AzureSearch when not set).
+/// AzureSearch without an AzureSearch:Endpoint falls back to the local index, so the app and the
+/// copilot still work offline with the base appsettings.
+/// </summary>
+public static class SemanticSearchServiceFactory
+{
+    private static int _fallbackLogged;
+
+    public static ISemanticSearchService Create(IServiceProvider services)
+    {
+        var configuration = services.GetRequiredService<IConfiguration>();
+        var provider = configuration["SemanticSearch:Provider"];
+
+        switch (provider)
+        {
+            case null or "" or SemanticSearchProviders.AzureSearch:
+                if (!string.IsNullOrWhiteSpace(configuration["AzureSearch:Endpoint"]))
+                {
+                    return ActivatorUtilities.CreateInstance<SemanticSearchService>(services);
+                }
+
+                // Services are created per request, so the fallback is only reported once
+                if (Interlocked.Exchange(ref _fallbackLogged, 1) == 0)
+                {
+                    services.GetRequiredService<ILoggerFactory>().CreateLogger(typeof(SemanticSearchServiceFactory))
+                        .LogWarning("AzureSearch:Endpoint is not configured; using the {Provider} semantic search provider instead", SemanticSearchProviders.Local);
+                }
+                return ActivatorUtilities.CreateInstance<LocalSemanticSearchService>(services);
+
+            case SemanticSearchProviders.Local:
+                return ActivatorUtilities.CreateInstance<LocalSemanticSearchService>(services);
+
+            default:
+                throw new InvalidOperationException(
+                    $"Unknown SemanticSearch:Provider '{provider}'. Use {SemanticSearchProviders.AzureSearch} or {SemanticSearchProviders.Local}.");
+        }
+    }
+}
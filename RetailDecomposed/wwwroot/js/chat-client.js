@@ -0,0 +1,1332 @@
+// Chat client shared by the side panel (side-chat.js) and the Copilot page (copilot.js).
+// It owns the conversation, transcript, token counts and chat actions; a view (see chat-view.js) owns the DOM.
+import * as chatMarkdown from './chat-markdown.js';
+import * as chatStream from './chat-stream.js';
+import { createChatSync, withSendLock } from './chat-sync.js';
+
+// Transcript records are versioned so the stored format can evolve with the renderer
+const TRANSCRIPT_SCHEMA_VERSION = 2;
+
+// Unlocks the input if the tab that was sending closes before saying it has finished
+const REMOTE_BUSY_TIMEOUT_MS = 120000;
+
+// How long an add to cart from the chat can be undone for
+const UNDO_WINDOW_MS = 10000;
+
+// Longest an idle tab waits before answering a new tab, so the first answer can stop the others
+const SNAPSHOT_REPLY_JITTER_MS = 200;
+
+/**
+ * Creates a chat client that renders into the given view.
+ *
+ * @param {object} view - A view from chat-view.js, or any object with the same methods
+ * @param {{ storagePrefix?: string }} options - storagePrefix namespaces the sessionStorage keys,
+ *   so chats on the same page keep separate transcripts (defaults to "chat")
+ * @returns {object} The client
+ */
+export function createChatClient(view, options = {}) {
+    const storagePrefix = options.storagePrefix || 'chat';
+    const TRANSCRIPT_STORAGE_KEY = `${storagePrefix}Transcript`;
+    // Pre-versioning format: an array of { role, text, isError } where text was the bubble's innerHTML
+    const LEGACY_MESSAGES_STORAGE_KEY = `${storagePrefix}Messages`;
+    // Conversations are stored on the server; the tab only remembers which one is open
+    const CONVERSATION_STORAGE_KEY = `${storagePrefix}ConversationId`;
+    const TOKENS_STORAGE_KEY = `${storagePrefix}Tokens`;
+
+    let conversationId = loadConversationId();
+    let totalTokensUsed = loadTokenCount();
+    // Remaining per-user budget reported by the server; null until it has been loaded
+    let quotaStatus = null;
+    let transcript = loadTranscript();
+    // Aborts the request that is currently waiting for a response, if any
+    let activeRequest = null;
+    let remoteBusyTimer = null;
+    // A chat replaced by another tab while this one was receiving a reply, applied once the reply is in
+    let deferredReset = null;
+    // Answers to new tabs that are waiting their turn, by the tab they answer
+    const snapshotReplies = new Map();
+    // Proposal cards on screen, so a proposal answered in another tab can be redrawn here
+    const proposedActionCards = new WeakMap();
+
+    // Other tabs showing the same chat receive every change made here, and vice versa
+    const sync = createChatSync(storagePrefix);
+    sync.subscribe(handleSyncMessage);
+
+    view.bind({ onSubmit: send, onStop: stop });
+
+    // Restore chat messages on page load
+    restoreChatMessages();
+    updateTokenDisplay();
+    loadQuotaStatus();
+
+    // Ask open tabs for the current chat in case they moved on since this tab's copy was saved
+    sync.publish('hello', { from: sync.tabId });
+
+    async function send(message) {
+        // Only one tab at a time may send, so replies never interleave in the shared conversation
+        const sent = await withSendLock(storagePrefix, () => sendNow(message));
+        if (!sent) {
+            view.setInput(message);
+            setRemoteBusy(true);
+        }
+    }
+
+    async function sendNow(message) {
+        // Disable input while processing
+        view.setBusy(true);
+        sync.publish('busy', { busy: true });
+
+        addMessage(message, 'user');
+
+        // Add typing indicator until the first chunk of the response arrives
+        const typingIndicator = view.createTypingIndicator();
+        let streamingBubble = null;
+        let streamingRecord = null;
+        let streamedText = '';
+        const request = new AbortController();
+        activeRequest = request;
+
+        try {
+            // The server keeps the conversation, so only the new message is sent
+            const activeConversationId = await ensureConversation();
+
+            // Stream the response into a single assistant bubble as it is generated
+            const { text: responseText, usage, actions, proposedActions, suggestions, quota, historySummarized } = await chatStream.send({
+                message: message,
+                conversationId: activeConversationId,
+                pageContext: readPageContext()
+            }, {
+                signal: request.signal,
+                onDelta: function (content) {
+                    if (!streamingBubble) {
+                        typingIndicator.remove();
+                        // The record joins the transcript once the response is complete
+                        streamingRecord = createMessageRecord('', 'assistant');
+                        streamingBubble = renderMessage(streamingRecord);
+                        streamingBubble.classList.add('streaming');
+                    }
+                    streamedText += content;
+                    renderStreamingMessage(streamingBubble, streamedText);
+                }
+            });
+
+            if (!streamingBubble) {
+                throw new Error('Empty response');
+            }
+
+            streamingRecord.text = responseText;
+            streamingRecord.actions = normalizeActions(actions);
+            streamingRecord.usage = usage;
+            streamingRecord.proposedActions = normalizeProposedActions(proposedActions);
+            streamingRecord.suggestions = normalizeSuggestions(suggestions);
+            if (historySummarized) {
+                streamingRecord.summarizedBefore = true;
+                view.createSummaryMarker(streamingBubble);
+            }
+
+            // Render the complete response, with its action buttons, once the stream has finished
+            streamingBubble.classList.remove('streaming');
+            renderMessageBody(streamingBubble, streamingRecord);
+            renderSuggestions(streamingRecord);
+            view.scrollToBottom();
+
+            // Track the tokens the model reported, including the catalog in the system prompt
+            if (usage) {
+                totalTokensUsed += usage.totalTokens;
+                saveTokenCount();
+            }
+            quotaStatus = quota || quotaStatus;
+
+            appendToTranscript(streamingRecord);
+            updateTokenDisplay();
+
+        } catch (error) {
+            console.error('Error sending message:', error);
+            typingIndicator.remove();
+            if (streamingBubble) {
+                // Keep the partial answer visible but stop the streaming cursor
+                streamingBubble.classList.remove('streaming');
+                if (!transcript.includes(streamingRecord)) {
+                    // Without the server's actions the buttons come from the tags that did arrive
+                    streamingRecord.text = chatStream.withoutFollowUps(streamedText);
+                    renderMessageBody(streamingBubble, streamingRecord);
+                    appendToTranscript(streamingRecord);
+                }
+            }
+
+            if (chatStream.isAbortError(error)) {
+                addMessage('Response stopped.', 'assistant');
+                return;
+            }
+
+            // Say when the user can chat again instead of suggesting an immediate retry
+            const quotaMessage = chatStream.describeQuotaError(error);
+            if (error.data?.quota) {
+                quotaStatus = error.data.quota;
+                updateTokenDisplay();
+            }
+            addMessage(quotaMessage || 'Sorry, I encountered an error. Please try again.', 'assistant', true);
+        } finally {
+            activeRequest = null;
+            // Re-enable input
+            view.setBusy(false);
+            view.focusInput();
+            sync.publish('busy', { busy: false });
+
+            if (deferredReset) {
+                applyReset(deferredReset);
+                deferredReset = null;
+            }
+        }
+    }
+
+    function stop() {
+        if (activeRequest) {
+            activeRequest.abort();
+        }
+    }
+
+    function addMessage(text, role, isError = false) {
+        const record = createMessageRecord(text, role, isError);
+        appendToTranscript(record);
+        return renderMessage(record);
+    }
+
+    function createMessageRecord(text, role, isError = false) {
+        return {
+            role: role,
+            text: text,
+            timestamp: new Date().toISOString(),
+            // Typed actions from the chat API; null when the response did not include them
+            actions: null,
+            usage: null,
+            // Cart changes the assistant suggested through tool calls, waiting for the user to confirm them
+            proposedActions: [],
+            // Older messages were condensed into the conversation's summary just before this one
+            summarizedBefore: false,
+            // Follow-up questions the assistant suggested, shown as chips while this is the latest message
+            suggestions: [],
+            isError: isError
+        };
+    }
+
+    function renderMessage(record) {
+        if (record.summarizedBefore) {
+            view.createSummaryMarker();
+        }
+
+        const bubbleDiv = view.createMessage(record.role, {
+            isError: record.isError,
+            title: new Date(record.timestamp).toLocaleString()
+        });
+
+        renderMessageBody(bubbleDiv, record);
+        renderSuggestions(record);
+
+        view.scrollToBottom();
+        return bubbleDiv;
+    }
+
+    // Only the latest message has follow-up chips; rendering any message replaces them
+    function renderSuggestions(record) {
+        if (record.suggestions.length > 0) {
+            view.showSuggestions(record.suggestions, send);
+        } else {
+            view.clearSuggestions();
+        }
+    }
+
+    function renderMessageBody(bubbleElement, record) {
+        // Render markdown to sanitized DOM nodes
+        bubbleElement.replaceChildren(formatMessage(record.text, record.role));
+        if (record.role !== 'assistant') return;
+
+        // Responses saved before the API returned actions fall back to the tags in their text
+        const actionsRow = chatMarkdown.renderActions(record.actions ?? chatMarkdown.extractActions(record.text));
+        if (actionsRow) {
+            bubbleElement.appendChild(actionsRow);
+        }
+
+        attachMessageInteractivity(bubbleElement);
+        appendUsage(bubbleElement, record.usage);
+        appendProposedActions(bubbleElement, record);
+    }
+
+    function appendUsage(bubbleElement, usage) {
+        if (!usage) return;
+
+        const usageDiv = document.createElement('div');
+        usageDiv.className = 'message-usage';
+        usageDiv.textContent = `${usage.promptTokens.toLocaleString()} prompt + ${usage.completionTokens.toLocaleString()} completion = ${usage.totalTokens.toLocaleString()} tokens`;
+        bubbleElement.appendChild(usageDiv);
+    }
+
+    function appendProposedActions(bubbleElement, record) {
+        record.proposedActions.forEach(action => {
+            bubbleElement.appendChild(createProposedActionCard(record, action));
+        });
+    }
+
+    function createProposedActionCard(record, action) {
+        const card = document.createElement('div');
+        card.className = 'proposed-action';
+        proposedActionCards.set(action, card);
+
+        const description = document.createElement('div');
+        description.className = 'proposed-action-text';
+        description.textContent = describeProposedAction(action);
+        card.appendChild(description);
+
+        // Answered proposals only show what the user chose
+        if (action.status) {
+            const status = document.createElement('div');
+            status.className = `proposed-action-status ${action.status}`;
+            status.textContent = action.status === 'dismissed'
+                ? 'Dismissed'
+                : action.type === 'placeOrder' ? 'Order summary opened' : 'Added to cart';
+            card.appendChild(status);
+            return card;
+        }
+
+        const buttons = document.createElement('div');
+        buttons.className = 'proposed-action-buttons';
+        const confirmBtn = document.createElement('button');
+        confirmBtn.type = 'button';
+        confirmBtn.className = 'action-button confirm-proposed-action-btn';
+        confirmBtn.innerHTML = action.type === 'placeOrder'
+            ? '<i class="bi bi-receipt"></i>Review order'
+            : '<i class="bi bi-cart-plus"></i>Add to cart';
+        const dismissBtn = document.createElement('button');
+        dismissBtn.type = 'button';
+        dismissBtn.className = 'action-button cancel-order-btn';
+        dismissBtn.innerHTML = '<i class="bi bi-x-circle"></i>Dismiss';
+        buttons.appendChild(confirmBtn);
+        buttons.appendChild(dismissBtn);
+        card.appendChild(buttons);
+
+        confirmBtn.addEventListener('click', async function () {
+            dismissBtn.disabled = true;
+            const confirmed = action.type === 'placeOrder'
+                ? await startOrderFlow([], confirmBtn)
+                : await confirmAddToCart(action, confirmBtn);
+            if (confirmed) {
+                resolveProposedAction(record, action, 'confirmed', card);
+            } else {
+                dismissBtn.disabled = false;
+            }
+        });
+
+        dismissBtn.addEventListener('click', function () {
+            resolveProposedAction(record, action, 'dismissed', card);
+        });
+
+        return card;
+    }
+
+    function resolveProposedAction(record, action, status, card) {
+        action.status = status;
+        card.replaceWith(createProposedActionCard(record, action));
+
+        const recordIndex = transcript.indexOf(record);
+        if (recordIndex >= 0) {
+            saveTranscript();
+            // Other tabs stop offering the buttons too
+            sync.publish('proposalResolved', {
+                recordIndex: recordIndex,
+                actionIndex: record.proposedActions.indexOf(action),
+                status: status
+            });
+        }
+    }
+
+    function applyResolvedProposal(data) {
+        const record = transcript[data.recordIndex];
+        const action = record?.proposedActions?.[data.actionIndex];
+        if (!action || (data.status !== 'confirmed' && data.status !== 'dismissed')) return;
+
+        action.status = data.status;
+        saveTranscript();
+        const card = proposedActionCards.get(action);
+        if (card?.isConnected) {
+            card.replaceWith(createProposedActionCard(record, action));
+        }
+    }
+
+    // Resolves to true once the items are in the cart
+    async function confirmAddToCart(action, buttonElement) {
+        const originalHTML = buttonElement.innerHTML;
+        buttonElement.disabled = true;
+        buttonElement.innerHTML = '<span class="spinner-border spinner-border-sm" role="status"></span> Adding...';
+
+        try {
+            const customerId = window.currentUserId || 'default-customer';
+            const response = await fetch(`/api/cart/${encodeURIComponent(customerId)}/items?productId=${action.productId}&quantity=${action.quantity}`, {
+                method: 'POST',
+                headers: {
+                    'Content-Type': 'application/json'
+                }
+            });
+            if (!response.ok) {
+                throw new Error(`HTTP error! status: ${response.status}`);
+            }
+
+            notifyCartChanged({ type: 'addToCart', items: [{ productId: action.productId, quantity: action.quantity }] });
+            const bubble = addMessage(`✅ Added ${describeItems([action])} to your cart.`, 'assistant');
+            offerCartUndo(bubble, [action]);
+            return true;
+        } catch (error) {
+            console.error('Error adding proposed item to cart:', error);
+            addMessage('❌ Sorry, I couldn\'t add that product to your cart. Please try again.', 'assistant', true);
+            buttonElement.innerHTML = originalHTML;
+            buttonElement.disabled = false;
+            return false;
+        }
+    }
+
+    /**
+     * Lets the user take back an add to cart for a short while after it happened.
+     * @param {HTMLElement} bubbleElement - The message confirming the add
+     * @param {Array<{ productId: number, sku?: string, name?: string, quantity: number }>} items - What was added
+     */
+    function offerCartUndo(bubbleElement, items) {
+        view.offerUndo(bubbleElement, `Added ${describeItems(items)} to your cart`, () => undoCartAdd(items), UNDO_WINDOW_MS);
+    }
+
+    async function undoCartAdd(items) {
+        const customerId = window.currentUserId || 'default-customer';
+
+        // Only the added quantity is taken off, so anything already in the cart stays
+        const results = await Promise.allSettled(items.map(async item => {
+            const sku = item.sku || (await fetchProduct(item.productId)).sku;
+            const response = await fetch(`/api/cart/${encodeURIComponent(customerId)}/items/${encodeURIComponent(sku)}?quantity=${item.quantity}`, {
+                method: 'DELETE'
+            });
+            if (!response.ok) {
+                throw new Error(`HTTP error! status: ${response.status}`);
+            }
+        }));
+
+        const undone = items.filter((item, i) => results[i].status === 'fulfilled');
+        const failed = items.filter((item, i) => results[i].status === 'rejected');
+        results.filter(result => result.status === 'rejected')
+            .forEach(result => console.error('Error undoing add to cart:', result.reason));
+        if (undone.length > 0) {
+            notifyCartChanged({ type: 'undo', items: undone.map(item => ({ productId: item.productId, quantity: item.quantity })) });
+        }
+
+        if (failed.length === 0) {
+            addMessage(`↩️ Removed ${describeItems(undone)} from your cart.`, 'assistant');
+        } else if (undone.length > 0) {
+            addMessage(`⚠️ Removed ${describeItems(undone)} from your cart, but couldn't remove ${describeItems(failed)}. You can change it on the cart page.`, 'assistant', true);
+        } else {
+            addMessage('❌ Sorry, I couldn\'t undo that. You can remove items on the cart page.', 'assistant', true);
+        }
+    }
+
+    function renderStreamingMessage(bubbleElement, text) {
+        // Incomplete [PRODUCT:...]/[ADD_TO_CART:...] tags are held back until their closing bracket arrives;
+        // the action buttons and follow-up chips are added when the response is complete
+        bubbleElement.replaceChildren(formatMessage(chatStream.withoutPartialTag(chatStream.withoutFollowUps(text)), 'assistant'));
+        view.scrollToBottom();
+    }
+
+    function formatMessage(text, role = 'assistant') {
+        // Assistant tags are reduced to product names (their actions render as buttons); user text keeps tags as typed
+        return chatMarkdown.render(text, { tags: role === 'assistant' ? 'names' : 'text' });
+    }
+
+    function attachMessageInteractivity(bubbleElement) {
+        // Handle add to cart buttons
+        const addToCartButtons = bubbleElement.querySelectorAll('.add-to-cart-btn');
+        addToCartButtons.forEach(btn => {
+            btn.addEventListener('click', async function(e) {
+                e.preventDefault();
+                const productId = this.dataset.productId;
+                await handleAddToCart(productId, this, parseInt(this.dataset.quantity, 10) || 1);
+            });
+        });
+
+        // Handle the − and + buttons next to add to cart buttons
+        const quantitySteps = bubbleElement.querySelectorAll('.quantity-step');
+        quantitySteps.forEach(btn => {
+            btn.addEventListener('click', function(e) {
+                e.preventDefault();
+                stepQuantity(this.closest('.quantity-stepper'), parseInt(this.dataset.step, 10));
+            });
+        });
+
+        // Handle place order buttons
+        const placeOrderButtons = bubbleElement.querySelectorAll('.place-order-btn');
+        placeOrderButtons.forEach(btn => {
+            btn.addEventListener('click', async function(e) {
+                e.preventDefault();
+                const productId = this.dataset.productId;
+                await handlePlaceOrder(productId, this);
+            });
+        });
+
+        // Handle add all to cart buttons
+        const addAllButtons = bubbleElement.querySelectorAll('.add-all-to-cart-btn');
+        addAllButtons.forEach(btn => {
+            btn.addEventListener('click', async function(e) {
+                e.preventDefault();
+                const productIds = this.dataset.productIds;
+                await handleAddAllToCart(productIds, this);
+            });
+        });
+
+        // Handle order all buttons
+        const orderAllButtons = bubbleElement.querySelectorAll('.order-all-btn');
+        orderAllButtons.forEach(btn => {
+            btn.addEventListener('click', async function(e) {
+                e.preventDefault();
+                const productIds = this.dataset.productIds;
+                await handleOrderAll(productIds, this);
+            });
+        });
+    }
+
+    function appendToTranscript(record) {
+        transcript.push(record);
+        saveTranscript();
+        sync.publish('message', {
+            record: record,
+            conversationId: conversationId,
+            totalTokens: totalTokensUsed,
+            quota: quotaStatus
+        });
+    }
+
+    function handleSyncMessage(type, data) {
+        switch (type) {
+            case 'hello':
+                if (transcript.length > 0 || conversationId) {
+                    scheduleSnapshotReply(data.from);
+                }
+                if (activeRequest) {
+                    sync.publish('busy', { busy: true });
+                }
+                break;
+            case 'message': {
+                const record = normalizeRecord(data.record);
+                if (!record) break;
+
+                adoptSharedState(data);
+                transcript.push(record);
+                saveTranscript();
+                view.hideWelcome();
+                renderMessage(record);
+                updateTokenDisplay();
+                break;
+            }
+            case 'reset':
+                if (data.to) {
+                    // An answer to a new tab: once one tab has answered, the others stand down
+                    clearTimeout(snapshotReplies.get(data.to));
+                    snapshotReplies.delete(data.to);
+                    if (data.to !== sync.tabId) break;
+                }
+                if (activeRequest) {
+                    // Clearing the messages now would take away the reply that is still arriving
+                    deferredReset = data;
+                    break;
+                }
+                applyReset(data);
+                break;
+            case 'proposalResolved':
+                applyResolvedProposal(data);
+                break;
+            case 'busy':
+                setRemoteBusy(data.busy === true);
+                break;
+        }
+    }
+
+    function applyReset(data) {
+        adoptSharedState(data);
+        replaceTranscript((Array.isArray(data.records) ? data.records : []).map(normalizeRecord).filter(Boolean));
+        updateTokenDisplay();
+    }
+
+    // Only one tab needs to answer a new tab. The tab that is sending answers straight away, as its chat is the
+    // most recent; idle tabs, which all hold the same chat, wait a random moment and stand down if one answers first
+    function scheduleSnapshotReply(to) {
+        if (!to || snapshotReplies.has(to)) return;
+
+        const delay = activeRequest ? 0 : Math.random() * SNAPSHOT_REPLY_JITTER_MS;
+        snapshotReplies.set(to, setTimeout(() => {
+            snapshotReplies.delete(to);
+            publishSnapshot(to);
+        }, delay));
+    }
+
+    function adoptSharedState(data) {
+        conversationId = data.conversationId || null;
+        saveConversationId();
+
+        if (Number.isInteger(data.totalTokens)) {
+            totalTokensUsed = data.totalTokens;
+            saveTokenCount();
+        }
+        quotaStatus = data.quota || quotaStatus;
+    }
+
+    // Sends the whole chat to other tabs, replacing whatever they show; with a tab id, only that tab takes it
+    function publishSnapshot(to) {
+        sync.publish('reset', {
+            to: to || null,
+            records: transcript,
+            conversationId: conversationId,
+            totalTokens: totalTokensUsed,
+            quota: quotaStatus
+        });
+    }
+
+    function setRemoteBusy(busy) {
+        clearTimeout(remoteBusyTimer);
+        view.setRemoteBusy(busy);
+        if (busy) {
+            remoteBusyTimer = setTimeout(() => view.setRemoteBusy(false), REMOTE_BUSY_TIMEOUT_MS);
+        }
+    }
+
+    /**
+     * Lets the page, and pages open in other tabs, refresh anything that shows the cart (see site.js).
+     * @param {{ type: string }} [action] - The chat action that changed it, raised as chat:action
+     */
+    function notifyCartChanged(action) {
+        if (action) {
+            window.retailEvents.emit('chat:action', action);
+        }
+        window.retailEvents.emit('cart:changed', { source: 'chat' });
+    }
+
+    function saveTranscript(records = transcript) {
+        try {
+            sessionStorage.setItem(TRANSCRIPT_STORAGE_KEY, JSON.stringify({
+                version: TRANSCRIPT_SCHEMA_VERSION,
+                messages: records
+            }));
+        } catch (e) {
+            console.error('Error saving chat transcript:', e);
+        }
+    }
+
+    function loadTranscript() {
+        try {
+            const saved = sessionStorage.getItem(TRANSCRIPT_STORAGE_KEY);
+            if (saved) {
+                const data = JSON.parse(saved);
+                if (data?.version === 1 && Array.isArray(data.messages)) {
+                    // Version 1 actions were read from the tags client-side, so they are re-derived when rendered
+                    return data.messages.map(msg => normalizeRecord({ ...msg, actions: null })).filter(Boolean);
+                }
+                if (data?.version !== TRANSCRIPT_SCHEMA_VERSION || !Array.isArray(data.messages)) {
+                    console.warn('Ignoring chat transcript with unsupported schema version:', data?.version);
+                    return [];
+                }
+                return data.messages.map(normalizeRecord).filter(Boolean);
+            }
+
+            const legacy = sessionStorage.getItem(LEGACY_MESSAGES_STORAGE_KEY);
+            if (legacy) {
+                return migrateLegacyMessages(JSON.parse(legacy));
+            }
+        } catch (e) {
+            console.error('Error loading chat transcript:', e);
+        }
+        return [];
+    }
+
+    function migrateLegacyMessages(messages) {
+        const migrated = (Array.isArray(messages) ? messages : [])
+            .map(msg => normalizeRecord({
+                role: msg?.role,
+                text: typeof msg?.text === 'string' ? legacyMarkupToText(msg.text) : null,
+                isError: msg?.isError
+            }))
+            .filter(Boolean);
+
+        saveTranscript(migrated);
+        sessionStorage.removeItem(LEGACY_MESSAGES_STORAGE_KEY);
+        return migrated;
+    }
+
+    function saveConversationId() {
+        try {
+            if (conversationId) {
+                sessionStorage.setItem(CONVERSATION_STORAGE_KEY, JSON.stringify(conversationId));
+            } else {
+                sessionStorage.removeItem(CONVERSATION_STORAGE_KEY);
+            }
+        } catch (e) {
+            console.error('Error saving conversation id:', e);
+        }
+    }
+
+    function loadConversationId() {
+        try {
+            const saved = sessionStorage.getItem(CONVERSATION_STORAGE_KEY);
+            return saved ? JSON.parse(saved) : null;
+        } catch (e) {
+            console.error('Error loading conversation id:', e);
+            return null;
+        }
+    }
+
+    function saveTokenCount() {
+        try {
+            sessionStorage.setItem(TOKENS_STORAGE_KEY, JSON.stringify(totalTokensUsed));
+        } catch (e) {
+            console.error('Error saving token count:', e);
+        }
+    }
+
+    function loadTokenCount() {
+        try {
+            const saved = sessionStorage.getItem(TOKENS_STORAGE_KEY);
+            return saved ? JSON.parse(saved) : 0;
+        } catch (e) {
+            console.error('Error loading token count:', e);
+            return 0;
+        }
+    }
+
+    function updateTokenDisplay() {
+        view.renderTokenSummary({
+            totalTokens: totalTokensUsed,
+            lastUsage: transcript.slice().reverse().find(record => record.usage)?.usage || null,
+            quota: quotaStatus
+        });
+    }
+
+    async function loadQuotaStatus() {
+        // The quota endpoint is only available to signed-in users
+        if (!window.currentUserId) return;
+
+        try {
+            const response = await fetch('/api/chat/quota');
+            if (!response.ok) {
+                throw new Error(`HTTP error! status: ${response.status}`);
+            }
+
+            quotaStatus = await response.json();
+            updateTokenDisplay();
+        } catch (error) {
+            console.error('Error loading chat quota:', error);
+        }
+    }
+
+    function stepQuantity(stepper, step) {
+        const addButton = stepper.querySelector('.add-to-cart-btn');
+        const quantity = Math.min(Math.max((parseInt(addButton.dataset.quantity, 10) || 1) + step, 1), chatMarkdown.MAX_QUANTITY);
+
+        addButton.dataset.quantity = quantity;
+        stepper.querySelector('.quantity-value').textContent = quantity;
+        stepper.querySelector('.quantity-step[data-step="-1"]').disabled = quantity <= 1;
+        stepper.querySelector('.quantity-step[data-step="1"]').disabled = quantity >= chatMarkdown.MAX_QUANTITY;
+    }
+
+    async function handleAddToCart(productId, buttonElement, quantity = 1) {
+        const originalHTML = buttonElement.innerHTML;
+        buttonElement.disabled = true;
+        buttonElement.innerHTML = '<span class="spinner-border spinner-border-sm" role="status"></span> Adding...';
+
+        try {
+            // Get customer ID from authenticated user
+            const customerId = window.currentUserId || 'default-customer';
+
+            const response = await fetch(`/api/cart/${encodeURIComponent(customerId)}/items?productId=${encodeURIComponent(productId)}&quantity=${encodeURIComponent(quantity)}`, {
+                method: 'POST',
+                headers: {
+                    'Content-Type': 'application/json'
+                }
+            });
+
+            if (response.ok) {
+                buttonElement.innerHTML = '<i class="bi bi-check-circle"></i> Added!';
+                buttonElement.classList.add('btn-success');
+                notifyCartChanged({ type: 'addToCart', items: [{ productId: Number(productId), quantity }] });
+
+                // Say exactly what went in, so a changed quantity is easy to check
+                const name = buttonElement.dataset.name || await fetchProductName(productId);
+                const bubble = addMessage(`✅ Added ${describeItems([{ name, quantity }])} to your cart.`, 'assistant');
+                offerCartUndo(bubble, [{ productId, name, quantity }]);
+
+                setTimeout(() => {
+                    buttonElement.innerHTML = originalHTML;
+                    buttonElement.disabled = false;
+                    buttonElement.classList.remove('btn-success');
+                }, 2000);
+            } else {
+                throw new Error('Failed to add to cart');
+            }
+        } catch (error) {
+            console.error('Error adding to cart:', error);
+            buttonElement.innerHTML = '<i class="bi bi-x-circle"></i> Failed';
+            addMessage('❌ Sorry, I couldn\'t add that product to your cart. Please try again.', 'assistant', true);
+
+            setTimeout(() => {
+                buttonElement.innerHTML = originalHTML;
+                buttonElement.disabled = false;
+            }, 2000);
+        }
+    }
+
+    async function handleAddAllToCart(productIds, buttonElement) {
+        const originalHTML = buttonElement.innerHTML;
+        buttonElement.disabled = true;
+        buttonElement.innerHTML = '<span class="spinner-border spinner-border-sm" role="status"></span> Adding all...';
+
+        try {
+            const customerId = window.currentUserId || 'default-customer';
+            const ids = productIds.split(',').map(id => parseInt(id.trim()));
+            const quantities = (buttonElement.dataset.quantities || '').split(',').map(quantity => parseInt(quantity, 10));
+            const items = ids.map((productId, i) => ({ productId, quantity: quantities[i] || 1 }));
+
+            // One request, so the server reports what happened to every item; products that can't be added
+            // don't stop the others going in
+            const response = await fetch(`/api/cart/${encodeURIComponent(customerId)}/items/batch`, {
+                method: 'POST',
+                headers: {
+                    'Content-Type': 'application/json'
+                },
+                body: JSON.stringify({ mode: 'bestEffort', items: items })
+            });
+            if (!response.ok) {
+                throw new Error(`HTTP error! status: ${response.status}`);
+            }
+
+            const result = await response.json();
+            const added = result.items.filter(item => item.status === 'added');
+            const failed = result.items.filter(item => item.status !== 'added');
+            if (added.length > 0) {
+                notifyCartChanged({ type: 'addAllToCart', items: added.map(item => ({ productId: item.productId, quantity: item.quantity })) });
+            }
+
+            if (failed.length === 0) {
+                buttonElement.innerHTML = '<i class="bi bi-check-circle"></i> All Added!';
+                buttonElement.classList.add('btn-success');
+
+                const bubble = addMessage(`✅ Added ${describeItems(added)} to your cart. Ready to checkout?`, 'assistant');
+                offerCartUndo(bubble, added);
+
+                setTimeout(() => {
+                    buttonElement.innerHTML = originalHTML;
+                    buttonElement.disabled = false;
+                    buttonElement.classList.remove('btn-success');
+                }, 2000);
+            } else if (added.length > 0) {
+                // Say exactly what went in, so the user doesn't add it again
+                buttonElement.innerHTML = originalHTML;
+                buttonElement.disabled = false;
+                const bubble = addMessage(`⚠️ Added ${describeItems(added)} to your cart. ${describeFailedItems(failed)}`, 'assistant', true);
+                offerCartUndo(bubble, added);
+            } else {
+                throw new Error(describeFailedItems(failed));
+            }
+        } catch (error) {
+            // Log full error details for debugging (not exposed to users)
+            if (error && error.stack) {
+                console.error('Error adding all to cart:', error.stack);
+            } else {
+                console.error('Error adding all to cart:', error);
+            }
+
+            // Show a user-friendly error message in the UI (generic message for security)
+            buttonElement.innerHTML = '<i class="bi bi-x-circle"></i> Failed';
+            // Only remove btn-success if it was added (defensive)
+            if (buttonElement.classList.contains('btn-success')) {
+                buttonElement.classList.remove('btn-success');
+            }
+
+            // Show generic error message to users (don't expose error details for security)
+            addMessage('❌ Sorry, I couldn\'t add all products to cart. Please try adding them individually.', 'assistant', true);
+
+            // Ensure button state is properly reset
+            setTimeout(() => {
+                buttonElement.innerHTML = originalHTML;
+                buttonElement.disabled = false;
+            }, 2000);
+        }
+    }
+
+    async function handlePlaceOrder(productId, buttonElement) {
+        await startOrderFlow([productId], buttonElement);
+    }
+
+    async function handleOrderAll(productIds, buttonElement) {
+        const ids = productIds.split(',').map(id => id.trim()).filter(id => id);
+        await startOrderFlow(ids, buttonElement);
+    }
+
+    // Resolves to true once the order summary is showing
+    async function startOrderFlow(productIds, buttonElement) {
+        const originalHTML = buttonElement.innerHTML;
+        buttonElement.disabled = true;
+        buttonElement.innerHTML = '<span class="spinner-border spinner-border-sm" role="status"></span> Preparing order...';
+
+        try {
+            const customerId = window.currentUserId || 'default-customer';
+
+            // Checkout orders the whole cart, so the summary includes what is already in it
+            const [products, cart] = await Promise.all([
+                Promise.all(productIds.map(fetchProduct)),
+                fetchCart(customerId)
+            ]);
+
+            showOrderSummary(customerId, products, cart.lines || []);
+            return true;
+        } catch (error) {
+            console.error('Error preparing order:', error);
+            addMessage('❌ Sorry, I couldn\'t prepare that order. Please try again.', 'assistant', true);
+            return false;
+        } finally {
+            buttonElement.innerHTML = originalHTML;
+            buttonElement.disabled = false;
+        }
+    }
+
+    function showOrderSummary(customerId, products, cartLines) {
+        const total = products.reduce((sum, p) => sum + p.price, 0)
+            + cartLines.reduce((sum, line) => sum + line.unitPrice * line.quantity, 0);
+
+        // Summaries are interactive and short-lived, so they are not saved with the transcript
+        const bubbleDiv = view.createMessage('assistant', {
+            className: 'order-summary-message',
+            bodyClassName: 'order-summary'
+        });
+
+        const title = document.createElement('div');
+        title.className = 'order-summary-title';
+        title.innerHTML = '<i class="bi bi-receipt"></i> Order summary';
+        bubbleDiv.appendChild(title);
+
+        bubbleDiv.appendChild(createSummarySection('New items',
+            products.map(p => ({ name: p.name, quantity: 1, amount: p.price }))));
+
+        if (cartLines.length > 0) {
+            bubbleDiv.appendChild(createSummarySection('Already in your cart',
+                cartLines.map(line => ({ name: line.name, quantity: line.quantity, amount: line.unitPrice * line.quantity }))));
+        }
+
+        const totalRow = document.createElement('div');
+        totalRow.className = 'order-summary-total';
+        totalRow.innerHTML = '<span>Total</span><span></span>';
+        totalRow.lastChild.textContent = formatCurrency(total);
+        bubbleDiv.appendChild(totalRow);
+
+        const tokenLabel = document.createElement('label');
+        tokenLabel.className = 'order-summary-token';
+        tokenLabel.textContent = 'Payment token (mock)';
+        const tokenInput = document.createElement('input');
+        tokenInput.type = 'text';
+        tokenInput.className = 'form-control form-control-sm';
+        tokenInput.value = 'tok_test';
+        tokenLabel.appendChild(tokenInput);
+        bubbleDiv.appendChild(tokenLabel);
+
+        const actions = document.createElement('div');
+        actions.className = 'order-summary-actions';
+        const confirmBtn = document.createElement('button');
+        confirmBtn.type = 'button';
+        confirmBtn.className = 'action-button confirm-order-btn';
+        confirmBtn.innerHTML = '<i class="bi bi-bag-check"></i>Confirm order';
+        const cancelBtn = document.createElement('button');
+        cancelBtn.type = 'button';
+        cancelBtn.className = 'action-button cancel-order-btn';
+        cancelBtn.innerHTML = '<i class="bi bi-x-circle"></i>Cancel';
+        actions.appendChild(confirmBtn);
+        actions.appendChild(cancelBtn);
+        bubbleDiv.appendChild(actions);
+
+        confirmBtn.addEventListener('click', async function () {
+            const paymentToken = tokenInput.value.trim();
+            if (!paymentToken) {
+                tokenInput.focus();
+                return;
+            }
+
+            confirmBtn.disabled = true;
+            cancelBtn.disabled = true;
+            tokenInput.disabled = true;
+            confirmBtn.innerHTML = '<span class="spinner-border spinner-border-sm" role="status"></span> Placing order...';
+
+            const finished = await placeOrder(customerId, products, paymentToken);
+            if (finished) {
+                actions.remove();
+            } else {
+                confirmBtn.innerHTML = '<i class="bi bi-bag-check"></i>Confirm order';
+                confirmBtn.disabled = false;
+                cancelBtn.disabled = false;
+                tokenInput.disabled = false;
+            }
+        });
+
+        cancelBtn.addEventListener('click', function () {
+            actions.remove();
+            tokenInput.disabled = true;
+            addMessage('Order cancelled. Nothing was added to your cart.', 'assistant');
+        });
+
+        view.scrollToBottom();
+    }
+
+    // Resolves to false only when nothing was changed, so the user can safely retry
+    async function placeOrder(customerId, products, paymentToken) {
+        try {
+            // Add the new items one at a time so a failure stops before checkout
+            for (const product of products) {
+                const response = await fetch(`/api/cart/${encodeURIComponent(customerId)}/items?productId=${product.id}&quantity=1`, {
+                    method: 'POST',
+                    headers: {
+                        'Content-Type': 'application/json'
+                    }
+                });
+                if (!response.ok) {
+                    throw new Error(`Failed to add product ${product.id} to cart`);
+                }
+            }
+        } catch (error) {
+            console.error('Error adding order items to cart:', error);
+            addMessage('❌ Sorry, I couldn\'t add the items to your cart, so no order was placed. Please try again.', 'assistant', true);
+            return false;
+        }
+
+        try {
+            const response = await fetch('/api/checkout', {
+                method: 'POST',
+                headers: {
+                    'Content-Type': 'application/json'
+                },
+                body: JSON.stringify({ customerId: customerId, paymentToken: paymentToken })
+            });
+
+            if (!response.ok) {
+                throw new Error(`HTTP error! status: ${response.status}`);
+            }
+
+            const order = await response.json();
+            addOrderResultMessage(order);
+            window.retailEvents.emit('chat:action', { type: 'placeOrder', orderId: order.id });
+            window.retailEvents.emit('order:placed', { orderId: order.id, source: 'chat' });
+            return true;
+        } catch (error) {
+            console.error('Error placing order:', error);
+            // The items are already in the cart at this point, so point the user at the regular checkout
+            addMessage('❌ Sorry, checkout failed. The items are in your cart, so you can finish from the Checkout page.', 'assistant', true);
+            return true;
+        } finally {
+            // Either the order emptied the cart or the new items are still in it
+            notifyCartChanged();
+        }
+    }
+
+    function addOrderResultMessage(order) {
+        const paid = order.status === 'Paid';
+        const summary = paid
+            ? `✅ Order #${order.id} placed! Status: ${order.status}. Total: ${formatCurrency(order.total)}.`
+            : `⚠️ Order #${order.id} was created but payment did not go through. Status: ${order.status}.`;
+
+        addMessage(`${summary}\n[View order details](/Orders/Details?id=${encodeURIComponent(order.id)})`, 'assistant', !paid);
+
+        // Let the assistant know about the order in follow-up questions; the server writes the note from the order
+        if (conversationId) {
+            fetch(`/api/chat/conversations/${encodeURIComponent(conversationId)}/orders`, {
+                method: 'POST',
+                headers: { 'Content-Type': 'application/json' },
+                body: JSON.stringify({ orderId: order.id })
+            }).catch(error => console.error('Error recording order in conversation:', error));
+        }
+    }
+
+    function restoreChatMessages() {
+        // Remove welcome message if we have saved messages to restore
+        if (transcript.length > 0) {
+            view.hideWelcome();
+        }
+
+        // Re-render every record so restored messages always use the current formatter
+        transcript.forEach(record => {
+            try {
+                renderMessage(record);
+            } catch (e) {
+                console.error('Error restoring chat message:', e);
+            }
+        });
+
+        view.scrollToBottom();
+    }
+
+    function startNewConversation() {
+        conversationId = null;
+        saveConversationId();
+        replaceTranscript([]);
+
+        totalTokensUsed = 0;
+        sessionStorage.removeItem(TOKENS_STORAGE_KEY);
+        updateTokenDisplay();
+        publishSnapshot();
+    }
+
+    function replaceTranscript(records) {
+        transcript = records;
+        saveTranscript();
+
+        view.clearMessages();
+        restoreChatMessages();
+    }
+
+    async function ensureConversation() {
+        if (conversationId) {
+            return conversationId;
+        }
+
+        const response = await fetch('/api/chat/conversations', {
+            method: 'POST',
+            headers: { 'Content-Type': 'application/json' },
+            body: JSON.stringify({})
+        });
+        if (!response.ok) {
+            throw new Error(`HTTP error! status: ${response.status}`);
+        }
+
+        const conversation = await response.json();
+        conversationId = conversation.id;
+        saveConversationId();
+        return conversationId;
+    }
+
+    /**
+     * Shows a conversation loaded from GET /api/chat/conversations/{id} and continues it.
+     * @param {{ id: number, summarizedMessageCount?: number,
+     *   messages: Array<{ role: string, content: string, createdUtc: string }> }} conversation
+     */
+    function openConversation(conversation) {
+        conversationId = conversation.id;
+        saveConversationId();
+
+        // The divider goes above the first message the model still sees in full
+        const summarizedCount = conversation.summarizedMessageCount || 0;
+        replaceTranscript(conversation.messages.map((msg, index) => normalizeRecord({
+            role: msg.role,
+            text: msg.content,
+            timestamp: msg.createdUtc,
+            summarizedBefore: summarizedCount > 0 && index === summarizedCount
+        })).filter(Boolean));
+        updateTokenDisplay();
+        publishSnapshot();
+    }
+
+    return {
+        send: send,
+        stop: stop,
+        addMessage: addMessage,
+        startNewConversation: startNewConversation,
+        openConversation: openConversation,
+        getConversationId: () => conversationId
+    };
+}
+
+// What the current page shows (product, cart or order), so questions like "is this in stock?" can be answered.
+// Pages that describe themselves render it into #chatPageContext; every page adds its path.
+function readPageContext() {
+    let context = {};
+    const element = document.getElementById('chatPageContext');
+    if (element) {
+        try {
+            context = JSON.parse(element.textContent) || {};
+        } catch (e) {
+            console.error('Error reading chat page context:', e);
+        }
+    }
+    return { ...context, path: window.location.pathname };
+}
+
+function normalizeRecord(record) {
+    // Storage can be edited by hand, so only well-formed records are kept
+    if (!record || (record.role !== 'user' && record.role !== 'assistant') || typeof record.text !== 'string') {
+        return null;
+    }
+
+    return {
+        role: record.role,
+        text: record.text,
+        timestamp: typeof record.timestamp === 'string' ? record.timestamp : new Date().toISOString(),
+        actions: record.role === 'assistant' ? normalizeActions(record.actions) : null,
+        usage: normalizeUsage(record.usage),
+        proposedActions: record.role === 'assistant' ? normalizeProposedActions(record.proposedActions) : [],
+        summarizedBefore: record.summarizedBefore === true,
+        suggestions: record.role === 'assistant' ? normalizeSuggestions(record.suggestions) : [],
+        isError: record.isError === true
+    };
+}
+
+function normalizeActions(actions) {
+    // Each action's fields are checked again when it is rendered
+    return Array.isArray(actions)
+        ? actions.filter(action => action && typeof action.type === 'string')
+        : null;
+}
+
+function normalizeProposedActions(actions) {
+    if (!Array.isArray(actions)) return [];
+
+    const isQuantity = value => Number.isInteger(value) && value > 0;
+    return actions
+        .filter(action => action && isQuantity(action.quantity) && typeof action.total === 'number'
+            && ((action.type === 'addToCart' && isQuantity(action.productId) && typeof action.name === 'string')
+                || action.type === 'placeOrder'))
+        .map(action => ({
+            type: action.type,
+            productId: action.productId ?? null,
+            name: action.name ?? null,
+            quantity: action.quantity,
+            total: action.total,
+            status: action.status === 'confirmed' || action.status === 'dismissed' ? action.status : null
+        }));
+}
+
+function normalizeSuggestions(suggestions) {
+    return Array.isArray(suggestions)
+        ? suggestions.filter(suggestion => typeof suggestion === 'string' && suggestion.trim() !== '')
+        : [];
+}
+
+function describeProposedAction(action) {
+    if (action.type === 'placeOrder') {
+        return `Place an order for the ${action.quantity} item${action.quantity === 1 ? '' : 's'} in your cart (${formatCurrency(action.total)})`;
+    }
+    return `Add ${action.quantity} × ${action.name} to your cart (${formatCurrency(action.total)})`;
+}
+
+function normalizeUsage(usage) {
+    const isCount = value => Number.isInteger(value) && value >= 0;
+    return usage && isCount(usage.promptTokens) && isCount(usage.completionTokens) && isCount(usage.totalTokens)
+        ? { promptTokens: usage.promptTokens, completionTokens: usage.completionTokens, totalTokens: usage.totalTokens }
+        : null;
+}
+
+function legacyMarkupToText(markup) {
+    // Template content is inert, so nothing in the saved markup runs while it is converted
+    const template = document.createElement('template');
+    template.innerHTML = markup;
+    chatMarkdown.sanitize(template.content);
+    return nodeToText(template.content).trim();
+}
+
+function nodeToText(node) {
+    if (node.nodeType === Node.TEXT_NODE) {
+        return node.textContent;
+    }
+
+    const inner = Array.from(node.childNodes).map(nodeToText).join('');
+    const label = node.textContent?.trim() ?? '';
+    const productId = node.dataset?.productId;
+    const productIds = node.dataset?.productIds;
+
+    switch (node.tagName) {
+        case 'BR':
+            return '\n';
+        case 'STRONG':
+            return `**${inner}**`;
+        case 'EM':
+            return `*${inner}*`;
+        case 'CODE':
+            return `\`${inner}\``;
+        case 'A':
+            if (node.classList.contains('product-link') && productId) {
+                return label === 'View Product' ? `[PRODUCT:${productId}]` : `[PRODUCT:${productId}:${label}]`;
+            }
+            return node.getAttribute('href') ? `[${label}](${node.getAttribute('href')})` : inner;
+        case 'BUTTON':
+            // Rebuild the tag the button was rendered from
+            if (node.classList.contains('add-to-cart-btn') && productId) {
+                return label.startsWith('Add ') && label !== 'Add to Cart'
+                    ? `[ADD_TO_CART:${productId}:${label.slice(4)}]`
+                    : `[ADD_TO_CART:${productId}]`;
+            }
+            if (node.classList.contains('place-order-btn') && productId) {
+                return label.startsWith('Order ')
+                    ? `[PLACE_ORDER:${productId}:${label.slice(6)}]`
+                    : `[PLACE_ORDER:${productId}]`;
+            }
+            if (node.classList.contains('add-all-to-cart-btn') && productIds) {
+                return `[ADD_ALL_TO_CART:${productIds}]`;
+            }
+            if (node.classList.contains('order-all-btn') && productIds) {
+                return `[ORDER_ALL:${productIds}]`;
+            }
+            return '';
+        default:
+            return inner;
+    }
+}
+
+async function fetchProduct(productId) {
+    const response = await fetch(`/api/products/${encodeURIComponent(productId)}`);
+    if (!response.ok) {
+        throw new Error(`Product ${productId} is not available`);
+    }
+    return response.json();
+}
+
+// Falls back to the id when the product can't be read, so a confirmation can still be shown
+async function fetchProductName(productId) {
+    try {
+        return (await fetchProduct(productId)).name;
+    } catch (error) {
+        console.error('Error loading product name:', error);
+        return `product #${productId}`;
+    }
+}
+
+// "2 × Wool Socks, 1 × Camping Tent and 3 × Water Bottle"
+function describeItems(items) {
+    return joinList(items.map(item => `${item.quantity} × ${item.name || `product #${item.productId}`}`));
+}
+
+// Items from a batch add that didn't go in, with the server's reason for each
+function describeFailedItems(items) {
+    return `Couldn't add ${joinList(items.map(item => `${item.name || `product #${item.productId}`} (${item.error || 'not added'})`))}.`;
+}
+
+function joinList(parts) {
+    return parts.length > 1 ? `${parts.slice(0, -1).join(', ')} and ${parts[parts.length - 1]}` : parts.join('');
+}
+
+async function fetchCart(customerId) {
+    const response = await fetch(`/api/cart/${encodeURIComponent(customerId)}`);
+    if (!response.ok) {
+        throw new Error(`HTTP error! status: ${response.status}`);
+    }
+    return response.json();
+}
+
+function createSummarySection(heading, rows) {
+    const section = document.createElement('div');
+    section.className = 'order-summary-section';
+
+    const headingDiv = document.createElement('div');
+    headingDiv.className = 'order-summary-heading';
+    headingDiv.textContent = heading;
+    section.appendChild(headingDiv);
+
+    rows.forEach(row => {
+        const rowDiv = document.createElement('div');
+        rowDiv.className = 'order-summary-row';
+        const name = document.createElement('span');
+        name.textContent = `${row.name} × ${row.quantity}`;
+        const amount = document.createElement('span');
+        amount.textContent = formatCurrency(row.amount);
+        rowDiv.appendChild(name);
+        rowDiv.appendChild(amount);
+        section.appendChild(rowDiv);
+    });
+
+    return section;
+}
+
+function formatCurrency(amount) {
+    return new Intl.NumberFormat('en-GB', { style: 'currency', currency: 'GBP' }).format(amount);
+}
@@ -0,0 +1,646 @@
+// Markdown rendering for chat messages, used by chat-client.js for the side panel and the Copilot page
+// Messages are parsed straight into DOM nodes; text is never assigned through innerHTML.
+
+// Elements the sanitizer keeps, with the attributes allowed on each
+const ALLOWED_ELEMENTS = {
+    A: ['href', 'class', 'title', 'target', 'rel', 'data-product-id'],
+    BLOCKQUOTE: [],
+    BR: [],
+    BUTTON: ['class', 'type', 'data-product-id', 'data-product-ids', 'data-quantity', 'data-quantities'],
+    CODE: [],
+    DEL: [],
+    DIV: ['class'],
+    EM: [],
+    H1: [], H2: [], H3: [], H4: [], H5: [], H6: [],
+    HR: [],
+    I: ['class'],
+    LI: [],
+    OL: ['start'],
+    P: [],
+    PRE: [],
+    SPAN: ['class'],
+    STRONG: [],
+    TABLE: ['class'],
+    TBODY: [],
+    TD: ['class'],
+    TH: ['class'],
+    THEAD: [],
+    TR: [],
+    UL: []
+};
+
+// Relative links (but not protocol-relative ones), http(s) and mailto only
+const SAFE_URL_PATTERN = /^(?:https?:\/\/|mailto:|\/(?!\/)|#)/i;
+
+// Interactive tags emitted by the copilot, rendered as product links or action buttons.
+// Cart tags may carry quantities, after the name ([ADD_TO_CART:5:Dell XPS 13:2]) or per item ([ADD_ALL_TO_CART:5x2,8])
+const TAG_PATTERN = /\[(PRODUCT|ADD_TO_CART|PLACE_ORDER):(\d+)(?::([^\]\n]+?))?(?::(\d+))?\]|\[(ADD_ALL_TO_CART|ORDER_ALL):(\d+(?:x\d+)?(?:\s*,\s*\d+(?:x\d+)?)*)\]|\[(NAVIGATE):(\/[^\]:\s]*)(?::([^\]\n]+))?\]/;
+
+// Most items of one product a chat action can add (CartQuantityRequest.MaxQuantity on the server)
+export const MAX_QUANTITY = 99;
+
+const TAG_DEFINITIONS = {
+    PRODUCT: { type: 'viewProduct', icon: 'bi-box-seam', label: name => name || 'View Product' },
+    ADD_TO_CART: { type: 'addToCart', className: 'add-to-cart-btn', icon: 'bi-cart-plus', label: name => name ? `Add ${name}` : 'Add to Cart' },
+    PLACE_ORDER: { type: 'placeOrder', className: 'place-order-btn', icon: 'bi-bag-check', label: name => name ? `Order ${name}` : 'Place Order' },
+    ADD_ALL_TO_CART: { type: 'addAllToCart', className: 'add-all-to-cart-btn', icon: 'bi-cart-plus-fill', label: () => 'Add All to Cart' },
+    ORDER_ALL: { type: 'placeOrder', className: 'order-all-btn', icon: 'bi-bag-check-fill', label: () => 'Order All' },
+    NAVIGATE: { type: 'navigate', className: 'navigate-btn', icon: 'bi-arrow-right-circle', label: name => name || 'Open page' }
+};
+
+// Inline rules, tried in order; the earliest match in the text wins and ties go to the first rule
+const INLINE_RULES = [
+    { type: 'code', pattern: /`([^`\n]+)`/ },
+    { type: 'tag', pattern: TAG_PATTERN },
+    { type: 'link', pattern: /\[([^\]\n]+)\]\(([^()\s]+)\)/ },
+    { type: 'strong', pattern: /\*\*(?=\S)(.*?\S)\*\*|__(?=\S)(.*?\S)__/ },
+    { type: 'del', pattern: /~~(?=\S)(.*?\S)~~/ },
+    { type: 'em', pattern: /\*(?=[^\s*])([^*]*?[^\s*])\*|(?<!\w)_(?=[^\s_])([^_]*?[^\s_])_(?!\w)/ }
+];
+
+const LIST_ITEM_PATTERN = /^(\s*)([-*+]|\d+[.)])\s+(.*)$/;
+const FENCE_PATTERN = /^\s*(```|~~~)\s*[\w-]*\s*$/;
+const HEADING_PATTERN = /^\s{0,3}(#{1,6})\s+(.*?)\s*#*\s*$/;
+const RULE_PATTERN = /^\s{0,3}([-*_])(?:\s*\1){2,}\s*$/;
+const QUOTE_PATTERN = /^\s{0,3}>\s?(.*)$/;
+const TABLE_SEPARATOR_PATTERN = /^\s*\|?\s*:?-+:?\s*(?:\|\s*:?-+:?\s*)*\|?\s*$/;
+
+/**
+ * Renders chat message text to a sanitized DOM fragment.
+ *
+ * @param {string} text - Markdown text of the message
+ * @param {{ tags?: 'names'|'text' }} [options] - How copilot tags are rendered: 'names' keeps only
+ *   product names (for use with renderActions), 'text' (the default) leaves tags as typed
+ * @returns {DocumentFragment}
+ */
+export function render(text, options) {
+    const opts = Object.assign({ tags: 'text' }, options);
+    const fragment = document.createDocumentFragment();
+    const lines = String(text ?? '').replace(/\r\n?/g, '\n').split('\n');
+
+    renderBlocks(lines, fragment, opts);
+    sanitize(fragment);
+
+    return fragment;
+}
+
+function renderBlocks(lines, container, opts) {
+    let i = 0;
+
+    while (i < lines.length) {
+        const line = lines[i];
+
+        if (isBlank(line)) {
+            i++;
+        } else if (FENCE_PATTERN.test(line)) {
+            i = renderCodeBlock(lines, i, container);
+        } else if (HEADING_PATTERN.test(line)) {
+            const match = line.match(HEADING_PATTERN);
+            const heading = document.createElement(`h${match[1].length}`);
+            appendInline(heading, match[2], opts);
+            container.appendChild(heading);
+            i++;
+        } else if (RULE_PATTERN.test(line)) {
+            container.appendChild(document.createElement('hr'));
+            i++;
+        } else if (isTableStart(lines, i)) {
+            i = renderTable(lines, i, container, opts);
+        } else if (QUOTE_PATTERN.test(line)) {
+            i = renderBlockquote(lines, i, container, opts);
+        } else if (LIST_ITEM_PATTERN.test(line)) {
+            i = renderList(lines, i, container, opts);
+        } else {
+            i = renderParagraph(lines, i, container, opts);
+        }
+    }
+}
+
+function renderCodeBlock(lines, start, container) {
+    const fence = lines[start].trim().slice(0, 3);
+    const codeLines = [];
+    let i = start + 1;
+
+    while (i < lines.length && !lines[i].trim().startsWith(fence)) {
+        codeLines.push(lines[i]);
+        i++;
+    }
+
+    const pre = document.createElement('pre');
+    const code = document.createElement('code');
+    code.textContent = codeLines.join('\n');
+    pre.appendChild(code);
+    container.appendChild(pre);
+
+    // Skip the closing fence (an unterminated block runs to the end of the message)
+    return i + 1;
+}
+
+function renderBlockquote(lines, start, container, opts) {
+    const quoted = [];
+    let i = start;
+
+    while (i < lines.length && QUOTE_PATTERN.test(lines[i])) {
+        quoted.push(lines[i].match(QUOTE_PATTERN)[1]);
+        i++;
+    }
+
+    const blockquote = document.createElement('blockquote');
+    renderBlocks(quoted, blockquote, opts);
+    container.appendChild(blockquote);
+
+    return i;
+}
+
+function renderList(lines, start, container, opts) {
+    const first = lines[start].match(LIST_ITEM_PATTERN);
+    const indent = first[1].length;
+    const ordered = isOrderedMarker(first[2]);
+    const list = document.createElement(ordered ? 'ol' : 'ul');
+
+    if (ordered && parseInt(first[2], 10) !== 1) {
+        list.setAttribute('start', String(parseInt(first[2], 10)));
+    }
+
+    let currentItem = null;
+    let i = start;
+
+    while (i < lines.length) {
+        const line = lines[i];
+
+        if (isBlank(line)) {
+            // A blank line only continues the list if another item follows
+            const next = nextNonBlank(lines, i);
+            const nextItem = next === -1 ? null : lines[next].match(LIST_ITEM_PATTERN);
+            if (!nextItem || nextItem[1].length < indent) break;
+            i = next;
+            continue;
+        }
+
+        const item = line.match(LIST_ITEM_PATTERN);
+        if (item) {
+            const itemIndent = item[1].length;
+            if (itemIndent < indent) break;
+
+            if (itemIndent > indent && currentItem) {
+                i = renderList(lines, i, currentItem, opts);
+                continue;
+            }
+
+            if (isOrderedMarker(item[2]) !== ordered) break;
+
+            currentItem = document.createElement('li');
+            appendInline(currentItem, item[3], opts);
+            list.appendChild(currentItem);
+            i++;
+            continue;
+        }
+
+        // Indented text continues the current item
+        if (currentItem && /^\s+\S/.test(line)) {
+            currentItem.appendChild(document.createElement('br'));
+            appendInline(currentItem, line.trim(), opts);
+            i++;
+            continue;
+        }
+
+        break;
+    }
+
+    container.appendChild(list);
+    return i;
+}
+
+function isTableStart(lines, i) {
+    return i + 1 < lines.length
+        && lines[i].includes('|')
+        && lines[i + 1].includes('|')
+        && TABLE_SEPARATOR_PATTERN.test(lines[i + 1]);
+}
+
+function renderTable(lines, start, container, opts) {
+    const headers = splitTableRow(lines[start]);
+    const alignments = splitTableRow(lines[start + 1]).map(cell => {
+        const trimmed = cell.trim();
+        if (trimmed.startsWith(':') && trimmed.endsWith(':')) return 'text-center';
+        if (trimmed.endsWith(':')) return 'text-end';
+        return null;
+    });
+
+    const wrapper = document.createElement('div');
+    wrapper.className = 'chat-table-wrapper';
+    const table = document.createElement('table');
+    table.className = 'chat-table';
+
+    const thead = document.createElement('thead');
+    thead.appendChild(createTableRow('th', headers, alignments, opts));
+    table.appendChild(thead);
+
+    const tbody = document.createElement('tbody');
+    let i = start + 2;
+    while (i < lines.length && lines[i].includes('|') && !isBlank(lines[i])) {
+        tbody.appendChild(createTableRow('td', splitTableRow(lines[i]), alignments, opts));
+        i++;
+    }
+    table.appendChild(tbody);
+
+    wrapper.appendChild(table);
+    container.appendChild(wrapper);
+    return i;
+}
+
+function createTableRow(cellTag, cells, alignments, opts) {
+    const row = document.createElement('tr');
+    cells.forEach((cell, index) => {
+        const cellElement = document.createElement(cellTag);
+        if (alignments[index]) {
+            cellElement.className = alignments[index];
+        }
+        appendInline(cellElement, cell.trim(), opts);
+        row.appendChild(cellElement);
+    });
+    return row;
+}
+
+function splitTableRow(line) {
+    return line.trim()
+        .replace(/^\|/, '')
+        .replace(/(?<!\\)\|$/, '')
+        .split(/(?<!\\)\|/)
+        .map(cell => cell.replace(/\\\|/g, '|'));
+}
+
+function renderParagraph(lines, start, container, opts) {
+    const paragraph = document.createElement('p');
+    let i = start;
+
+    while (i < lines.length && !isBlank(lines[i]) && (i === start || !startsBlock(lines, i))) {
+        if (i > start) {
+            paragraph.appendChild(document.createElement('br'));
+        }
+        appendInline(paragraph, lines[i].trim(), opts);
+        i++;
+    }
+
+    container.appendChild(paragraph);
+    return i;
+}
+
+function startsBlock(lines, i) {
+    const line = lines[i];
+    return FENCE_PATTERN.test(line)
+        || HEADING_PATTERN.test(line)
+        || RULE_PATTERN.test(line)
+        || QUOTE_PATTERN.test(line)
+        || LIST_ITEM_PATTERN.test(line)
+        || isTableStart(lines, i);
+}
+
+function appendInline(parent, text, opts) {
+    let rest = text;
+
+    while (rest) {
+        let best = null;
+        for (const rule of INLINE_RULES) {
+            const match = rule.pattern.exec(rest);
+            if (match && (!best || match.index < best.match.index)) {
+                best = { type: rule.type, match: match };
+            }
+        }
+
+        if (!best) {
+            parent.appendChild(document.createTextNode(rest));
+            break;
+        }
+
+        if (best.match.index > 0) {
+            parent.appendChild(document.createTextNode(rest.slice(0, best.match.index)));
+        }
+
+        appendInlineToken(parent, best.type, best.match, opts);
+        rest = rest.slice(best.match.index + best.match[0].length);
+    }
+}
+
+function appendInlineToken(parent, type, match, opts) {
+    switch (type) {
+        case 'code': {
+            const code = document.createElement('code');
+            code.textContent = match[1];
+            parent.appendChild(code);
+            break;
+        }
+        case 'tag': {
+            const node = createTagNode(match, opts);
+            if (node) {
+                parent.appendChild(node);
+            }
+            break;
+        }
+        case 'link': {
+            const href = match[2];
+            if (!isSafeUrl(href)) {
+                appendInline(parent, match[1], opts);
+                break;
+            }
+            const link = document.createElement('a');
+            link.href = href;
+            link.className = 'chat-link';
+            if (/^https?:\/\//i.test(href)) {
+                link.target = '_blank';
+                link.rel = 'noopener noreferrer';
+            }
+            appendInline(link, match[1], opts);
+            parent.appendChild(link);
+            break;
+        }
+        default: {
+            // strong, em and del wrap whichever alternative matched
+            const element = document.createElement(type);
+            appendInline(element, match[1] ?? match[2], opts);
+            parent.appendChild(element);
+        }
+    }
+}
+
+function createTagNode(match, opts) {
+    if (opts.tags === 'text') {
+        return document.createTextNode(match[0]);
+    }
+
+    // The actions are rendered separately, so only the product name stays in the sentence
+    const tag = parseTag(match);
+    return tag.kind === 'PRODUCT' && tag.name ? document.createTextNode(tag.name) : null;
+}
+
+function parseTag(match) {
+    const kind = match[1] || match[5] || match[7];
+    // "12x3" is three of product 12
+    const items = match[6] ? match[6].split(',').map(item => item.trim().split('x')) : null;
+    return {
+        kind: kind,
+        definition: TAG_DEFINITIONS[kind],
+        id: match[2] || null,
+        quantity: parseInt(match[4], 10) || 1,
+        ids: items ? items.map(item => item[0]) : null,
+        quantities: items ? items.map(item => parseInt(item[1], 10) || 1) : null,
+        url: match[8] || null,
+        name: (match[3] || match[9] || '').trim()
+    };
+}
+
+function createProductLink(productId, name) {
+    // Keep product links same-tab so the side chat stays open while browsing
+    const link = document.createElement('a');
+    link.href = `/Products/Details/${encodeURIComponent(productId)}`;
+    link.className = 'product-link';
+    link.dataset.productId = productId;
+    link.appendChild(createIcon(TAG_DEFINITIONS.PRODUCT.icon));
+    link.appendChild(document.createTextNode(` ${TAG_DEFINITIONS.PRODUCT.label(name)}`));
+    return link;
+}
+
+function createNavigateLink(url, name) {
+    // Only pages on this site; anything else is dropped
+    if (!/^\/(?!\/)/.test(url)) {
+        return null;
+    }
+
+    const link = document.createElement('a');
+    link.href = url;
+    link.className = `action-button ${TAG_DEFINITIONS.NAVIGATE.className}`;
+    link.appendChild(createIcon(TAG_DEFINITIONS.NAVIGATE.icon));
+    link.appendChild(document.createTextNode(TAG_DEFINITIONS.NAVIGATE.label(name)));
+    return link;
+}
+
+function createActionButton(className, iconClass, label) {
+    const button = document.createElement('button');
+    button.type = 'button';
+    button.className = `action-button ${className}`;
+    button.appendChild(createIcon(iconClass));
+    button.appendChild(document.createTextNode(label));
+    return button;
+}
+
+/**
+ * Renders typed actions (from a chat API response, or from extractActions) as links and buttons.
+ * Buttons carry the same classes and data attributes as the inline tag buttons.
+ *
+ * @param {Array<object>} actions - Actions in the shape returned by extractActions
+ * @returns {?HTMLElement} A .message-actions element, or null when there is nothing to show
+ */
+export function renderActions(actions) {
+    const container = document.createElement('div');
+    container.className = 'message-actions';
+
+    (Array.isArray(actions) ? actions : []).forEach(action => {
+        const node = createActionNode(action);
+        if (node) {
+            container.appendChild(node);
+        }
+    });
+
+    return container.childNodes.length > 0 ? container : null;
+}
+
+function createActionNode(action) {
+    const name = typeof action?.name === 'string' ? action.name.trim() : '';
+    const productIds = Array.isArray(action?.productIds) ? action.productIds.filter(Number.isInteger) : [];
+
+    switch (action?.type) {
+        case 'viewProduct':
+            return Number.isInteger(action.productId) ? createProductLink(String(action.productId), name) : null;
+        case 'addToCart': {
+            if (!Number.isInteger(action.productId)) return null;
+            const definition = TAG_DEFINITIONS.ADD_TO_CART;
+            const button = createActionButton(definition.className, definition.icon, definition.label(name));
+            button.dataset.productId = action.productId;
+            button.dataset.quantity = isQuantity(action.quantity) ? action.quantity : 1;
+            if (name) {
+                button.dataset.name = name;
+            }
+            return createQuantityStepper(button);
+        }
+        case 'addAllToCart': {
+            if (productIds.length === 0) return null;
+            const definition = TAG_DEFINITIONS.ADD_ALL_TO_CART;
+            const button = createActionButton(definition.className, definition.icon, definition.label());
+            button.dataset.productIds = productIds.join(',');
+            // One of each unless the action says otherwise
+            const quantities = Array.isArray(action.quantities) ? action.quantities : [];
+            button.dataset.quantities = productIds.map((_, i) => isQuantity(quantities[i]) ? quantities[i] : 1).join(',');
+            return button;
+        }
+        case 'placeOrder': {
+            if (productIds.length === 0) return null;
+            if (productIds.length === 1) {
+                const definition = TAG_DEFINITIONS.PLACE_ORDER;
+                const button = createActionButton(definition.className, definition.icon, definition.label(name));
+                button.dataset.productId = productIds[0];
+                return button;
+            }
+            const definition = TAG_DEFINITIONS.ORDER_ALL;
+            const button = createActionButton(definition.className, definition.icon, definition.label());
+            button.dataset.productIds = productIds.join(',');
+            return button;
+        }
+        case 'navigate':
+            return typeof action.url === 'string' ? createNavigateLink(action.url, name) : null;
+        default:
+            return null;
+    }
+}
+
+// Wraps an add-to-cart button with − and + buttons around its quantity. The chat client wires them up:
+// they change the button's data-quantity and the number shown
+function createQuantityStepper(button) {
+    const quantity = parseInt(button.dataset.quantity, 10);
+    const group = document.createElement('span');
+    group.className = 'quantity-stepper';
+
+    const decrement = document.createElement('button');
+    decrement.type = 'button';
+    decrement.className = 'quantity-step';
+    decrement.dataset.step = '-1';
+    decrement.setAttribute('aria-label', 'One fewer');
+    decrement.textContent = '−';
+    decrement.disabled = quantity <= 1;
+
+    const value = document.createElement('span');
+    value.className = 'quantity-value';
+    value.setAttribute('aria-live', 'polite');
+    value.textContent = quantity;
+
+    const increment = document.createElement('button');
+    increment.type = 'button';
+    increment.className = 'quantity-step';
+    increment.dataset.step = '1';
+    increment.setAttribute('aria-label', 'One more');
+    increment.textContent = '+';
+    increment.disabled = quantity >= MAX_QUANTITY;
+
+    group.append(decrement, value, increment, button);
+    return group;
+}
+
+function isQuantity(value) {
+    return Number.isInteger(value) && value >= 1 && value <= MAX_QUANTITY;
+}
+
+function createIcon(iconClass) {
+    const icon = document.createElement('i');
+    icon.className = `bi ${iconClass}`;
+    return icon;
+}
+
+/**
+ * Removes every element and attribute that is not on the allow-list.
+ * Disallowed elements are replaced by their text so no content is silently lost.
+ * @param {Node} root - Fragment or element to clean in place
+ */
+export function sanitize(root) {
+    Array.from(root.childNodes).forEach(node => {
+        if (node.nodeType === Node.TEXT_NODE) {
+            return;
+        }
+
+        if (node.nodeType !== Node.ELEMENT_NODE) {
+            node.remove();
+            return;
+        }
+
+        const allowedAttributes = ALLOWED_ELEMENTS[node.tagName];
+        if (!allowedAttributes) {
+            node.replaceWith(document.createTextNode(node.textContent));
+            return;
+        }
+
+        Array.from(node.attributes).forEach(attribute => {
+            const name = attribute.name.toLowerCase();
+            if (!allowedAttributes.includes(name) || (name === 'href' && !isSafeUrl(attribute.value))) {
+                node.removeAttribute(attribute.name);
+            }
+        });
+
+        if (node.tagName === 'BUTTON') {
+            node.setAttribute('type', 'button');
+        }
+
+        sanitize(node);
+    });
+}
+
+/**
+ * Lists the interactive tags in a message as typed actions, in the order they appear and without duplicates.
+ * The shape matches the actions in /api/chat responses; this is the fallback for text without them.
+ * @param {string} text - Markdown text of the message
+ * @returns {Array<{ type: string, productId?: number, productIds?: number[], name?: string, quantity?: number,
+ *   quantities?: number[], url?: string }>}
+ */
+export function extractActions(text) {
+    const pattern = new RegExp(TAG_PATTERN.source, 'g');
+    const actions = [];
+    const seen = new Set();
+    let match;
+
+    while ((match = pattern.exec(String(text ?? ''))) !== null) {
+        const tag = parseTag(match);
+        const action = { type: tag.definition.type };
+
+        if (tag.kind === 'NAVIGATE') {
+            action.url = tag.url;
+        } else if (tag.kind === 'PLACE_ORDER') {
+            action.productIds = [parseInt(tag.id, 10)];
+        } else if (tag.id) {
+            action.productId = parseInt(tag.id, 10);
+        } else {
+            // A repeated id keeps its first quantity
+            const items = new Map();
+            tag.ids.forEach((id, i) => {
+                const productId = parseInt(id, 10);
+                if (!items.has(productId)) {
+                    items.set(productId, tag.quantities[i]);
+                }
+            });
+            action.productIds = [...items.keys()];
+            if (tag.kind === 'ADD_ALL_TO_CART') {
+                action.quantities = [...items.values()];
+            }
+        }
+
+        if (tag.kind === 'ADD_TO_CART') {
+            action.quantity = tag.quantity;
+        }
+        if (tag.name) {
+            action.name = tag.name;
+        }
+
+        // The model often mentions the same product more than once in a response
+        const key = [action.type, action.productId, action.quantity, action.productIds?.join(','), action.quantities?.join(','), action.url].join('|');
+        if (!seen.has(key)) {
+            seen.add(key);
+            actions.push(action);
+        }
+    }
+
+    return actions;
+}
+
+function isSafeUrl(url) {
+    return SAFE_URL_PATTERN.test(String(url).trim());
+}
+
+function isOrderedMarker(marker) {
+    return /^\d/.test(marker);
+}
+
+function isBlank(line) {
+    return line.trim() === '';
+}
+
+function nextNonBlank(lines, start) {
+    for (let i = start; i < lines.length; i++) {
+        if (!isBlank(lines[i])) return i;
+    }
+    return -1;
+}
@@ -0,0 +1,208 @@
+// Streaming client for the AI Copilot chat API, used by chat-client.js for the side panel and the Copilot page
+
+const STREAM_ENDPOINT = '/api/chat/stream';
+const JSON_ENDPOINT = '/api/chat';
+
+// Matches an interactive tag that has been opened but not yet closed at the end of the text,
+// e.g. "Check out [PRODUCT:5:Dell" while the rest of the tag is still being generated
+const PARTIAL_TAG_PATTERN = /\[(?:[A-Z_]+(?::[^\]\n]*)?)?$/;
+
+// Follow-up questions the server sends separately as suggestions once the response is complete
+const FOLLOW_UP_PATTERN = /[ \t]*\[FOLLOW_UP:[^\]\n]*\]/g;
+
+const supportsStreaming = typeof window.ReadableStream === 'function'
+    && typeof window.TextDecoder === 'function'
+    && 'body' in Response.prototype;
+
+/**
+ * Sends a chat message and reports the assistant response as it is generated.
+ * Falls back to the non-streaming endpoint on browsers without fetch streaming support.
+ *
+ * @param {{ message: string, conversationId?: number, pageContext?: object }} payload - Request body for the chat API
+ * @param {{ onDelta: function(string): void, signal?: AbortSignal }} handlers - onDelta is called with each
+ *   new chunk of text; aborting the signal cancels the request and rejects with an AbortError
+ * @returns {Promise<{ text: string, usage: ?{ promptTokens: number, completionTokens: number, totalTokens: number },
+ *   actions: ?Array<object>, proposedActions: Array<object>, suggestions: string[], quota: ?object,
+ *   historySummarized: boolean }>}
+ *   The complete response text (as corrected by the server's catalog checks, which may differ from the
+ *   streamed chunks), the tokens the model reported (null when the model call failed), the typed actions for
+ *   the response's buttons (null when the server sent none), cart changes the assistant proposed for the user
+ *   to confirm, follow-up questions the assistant suggested, the user's remaining chat budget and whether
+ *   older messages were condensed into the conversation's summary for this response. Rejects when the
+ *   server reports that the response failed part way through
+ */
+export async function send(payload, handlers) {
+    const onDelta = handlers?.onDelta || function () { };
+    const signal = handlers?.signal;
+
+    if (!supportsStreaming) {
+        const response = await postJson(JSON_ENDPOINT, payload, signal);
+        const data = await response.json();
+        onDelta(data.response);
+        return {
+            text: data.response,
+            usage: data.usage || null,
+            actions: data.actions || null,
+            proposedActions: data.proposedActions || [],
+            suggestions: data.suggestions || [],
+            quota: data.quota || null,
+            historySummarized: data.historySummarized === true
+        };
+    }
+
+    const response = await postJson(STREAM_ENDPOINT, payload, signal);
+    const reader = response.body.getReader();
+    const decoder = new TextDecoder();
+    let buffer = '';
+    let fullText = '';
+    let usage = null;
+    let actions = null;
+    let proposedActions = [];
+    let suggestions = [];
+    let quota = null;
+    let historySummarized = false;
+    let completed = false;
+
+    while (true) {
+        const { value, done } = await reader.read();
+        if (done) break;
+
+        buffer += decoder.decode(value, { stream: true });
+
+        // Events are separated by a blank line
+        let boundary;
+        while ((boundary = buffer.indexOf('\n\n')) !== -1) {
+            const event = parseEvent(buffer.slice(0, boundary));
+            buffer = buffer.slice(boundary + 2);
+
+            if (event.name === 'delta' && event.data?.content) {
+                fullText += event.data.content;
+                onDelta(event.data.content);
+            } else if (event.name === 'done') {
+                usage = event.data?.usage || null;
+                actions = event.data?.actions || null;
+                proposedActions = event.data?.proposedActions || [];
+                suggestions = event.data?.suggestions || [];
+                quota = event.data?.quota || null;
+                historySummarized = event.data?.historySummarized === true;
+                // Sent only when the server corrected product tags or removed follow-up tags after streaming them
+                if (typeof event.data?.content === 'string') {
+                    fullText = event.data.content;
+                }
+                completed = true;
+            } else if (event.name === 'error') {
+                await reader.cancel().catch(() => { });
+                throw new Error(event.data?.error || 'Chat stream failed');
+            }
+        }
+    }
+
+    if (!completed) {
+        throw new Error('Chat stream ended unexpectedly');
+    }
+
+    return {
+        text: fullText,
+        usage: usage,
+        actions: actions,
+        proposedActions: proposedActions,
+        suggestions: suggestions,
+        quota: quota,
+        historySummarized: historySummarized
+    };
+}
+
+async function postJson(url, payload, signal) {
+    // Get CSRF token if available
+    const token = document.querySelector('input[name="__RequestVerificationToken"]')?.value;
+
+    const response = await fetch(url, {
+        method: 'POST',
+        headers: {
+            'Content-Type': 'application/json',
+            ...(token && { 'RequestVerificationToken': token })
+        },
+        body: JSON.stringify(payload),
+        // Aborting closes the connection, which cancels the model call on the server
+        signal: signal
+    });
+
+    if (!response.ok) {
+        const error = new Error(`HTTP error! status: ${response.status}`);
+        error.status = response.status;
+        error.data = await response.json().catch(() => null);
+        throw error;
+    }
+
+    return response;
+}
+
+/**
+ * Tells whether a send was rejected because its signal was aborted.
+ * @param {Error} error - Error thrown by send
+ * @returns {boolean}
+ */
+export function isAbortError(error) {
+    return error?.name === 'AbortError';
+}
+
+/**
+ * Describes a rejected request when the user has run out of chat quota.
+ * @param {Error} error - Error thrown by send
+ * @returns {?string} A message saying when the user can chat again, or null for other errors
+ */
+export function describeQuotaError(error) {
+    if (error?.status !== 429) return null;
+
+    const data = error.data || {};
+    if (data.limit === 'tokensPerDay') {
+        const resetsAt = data.resetsAtUtc ? new Date(data.resetsAtUtc) : null;
+        return resetsAt
+            ? `You've used today's chat budget. It resets at ${resetsAt.toLocaleTimeString([], { hour: '2-digit', minute: '2-digit' })}.`
+            : "You've used today's chat budget. Please try again tomorrow.";
+    }
+
+    const seconds = data.retryAfterSeconds || 60;
+    return `You're sending messages too quickly. Please try again in ${seconds} second${seconds === 1 ? '' : 's'}.`;
+}
+
+function parseEvent(rawEvent) {
+    const event = { name: 'message', data: null };
+    const dataLines = [];
+
+    rawEvent.split('\n').forEach(line => {
+        if (line.startsWith('event:')) {
+            event.name = line.slice(6).trim();
+        } else if (line.startsWith('data:')) {
+            dataLines.push(line.slice(5).trim());
+        }
+    });
+
+    if (dataLines.length > 0) {
+        try {
+            event.data = JSON.parse(dataLines.join('\n'));
+        } catch (e) {
+            console.error('Error parsing chat stream event:', e);
+        }
+    }
+
+    return event;
+}
+
+/**
+ * Hides a trailing tag that is still being streamed so it is only rendered once complete.
+ * @param {string} text - Partial response text
+ * @returns {string} Text that is safe to format
+ */
+export function withoutPartialTag(text) {
+    return text.replace(PARTIAL_TAG_PATTERN, '');
+}
+
+/**
+ * Removes the follow-up tags from streamed text; the questions arrive as suggestions when the response is complete.
+ * @param {string} text - Response text
+ * @returns {string} Text without follow-up tags
+ */
+export function withoutFollowUps(text) {
+    return text.replace(FOLLOW_UP_PATTERN, '');
+}
@@ -0,0 +1,133 @@
+// Cross-tab synchronization for the chat UIs.
+// Messages go over a BroadcastChannel, or through localStorage storage events on browsers without one.
+
+const CHANNEL_NAME = 'retail-chat';
+const STORAGE_MESSAGE_KEY = 'retailChatSync';
+const STORAGE_LOCK_PREFIX = 'retailChatSendLock:';
+
+// The storage fallback lock is a lease, renewed while the send runs, so a closed tab cannot hold it forever
+const LOCK_LEASE_MS = 30000;
+
+const tabId = window.crypto?.randomUUID?.() ?? `${Date.now()}-${Math.random().toString(36).slice(2)}`;
+const listeners = new Set();
+let channel = null;
+let transportReady = false;
+
+function ensureTransport() {
+    if (transportReady) return;
+    transportReady = true;
+
+    if (typeof window.BroadcastChannel === 'function') {
+        channel = new BroadcastChannel(CHANNEL_NAME);
+        channel.addEventListener('message', e => deliver(e.data));
+    } else {
+        window.addEventListener('storage', function (e) {
+            if (e.key !== STORAGE_MESSAGE_KEY || !e.newValue) return;
+            try {
+                deliver(JSON.parse(e.newValue));
+            } catch (error) {
+                console.error('Error reading chat sync message:', error);
+            }
+        });
+    }
+}
+
+function deliver(message) {
+    // Tabs signed in as someone else (e.g. after switching accounts) are ignored
+    if (!message || message.sender === tabId || message.user !== (window.currentUserId || null)) return;
+    listeners.forEach(listener => listener(message));
+}
+
+function post(message) {
+    if (channel) {
+        channel.postMessage(message);
+        return;
+    }
+
+    try {
+        // Writing then removing the key fires a storage event in every other tab
+        localStorage.setItem(STORAGE_MESSAGE_KEY, JSON.stringify({ ...message, nonce: Math.random() }));
+        localStorage.removeItem(STORAGE_MESSAGE_KEY);
+    } catch (error) {
+        console.error('Error sending chat sync message:', error);
+    }
+}
+
+/**
+ * Creates a sync channel for one chat. Tabs only hear messages published under the same scope.
+ *
+ * @param {string} scope - Name of the chat, e.g. the client's storage prefix
+ * @returns {{ tabId: string, publish: function(string, object=): void, subscribe: function(function(string, object): void): void }}
+ *   tabId identifies this tab, so a message can be addressed to one tab
+ */
+export function createChatSync(scope) {
+    ensureTransport();
+
+    return {
+        tabId: tabId,
+
+        publish(type, data = {}) {
+            post({ scope: scope, type: type, data: data, sender: tabId, user: window.currentUserId || null });
+        },
+
+        subscribe(handler) {
+            listeners.add(message => {
+                if (message.scope === scope) {
+                    handler(message.type, message.data);
+                }
+            });
+        }
+    };
+}
+
+/**
+ * Runs the callback only if no other tab is already running one under the same scope.
+ * Uses the Web Locks API, falling back to a lease in localStorage.
+ *
+ * @param {string} scope - Name of the chat
+ * @param {function(): Promise<void>} callback - Work to do while holding the lock
+ * @returns {Promise<boolean>} False when another tab holds the lock and the callback did not run
+ */
+export async function withSendLock(scope, callback) {
+    if (navigator.locks?.request) {
+        return navigator.locks.request(`${STORAGE_LOCK_PREFIX}${scope}`, { ifAvailable: true }, async lock => {
+            if (!lock) return false;
+            await callback();
+            return true;
+        });
+    }
+
+    const key = `${STORAGE_LOCK_PREFIX}${scope}`;
+    const current = readLease(key);
+    if (current && current.owner !== tabId && current.expires > Date.now()) {
+        return false;
+    }
+
+    writeLease(key);
+    const renewal = setInterval(() => writeLease(key), LOCK_LEASE_MS / 2);
+    try {
+        await callback();
+        return true;
+    } finally {
+        clearInterval(renewal);
+        if (readLease(key)?.owner === tabId) {
+            localStorage.removeItem(key);
+        }
+    }
+}
+
+function readLease(key) {
+    try {
+        return JSON.parse(localStorage.getItem(key));
+    } catch (error) {
+        return null;
+    }
+}
+
+function writeLease(key) {
+    try {
+        localStorage.setItem(key, JSON.stringify({ owner: tabId, expires: Date.now() + LOCK_LEASE_MS }));
+    } catch (error) {
+        console.error('Error saving chat send lock:', error);
+    }
+}
@@ -0,0 +1,349 @@
+// DOM views for the chat client: the same conversation rendered into the side panel or the full Copilot page
+
+const SIDE_PANEL_LAYOUT = {
+    messageClass: 'chat-message',
+    bodyClass: 'message-bubble',
+    // Side panel bubbles sit directly next to the avatar
+    wrapBody: false
+};
+
+const PAGE_LAYOUT = {
+    messageClass: 'message',
+    bodyClass: 'message-text',
+    // Page messages wrap the text in a .message-content column
+    wrapBody: true
+};
+
+/**
+ * Creates a view over the side chat panel rendered by _Layout.cshtml.
+ * @returns {object} View for createChatClient
+ */
+export function createSidePanelView() {
+    return createChatView({
+        container: document.getElementById('sideChatContainer'),
+        scroller: document.querySelector('.side-chat-body'),
+        form: document.getElementById('sideChatForm'),
+        input: document.getElementById('sideChatInput'),
+        sendButton: document.getElementById('sideChatSend'),
+        stopButton: document.getElementById('sideChatStop'),
+        tokenCounter: document.getElementById('tokenCounter')
+    }, SIDE_PANEL_LAYOUT);
+}
+
+/**
+ * Creates a view over the full-page chat on /Copilot.
+ * @returns {object} View for createChatClient
+ */
+export function createPageView() {
+    const container = document.getElementById('chatContainer');
+    return createChatView({
+        container: container,
+        scroller: container,
+        form: document.getElementById('chatForm'),
+        input: document.getElementById('messageInput'),
+        sendButton: document.getElementById('sendButton'),
+        stopButton: document.getElementById('stopButton'),
+        tokenCounter: document.getElementById('copilotTokenCounter')
+    }, PAGE_LAYOUT);
+}
+
+/**
+ * Creates a chat view from existing elements.
+ * Any object with the same methods can be passed to createChatClient instead.
+ *
+ * @param {{ container: Element, scroller: ?Element, form: ?HTMLFormElement, input: ?HTMLInputElement,
+ *   sendButton: ?HTMLButtonElement, stopButton: ?HTMLButtonElement, tokenCounter: ?Element }} elements
+ * @param {{ messageClass: string, bodyClass: string, wrapBody: boolean }} layout - Class names for the message markup
+ * @returns {object} The view
+ */
+export function createChatView(elements, layout) {
+    const { container, scroller, form, input, sendButton, stopButton, tokenCounter } = elements;
+    const placeholder = input?.placeholder ?? '';
+
+    function createFrame(role, className) {
+        const messageDiv = document.createElement('div');
+        messageDiv.className = `${layout.messageClass} ${role}-message${className ? ` ${className}` : ''}`;
+
+        const avatarDiv = document.createElement('div');
+        avatarDiv.className = 'message-avatar';
+        avatarDiv.innerHTML = role === 'user'
+            ? '<i class="bi bi-person-circle"></i>'
+            : '<i class="bi bi-robot"></i>';
+        messageDiv.appendChild(avatarDiv);
+
+        let parent = messageDiv;
+        if (layout.wrapBody) {
+            parent = document.createElement('div');
+            parent.className = 'message-content';
+            messageDiv.appendChild(parent);
+        }
+
+        return { messageDiv, parent };
+    }
+
+    return {
+        /**
+         * Appends an empty message and returns the element its content goes into.
+         * @param {string} role - "user" or "assistant"
+         * @param {{ isError?: boolean, className?: string, bodyClassName?: string, title?: string }} options
+         * @returns {HTMLElement} The message body
+         */
+        createMessage(role, options = {}) {
+            const classes = [options.isError ? 'error-message' : '', options.className || ''].filter(Boolean).join(' ');
+            const { messageDiv, parent } = createFrame(role, classes);
+            if (options.title) {
+                messageDiv.title = options.title;
+            }
+
+            const body = document.createElement('div');
+            body.className = `${layout.bodyClass}${options.bodyClassName ? ` ${options.bodyClassName}` : ''}`;
+            parent.appendChild(body);
+
+            container.appendChild(messageDiv);
+            this.scrollToBottom();
+            return body;
+        },
+
+        /**
+         * Adds a divider saying that the assistant now remembers the earlier messages as a summary.
+         * @param {HTMLElement} [beforeBody] - A message body from createMessage to put the divider above;
+         *   without it the divider goes at the end
+         */
+        createSummaryMarker(beforeBody) {
+            const marker = document.createElement('div');
+            // The message class lets clearMessages remove it along with the messages
+            marker.className = `${layout.messageClass} chat-summary-marker`;
+            marker.setAttribute('role', 'note');
+            marker.title = 'Older messages were condensed into a summary, which the assistant uses instead of the full text';
+            marker.textContent = 'Earlier conversation summarized';
+
+            container.insertBefore(marker, beforeBody?.closest(`.${layout.messageClass}`) ?? null);
+        },
+
+        /**
+         * Shows follow-up questions as chips at the end of the chat, replacing any shown before.
+         * @param {string[]} suggestions - Questions the assistant suggested after its latest reply
+         * @param {function(string): void} onSelect - Called with the question of the chip that was clicked
+         */
+        showSuggestions(suggestions, onSelect) {
+            this.clearSuggestions();
+
+            const row = document.createElement('div');
+            // The message class lets clearMessages remove it along with the messages
+            row.className = `${layout.messageClass} chat-follow-ups`;
+            row.setAttribute('aria-label', 'Suggested questions');
+
+            suggestions.forEach(suggestion => {
+                const chip = document.createElement('button');
+                chip.type = 'button';
+                chip.className = 'follow-up-chip';
+                chip.textContent = suggestion;
+                chip.addEventListener('click', () => {
+                    this.clearSuggestions();
+                    onSelect(suggestion);
+                });
+                row.appendChild(chip);
+            });
+
+            container.appendChild(row);
+            this.scrollToBottom();
+        },
+
+        clearSuggestions() {
+            container.querySelector('.chat-follow-ups')?.remove();
+        },
+
+        /**
+         * Offers to undo what a message confirms, with an Undo button in the message and a toast that stays
+         * visible when the chat is scrolled or closed. Both go away after the time window or once either is used.
+         * @param {HTMLElement} body - A message body from createMessage
+         * @param {string} text - What the toast says was done
+         * @param {function(): void} onUndo - Called once, when either Undo button is clicked
+         * @param {number} windowMs - How long the undo is offered for
+         * @returns {function(): void} Withdraws the offer early
+         */
+        offerUndo(body, text, onUndo, windowMs) {
+            const inlineButton = document.createElement('button');
+            inlineButton.type = 'button';
+            inlineButton.className = 'btn btn-sm btn-link chat-undo-btn';
+            inlineButton.innerHTML = '<i class="bi bi-arrow-counterclockwise"></i> Undo';
+            body.appendChild(inlineButton);
+
+            const toast = createUndoToast(text);
+            // Bootstrap is loaded as a classic script by the layout
+            const toastInstance = window.bootstrap?.Toast.getOrCreateInstance(toast, { delay: windowMs });
+            if (toastInstance) {
+                toastInstance.show();
+            } else {
+                toast.classList.add('show');
+            }
+            toast.addEventListener('hidden.bs.toast', () => toast.remove());
+
+            let withdrawn = false;
+            const withdraw = () => {
+                if (withdrawn) return;
+                withdrawn = true;
+                clearTimeout(timer);
+                inlineButton.remove();
+                if (toastInstance) {
+                    toastInstance.hide();
+                } else {
+                    toast.remove();
+                }
+            };
+            const timer = setTimeout(withdraw, windowMs);
+
+            const undo = () => {
+                withdraw();
+                onUndo();
+            };
+            inlineButton.addEventListener('click', undo);
+            toast.querySelector('.chat-undo-btn').addEventListener('click', undo);
+
+            this.scrollToBottom();
+            return withdraw;
+        },
+
+        createTypingIndicator() {
+            const { messageDiv, parent } = createFrame('assistant', 'typing-indicator');
+
+            const dotsDiv = document.createElement('div');
+            dotsDiv.className = 'typing-dots';
+            dotsDiv.innerHTML = '<span></span><span></span><span></span>';
+            parent.appendChild(dotsDiv);
+
+            container.appendChild(messageDiv);
+            this.scrollToBottom();
+            return messageDiv;
+        },
+
+        // Removes every message, keeping the welcome message in place
+        clearMessages() {
+            container.querySelectorAll(`.${layout.messageClass}`).forEach(msg => {
+                if (!msg.classList.contains('welcome-message')) {
+                    msg.remove();
+                }
+            });
+        },
+
+        hideWelcome() {
+            container.querySelector('.welcome-message')?.remove();
+        },
+
+        scrollToBottom() {
+            if (scroller) {
+                scroller.scrollTop = scroller.scrollHeight;
+            }
+        },
+
+        setBusy(busy) {
+            if (input) input.disabled = busy;
+            if (sendButton) {
+                sendButton.disabled = busy;
+                // The Stop button takes the Send button's place while a response is on its way
+                sendButton.classList.toggle('d-none', busy);
+            }
+            if (stopButton) {
+                stopButton.classList.toggle('d-none', !busy);
+            }
+        },
+
+        // Blocks sending while another tab is waiting for a reply in the same chat
+        setRemoteBusy(busy) {
+            if (input) {
+                input.disabled = busy;
+                input.placeholder = busy ? 'Waiting for a reply in another tab…' : placeholder;
+            }
+            if (sendButton) sendButton.disabled = busy;
+        },
+
+        focusInput() {
+            input?.focus();
+        },
+
+        setInput(text) {
+            if (input) {
+                input.value = text;
+                input.focus();
+            }
+        },
+
+        /**
+         * Shows the session's token use.
+         * @param {{ totalTokens: number, lastUsage: ?object, quota: ?object }} summary
+         */
+        renderTokenSummary(summary) {
+            if (!tokenCounter) return;
+
+            // Break down the most recent reply so the cost of the catalog-heavy prompt is visible
+            const lastReply = summary.lastUsage
+                ? ` · last reply: ${summary.lastUsage.promptTokens.toLocaleString()} prompt + ${summary.lastUsage.completionTokens.toLocaleString()} completion`
+                : '';
+            const remaining = summary.quota?.tokensRemaining != null
+                ? ` · ${summary.quota.tokensRemaining.toLocaleString()} left today`
+                : '';
+            tokenCounter.innerHTML = `<span class="tokens">${summary.totalTokens.toLocaleString()}</span> tokens used this session${lastReply}${remaining}`;
+        },
+
+        /**
+         * Wires up the input form.
+         * @param {{ onSubmit: function(string): void, onStop: function(): void }} handlers
+         */
+        bind(handlers) {
+            form?.addEventListener('submit', function (e) {
+                e.preventDefault();
+
+                const message = input.value.trim();
+                if (!message) return;
+
+                input.value = '';
+                handlers.onSubmit(message);
+            });
+
+            // Allow Enter to send (without Shift)
+            input?.addEventListener('keydown', function (e) {
+                if (e.key === 'Enter' && !e.shiftKey) {
+                    e.preventDefault();
+                    form.dispatchEvent(new Event('submit', { cancelable: true }));
+                }
+            });
+
+            stopButton?.addEventListener('click', handlers.onStop);
+        }
+    };
+}
+
+// Toasts are shared by both chat layouts, so they go in one container at the bottom left, clear of the side panel
+function createUndoToast(text) {
+    let container = document.getElementById('chatToastContainer');
+    if (!container) {
+        container = document.createElement('div');
+        container.id = 'chatToastContainer';
+        container.className = 'toast-container position-fixed bottom-0 start-0 p-3';
+        document.body.appendChild(container);
+    }
+
+    const toast = document.createElement('div');
+    toast.className = 'toast chat-undo-toast align-items-center';
+    toast.setAttribute('role', 'status');
+    toast.setAttribute('aria-live', 'polite');
+    toast.setAttribute('aria-atomic', 'true');
+
+    const row = document.createElement('div');
+    row.className = 'd-flex align-items-center';
+
+    const message = document.createElement('div');
+    message.className = 'toast-body';
+    message.textContent = text;
+    row.appendChild(message);
+
+    const undoButton = document.createElement('button');
+    undoButton.type = 'button';
+    undoButton.className = 'btn btn-sm btn-link chat-undo-btn me-2';
+    undoButton.textContent = 'Undo';
+    row.appendChild(undoButton);
+
+    toast.appendChild(row);
+    container.appendChild(toast);
+    return toast;
+}
@@ -0,0 +1,195 @@
+// Mini cart drawer: slides in from the left, so it never covers the side chat or changes its pinned state.
+// It reads and changes the cart through the cart API and raises cart:changed on the event bus in site.js.
+(function () {
+    const drawer = document.getElementById('miniCart');
+    const overlay = document.getElementById('miniCartOverlay');
+    const navLink = document.getElementById('cartNavLink');
+    if (!drawer || !overlay || !navLink || !window.currentUserId) return;
+
+    const customerId = window.currentUserId;
+    const linesList = document.getElementById('miniCartLines');
+    const status = document.getElementById('miniCartStatus');
+    const totalSpan = document.getElementById('miniCartTotal');
+    const footer = drawer.querySelector('.mini-cart-footer');
+    const currency = new Intl.NumberFormat('en-GB', { style: 'currency', currency: 'GBP' });
+    // Same limit as the cart API's quantity endpoint
+    const MAX_QUANTITY = 99;
+
+    // The Cart link opens the drawer; the drawer links on to the full cart page. Modified and middle clicks
+    // are left alone, so the cart page can still be opened in a new tab
+    navLink.addEventListener('click', function (e) {
+        if (e.button !== 0 || e.ctrlKey || e.metaKey || e.shiftKey || e.altKey) return;
+        e.preventDefault();
+        openDrawer();
+    });
+    document.getElementById('closeMiniCart').addEventListener('click', closeDrawer);
+    overlay.addEventListener('click', closeDrawer);
+
+    // Registered on window in the capture phase, so Escape closes the drawer before the side chat hears it
+    window.addEventListener('keydown', function (e) {
+        if (e.key === 'Escape' && isOpen()) {
+            e.stopPropagation();
+            closeDrawer();
+        }
+    }, true);
+
+    linesList.addEventListener('click', function (e) {
+        const button = e.target.closest('button[data-action]');
+        if (!button) return;
+
+        const line = button.closest('.mini-cart-line');
+        if (button.dataset.action === 'remove') {
+            changeLine(line, removeLine);
+        } else {
+            const quantity = Number(line.dataset.quantity) + parseInt(button.dataset.step, 10);
+            changeLine(line, sku => updateQuantity(sku, quantity));
+        }
+    });
+
+    window.retailEvents.on('cart:changed', function (detail) {
+        // Adding from the product grid shows what's now in the cart
+        if (detail.source === 'products' && !detail.remote) {
+            openDrawer();
+        } else if (isOpen() && detail.source !== 'miniCart') {
+            loadCart();
+        }
+    });
+    window.retailEvents.on('order:placed', function () {
+        if (isOpen()) {
+            loadCart();
+        }
+    });
+
+    function isOpen() {
+        return drawer.classList.contains('open');
+    }
+
+    function openDrawer() {
+        drawer.classList.add('open');
+        drawer.setAttribute('aria-hidden', 'false');
+        overlay.classList.add('show');
+        // A body class rather than an inline style, which the side chat sets and clears for its own overlay
+        document.body.classList.add('mini-cart-open');
+        loadCart();
+        setTimeout(() => document.getElementById('closeMiniCart').focus(), 300);
+    }
+
+    function closeDrawer() {
+        drawer.classList.remove('open');
+        drawer.setAttribute('aria-hidden', 'true');
+        overlay.classList.remove('show');
+        document.body.classList.remove('mini-cart-open');
+        navLink.focus();
+    }
+
+    async function loadCart() {
+        try {
+            const response = await fetch(`/api/cart/${encodeURIComponent(customerId)}`);
+            if (!response.ok) {
+                throw new Error(`HTTP error! status: ${response.status}`);
+            }
+            renderCart(await response.json());
+        } catch (error) {
+            console.error('Error loading mini cart:', error);
+            showStatus('Sorry, your cart couldn\'t be loaded. Please try again.');
+        }
+    }
+
+    function renderCart(cart) {
+        const lines = cart.lines || [];
+        linesList.replaceChildren(...lines.map(createLineItem));
+        totalSpan.textContent = currency.format(lines.reduce((sum, line) => sum + line.unitPrice * line.quantity, 0));
+        footer.classList.toggle('d-none', lines.length === 0);
+        showStatus(lines.length === 0 ? 'Your cart is empty.' : '');
+    }
+
+    function createLineItem(line) {
+        const item = document.createElement('li');
+        item.className = 'mini-cart-line';
+        item.dataset.sku = line.sku;
+        item.dataset.quantity = line.quantity;
+
+        const details = document.createElement('div');
+        details.className = 'mini-cart-line-details';
+        const name = document.createElement('div');
+        name.className = 'mini-cart-line-name';
+        name.textContent = line.name;
+        const price = document.createElement('div');
+        price.className = 'mini-cart-line-price text-muted';
+        price.textContent = `${currency.format(line.unitPrice)} each · ${currency.format(line.unitPrice * line.quantity)}`;
+        details.append(name, price);
+
+        const controls = document.createElement('div');
+        controls.className = 'mini-cart-line-controls';
+        const quantity = document.createElement('span');
+        quantity.className = 'mini-cart-quantity';
+        quantity.textContent = line.quantity;
+        quantity.setAttribute('aria-label', `Quantity ${line.quantity}`);
+        controls.append(
+            createButton('step', 'bi-dash', `One fewer ${line.name}`, { step: -1, disabled: line.quantity <= 1 }),
+            quantity,
+            createButton('step', 'bi-plus', `One more ${line.name}`, { step: 1, disabled: line.quantity >= MAX_QUANTITY }),
+            createButton('remove', 'bi-trash', `Remove ${line.name}`, {}));
+
+        item.append(details, controls);
+        return item;
+    }
+
+    function createButton(action, icon, label, options) {
+        const button = document.createElement('button');
+        button.type = 'button';
+        button.className = `btn btn-sm ${action === 'remove' ? 'btn-outline-danger' : 'btn-outline-secondary'}`;
+        button.dataset.action = action;
+        if (options.step) {
+            button.dataset.step = options.step;
+        }
+        button.disabled = options.disabled === true;
+        button.setAttribute('aria-label', label);
+        button.innerHTML = `<i class="bi ${icon}"></i>`;
+        return button;
+    }
+
+    async function changeLine(line, change) {
+        line.querySelectorAll('button').forEach(button => button.disabled = true);
+        let failed = false;
+        try {
+            await change(line.dataset.sku);
+            window.retailEvents.emit('cart:changed', { source: 'miniCart' });
+        } catch (error) {
+            console.error('Error changing mini cart:', error);
+            failed = true;
+        }
+
+        // Reload either way, so the drawer shows what the cart really holds
+        await loadCart();
+        if (failed) {
+            showStatus('Sorry, that change didn\'t go through. Please try again.');
+        }
+    }
+
+    async function removeLine(sku) {
+        await send(`/api/cart/${encodeURIComponent(customerId)}/items/${encodeURIComponent(sku)}`, 'DELETE');
+    }
+
+    async function updateQuantity(sku, quantity) {
+        await send(`/api/cart/${encodeURIComponent(customerId)}/items/${encodeURIComponent(sku)}`, 'PATCH', { quantity: quantity });
+    }
+
+    async function send(url, method, body) {
+        const response = await fetch(url, body === undefined ? { method: method } : {
+            method: method,
+            headers: {
+                'Content-Type': 'application/json'
+            },
+            body: JSON.stringify(body)
+        });
+        if (!response.ok) {
+            throw new Error(`HTTP error! status: ${response.status}`);
+        }
+    }
+
+    function showStatus(text) {
+        status.textContent = text;
+        status.classList.toggle('d-none', !text);
+    }
+})();
@@ -1,4 +1,109 @@
 ﻿// Please see documentation at https://learn.microsoft.com/aspnet/core/client-side/bundling-and-minification
 // for details on configuring this project to bundle and minify static web assets.
 
-// Write your JavaScript code.
+// Page-wide event bus, so the chat, the product grid and the cart page can tell the rest of the layout
+// (e.g. the navbar cart badge) what they changed. Events are also relayed to the user's other tabs.
+//   cart:changed  { source }              the cart's contents changed
+//   order:placed  { orderId, source }     an order was placed, which also empties the cart
+//   chat:action   { type, ... }           the user took an action from a chat message
+window.retailEvents = (function () {
+    const target = new EventTarget();
+    const RELAYED_EVENTS = ['cart:changed', 'order:placed'];
+    const channel = typeof window.BroadcastChannel === 'function' ? new BroadcastChannel('retail-events') : null;
+
+    function dispatch(type, detail) {
+        target.dispatchEvent(new CustomEvent(type, { detail: detail }));
+    }
+
+    // The user is read when the message arrives; the layout sets currentUserId after this script runs
+    channel?.addEventListener('message', function (e) {
+        const message = e.data;
+        if (!message || message.user !== (window.currentUserId || null) || !RELAYED_EVENTS.includes(message.type)) return;
+        dispatch(message.type, { ...message.detail, remote: true });
+    });
+
+    return {
+        /**
+         * Raises an event in this page, and in the user's other tabs for cart and order events.
+         * @param {string} type - e.g. "cart:changed"
+         * @param {object} [detail] - Passed to the handlers; handlers in other tabs also see remote: true
+         */
+        emit(type, detail = {}) {
+            dispatch(type, detail);
+            if (channel && RELAYED_EVENTS.includes(type)) {
+                channel.postMessage({ type: type, detail: detail, user: window.currentUserId || null });
+            }
+        },
+
+        /**
+         * Calls the handler with the event's detail whenever the event is raised.
+         * @returns {function(): void} Removes the handler
+         */
+        on(type, handler) {
+            const listener = e => handler(e.detail);
+            target.addEventListener(type, listener);
+            return () => target.removeEventListener(type, listener);
+        }
+    };
+})();
+
+// Navbar cart badge: the item count and total, loaded from the cart API and refreshed on every cart change
+(function () {
+    let refreshing = null;
+    let refreshAgain = false;
+
+    async function refreshCartBadge() {
+        // A change during a refresh gets one more refresh, so the badge ends on the latest cart
+        if (refreshing) {
+            refreshAgain = true;
+            return refreshing;
+        }
+
+        refreshing = (async function () {
+            do {
+                refreshAgain = false;
+                try {
+                    const response = await fetch(`/api/cart/${encodeURIComponent(window.currentUserId)}`);
+                    if (!response.ok) {
+                        throw new Error(`HTTP error! status: ${response.status}`);
+                    }
+                    renderCartBadge(await response.json());
+                } catch (error) {
+                    console.error('Error loading cart badge:', error);
+                }
+            } while (refreshAgain);
+        })();
+
+        try {
+            await refreshing;
+        } finally {
+            refreshing = null;
+        }
+    }
+
+    function renderCartBadge(cart) {
+        const lines = cart.lines || [];
+        const count = lines.reduce((sum, line) => sum + line.quantity, 0);
+        const total = lines.reduce((sum, line) => sum + line.unitPrice * line.quantity, 0);
+
+        const badge = document.getElementById('cartBadge');
+        badge.textContent = count > 99 ? '99+' : count;
+        badge.classList.toggle('d-none', count === 0);
+
+        const totalSpan = document.getElementById('cartBadgeTotal');
+        totalSpan.textContent = new Intl.NumberFormat('en-GB', { style: 'currency', currency: 'GBP' }).format(total);
+        totalSpan.classList.toggle('d-none', count === 0);
+
+        document.getElementById('cartNavLink').setAttribute('aria-label',
+            count === 0 ? 'Cart (empty)' : `Cart: ${count} ${count === 1 ? 'item' : 'items'}, ${totalSpan.textContent}`);
+    }
+
+    document.addEventListener('DOMContentLoaded', function () {
+        // Signed-out visitors have no cart to show
+        if (!window.currentUserId || !document.getElementById('cartBadge')) return;
+
+        refreshCartBadge();
+        window.retailEvents.on('cart:changed', refreshCartBadge);
+        window.retailEvents.on('order:placed', refreshCartBadge);
+    });
+})();
@@ -1,5 +1,6 @@
 using System.Net;
 using System.Net.Http.Json;
+using RetailDecomposed.Services;
 using Xunit;
 
 namespace RetailDecomposed.Tests;
@@ -245,6 +246,139 @@ public class CartApiTests : IClassFixture<DecomposedWebApplicationFactory>
         response.EnsureSuccessStatusCode();
     }
 
+    [Fact]
+    public async Task RemoveFromCart_WithQuantity_TakesOnlyThatManyOff()
+    {
+        // Arrange - 3 in the cart
+        var customerId = "testcustomer_remove4";
+        var client = _client.AuthenticateAs(customerId, customerId, customerId);
+        await client.PostAsync($"/api/cart/{customerId}/items?productId=1&quantity=3", null);
+
+        // Act
+        var response = await client.DeleteAsync($"/api/cart/{customerId}/items/TEST-001?quantity=2");
+
+        // Assert
+        response.EnsureSuccessStatusCode();
+        var cart = await client.GetFromJsonAsync<CartDto>($"/api/cart/{customerId}");
+        Assert.Equal(1, Assert.Single(cart!.Lines).Quantity);
+    }
+
+    [Fact]
+    public async Task RemoveFromCart_WithQuantityCoveringTheLine_RemovesIt()
+    {
+        // Arrange
+        var customerId = "testcustomer_remove5";
+        var client = _client.AuthenticateAs(customerId, customerId, customerId);
+        await client.PostAsync($"/api/cart/{customerId}/items?productId=1&quantity=2", null);
+
+        // Act
+        var response = await client.DeleteAsync($"/api/cart/{customerId}/items/TEST-001?quantity=2");
+
+        // Assert
+        response.EnsureSuccessStatusCode();
+        var cart = await client.GetFromJsonAsync<CartDto>($"/api/cart/{customerId}");
+        Assert.Empty(cart!.Lines);
+    }
+
+    [Fact]
+    public async Task RemoveFromCart_WithZeroQuantity_Returns_BadRequest()
+    {
+        // Arrange
+        var customerId = "testcustomer_remove6";
+        var client = _client.AuthenticateAs(customerId, customerId, customerId);
+
+        // Act
+        var response = await client.DeleteAsync($"/api/cart/{customerId}/items/TEST-001?quantity=0");
+
+        // Assert
+        Assert.Equal(HttpStatusCode.BadRequest, response.StatusCode);
+    }
+
+    [Fact]
+    public async Task UpdateQuantity_SetsTheLineQuantity_AndReturnsTheCart()
+    {
+        // Arrange
+        var customerId = "testcustomer_update1";
+        var client = _client.AuthenticateAs(customerId, customerId, customerId);
+        await client.PostAsync($"/api/cart/{customerId}/items?productId=1&quantity=1", null);
+        await client.PostAsync($"/api/cart/{customerId}/items?productId=2&quantity=1", null);
+
+        // Act
+        var response = await client.PatchAsJsonAsync($"/api/cart/{customerId}/items/TEST-001", new { quantity = 5 });
+
+        // Assert
+        response.EnsureSuccessStatusCode();
+        var cart = await response.Content.ReadFromJsonAsync<CartDto>();
+        Assert.NotNull(cart);
+        Assert.Equal(5, cart.Lines.Single(line => line.Sku == "TEST-001").Quantity);
+        Assert.Equal(1, cart.Lines.Single(line => line.Sku == "TEST-002").Quantity);
+    }
+
+    [Fact]
+    public async Task UpdateQuantity_ForItemNotInCart_Returns_NotFound()
+    {
+        // Arrange
+        var customerId = "testcustomer_update2";
+        var client = _client.AuthenticateAs(customerId, customerId, customerId);
+
+        // Act
+        var response = await client.PatchAsJsonAsync($"/api/cart/{customerId}/items/TEST-001", new { quantity = 2 });
+
+        // Assert
+        Assert.Equal(HttpStatusCode.NotFound, response.StatusCode);
+    }
+
+    [Theory]
+    [InlineData(0)]
+    [InlineData(100)]
+    public async Task UpdateQuantity_OutOfRange_Returns_BadRequest(int quantity)
+    {
+        // Arrange
+        var customerId = "testcustomer_update3";
+        var client = _client.AuthenticateAs(customerId, customerId, customerId);
+        await client.PostAsync($"/api/cart/{customerId}/items?productId=1&quantity=1", null);
+
+        // Act
+        var response = await client.PatchAsJsonAsync($"/api/cart/{customerId}/items/TEST-001", new { quantity });
+
+        // Assert
+        Assert.Equal(HttpStatusCode.BadRequest, response.StatusCode);
+        var cart = await client.GetFromJsonAsync<CartDto>($"/api/cart/{customerId}");
+        Assert.Equal(1, Assert.Single(cart!.Lines).Quantity);
+    }
+
+    [Fact]
+    public async Task UpdateQuantity_WithMismatchedUserId_Returns_Forbidden()
+    {
+        // Arrange
+        var client = _client.AuthenticateAs("user1", "user1", "user1");
+
+        // Act
+        var response = await client.PatchAsJsonAsync("/api/cart/user2/items/TEST-001", new { quantity = 2 });
+
+        // Assert
+        Assert.Equal(HttpStatusCode.Forbidden, response.StatusCode);
+    }
+
+    [Fact]
+    public async Task CartPage_WithItems_DisplaysQuantityControls()
+    {
+        // Arrange
+        var customerId = "testcustomer_ui6";
+        var client = _client.AuthenticateAs(customerId, customerId, customerId);
+        await client.PostAsync($"/api/cart/{customerId}/items?productId=1&quantity=2", null);
+
+        // Act
+        var response = await client.GetAsync("/Cart");
+
+        // Assert
+        response.EnsureSuccessStatusCode();
+        var content = await response.Content.ReadAsStringAsync();
+        Assert.Contains("quantity-input", content);
+        Assert.Contains("data-sku=\"TEST-001\"", content);
+        Assert.Contains("id=\"cartTotal\"", content);
+    }
+
     [Fact]
     public async Task RemoveFromCart_WithoutAuthentication_Returns_Unauthorized()
     {
@@ -401,6 +535,230 @@ public class CartApiTests : IClassFixture<DecomposedWebApplicationFactory>
         Assert.DoesNotContain("id=\"clear-cart-btn\"", content);
     }
 
+    [Fact]
+    public async Task AddItemsBatch_BestEffort_AddsTheItemsThatExist()
+    {
+        // Arrange
+        var customerId = "testcustomer_batch1";
+        var client = _client.AuthenticateAs(customerId, customerId, customerId);
+        var request = new
+        {
+            mode = "bestEffort",
+            items = new[] { new { productId = 1, quantity = 2 }, new { productId = 999, quantity = 1 }, new { productId = 2, quantity = 1 } }
+        };
+
+        // Act
+        var response = await client.PostAsJsonAsync($"/api/cart/{customerId}/items/batch", request);
+
+        // Assert
+        response.EnsureSuccessStatusCode();
+        var result = await response.Content.ReadFromJsonAsync<CartBatchResult>();
+        Assert.NotNull(result);
+        Assert.False(result.Success);
+        Assert.Equal(2, result.AddedCount);
+        Assert.Equal(new[] { "added", "failed", "added" }, result.Items.Select(item => item.Status));
+        Assert.Equal("Test Product 1", result.Items[0].Name);
+        Assert.Equal("Product not found", result.Items[1].Error);
+
+        var cart = await client.GetFromJsonAsync<CartDto>($"/api/cart/{customerId}");
+        Assert.NotNull(cart);
+        Assert.Equal(2, cart.Lines.Count);
+        Assert.Equal(2, cart.Lines.Single(line => line.Sku == "TEST-001").Quantity);
+    }
+
+    [Fact]
+    public async Task AddItemsBatch_AllOrNothing_WithAMissingProduct_AddsNothing()
+    {
+        // Arrange
+        var customerId = "testcustomer_batch2";
+        var client = _client.AuthenticateAs(customerId, customerId, customerId);
+        var request = new
+        {
+            mode = "allOrNothing",
+            items = new[] { new { productId = 1, quantity = 1 }, new { productId = 999, quantity = 1 } }
+        };
+
+        // Act
+        var response = await client.PostAsJsonAsync($"/api/cart/{customerId}/items/batch", request);
+
+        // Assert
+        Assert.Equal(HttpStatusCode.UnprocessableEntity, response.StatusCode);
+        var result = await response.Content.ReadFromJsonAsync<CartBatchResult>();
+        Assert.NotNull(result);
+        Assert.Equal(0, result.AddedCount);
+        Assert.Equal(new[] { "skipped", "failed" }, result.Items.Select(item => item.Status));
+
+        var cart = await client.GetFromJsonAsync<CartDto>($"/api/cart/{customerId}");
+        Assert.NotNull(cart);
+        Assert.Empty(cart.Lines);
+    }
+
+    [Fact]
+    public async Task AddItemsBatch_AllOrNothing_AddsEveryItem()
+    {
+        // Arrange - Mode defaults to all-or-nothing
+        var customerId = "testcustomer_batch3";
+        var client = _client.AuthenticateAs(customerId, customerId, customerId);
+        var request = new { items = new[] { new { productId = 2, quantity = 1 }, new { productId = 3, quantity = 4 } } };
+
+        // Act
+        var response = await client.PostAsJsonAsync($"/api/cart/{customerId}/items/batch", request);
+
+        // Assert
+        response.EnsureSuccessStatusCode();
+        var result = await response.Content.ReadFromJsonAsync<CartBatchResult>();
+        Assert.NotNull(result);
+        Assert.True(result.Success);
+        Assert.Equal("allOrNothing", result.Mode);
+        Assert.Equal(2, result.AddedCount);
+
+        var cart = await client.GetFromJsonAsync<CartDto>($"/api/cart/{customerId}");
+        Assert.NotNull(cart);
+        Assert.Equal(4, cart.Lines.Single(line => line.Sku == "TEST-003").Quantity);
+    }
+
+    [Theory]
+    [InlineData("{\"items\":[]}")]
+    [InlineData("{\"mode\":\"sometimes\",\"items\":[{\"productId\":1,\"quantity\":1}]}")]
+    public async Task AddItemsBatch_WithInvalidRequest_Returns_BadRequest(string body)
+    {
+        // Arrange
+        var customerId = "testcustomer_batch4";
+        var client = _client.AuthenticateAs(customerId, customerId, customerId);
+
+        // Act
+        var response = await client.PostAsync($"/api/cart/{customerId}/items/batch",
+            new StringContent(body, System.Text.Encoding.UTF8, "application/json"));
+
+        // Assert
+        Assert.Equal(HttpStatusCode.BadRequest, response.StatusCode);
+    }
+
+    [Fact]
+    public async Task AddItemsBatch_WithQuantityOverTheMaximum_Returns_BadRequest_AndAddsNothing()
+    {
+        // Arrange
+        var customerId = "testcustomer_batch5";
+        var client = _client.AuthenticateAs(customerId, customerId, customerId);
+        var request = new
+        {
+            mode = "bestEffort",
+            items = new[] { new { productId = 1, quantity = 2 }, new { productId = 2, quantity = CartQuantityRequest.MaxQuantity + 1 } }
+        };
+
+        // Act
+        var response = await client.PostAsJsonAsync($"/api/cart/{customerId}/items/batch", request);
+
+        // Assert - The response names the item that was over the limit
+        Assert.Equal(HttpStatusCode.BadRequest, response.StatusCode);
+        var body = await response.Content.ReadFromJsonAsync<System.Text.Json.JsonElement>();
+        var item = Assert.Single(body.GetProperty("items").EnumerateArray());
+        Assert.Equal(2, item.GetProperty("productId").GetInt32());
+
+        var cart = await client.GetFromJsonAsync<CartDto>($"/api/cart/{customerId}");
+        Assert.Empty(cart!.Lines);
+    }
+
+    [Fact]
+    public async Task AddItemsBatch_PastTheLineMaximum_FailsThatItem()
+    {
+        // Arrange - one short of the limit already in the cart
+        var customerId = "testcustomer_batch6";
+        var client = _client.AuthenticateAs(customerId, customerId, customerId);
+        (await client.PostAsync($"/api/cart/{customerId}/items?productId=1&quantity={CartQuantityRequest.MaxQuantity - 1}", null)).EnsureSuccessStatusCode();
+        var request = new
+        {
+            mode = "bestEffort",
+            items = new[] { new { productId = 1, quantity = 2 }, new { productId = 2, quantity = 1 } }
+        };
+
+        // Act
+        var response = await client.PostAsJsonAsync($"/api/cart/{customerId}/items/batch", request);
+
+        // Assert - the line stays within the limit and the other product still goes in
+        response.EnsureSuccessStatusCode();
+        var result = await response.Content.ReadFromJsonAsync<CartBatchResult>();
+        Assert.Equal(CartBatchItemStatuses.Failed, result!.Items.Single(item => item.ProductId == 1).Status);
+        Assert.Equal(CartBatchItemStatuses.Added, result.Items.Single(item => item.ProductId == 2).Status);
+
+        var cart = await client.GetFromJsonAsync<CartDto>($"/api/cart/{customerId}");
+        Assert.Equal(CartQuantityRequest.MaxQuantity - 1, cart!.Lines.Single(line => line.Sku == "TEST-001").Quantity);
+        Assert.Equal(1, cart.Lines.Single(line => line.Sku == "TEST-002").Quantity);
+    }
+
+    [Fact]
+    public async Task AddItemsBatch_WithProductListedTwice_Returns_BadRequest_AndAddsNothing()
+    {
+        // Arrange - each entry is within the limit, but together they are not
+        var customerId = "testcustomer_batch7";
+        var client = _client.AuthenticateAs(customerId, customerId, customerId);
+        var request = new
+        {
+            mode = "bestEffort",
+            items = new[] { new { productId = 1, quantity = 60 }, new { productId = 1, quantity = 60 } }
+        };
+
+        // Act
+        var response = await client.PostAsJsonAsync($"/api/cart/{customerId}/items/batch", request);
+
+        // Assert
+        Assert.Equal(HttpStatusCode.BadRequest, response.StatusCode);
+        var body = await response.Content.ReadFromJsonAsync<System.Text.Json.JsonElement>();
+        Assert.Equal(1, Assert.Single(body.GetProperty("productIds").EnumerateArray()).GetInt32());
+
+        var cart = await client.GetFromJsonAsync<CartDto>($"/api/cart/{customerId}");
+        Assert.Empty(cart!.Lines);
+    }
+
+    [Fact]
+    public async Task AddItemsBatch_WithMismatchedUserId_Returns_Forbidden()
+    {
+        // Arrange
+        var client = _client.AuthenticateAs("user1", "user1", "user1");
+
+        // Act
+        var response = await client.PostAsJsonAsync("/api/cart/user2/items/batch",
+            new { items = new[] { new { productId = 1, quantity = 1 } } });
+
+        // Assert
+        Assert.Equal(HttpStatusCode.Forbidden, response.StatusCode);
+    }
+
+    [Fact]
+    public async Task Layout_ForSignedInUser_IncludesNavbarCartBadge()
+    {
+        // Arrange
+        var customerId = "testcustomer_ui4";
+        var client = _client.AuthenticateAs(customerId, customerId, customerId);
+
+        // Act
+        var response = await client.GetAsync("/Products");
+
+        // Assert - site.js fills the badge in from the cart API
+        response.EnsureSuccessStatusCode();
+        var content = await response.Content.ReadAsStringAsync();
+        Assert.Contains("id=\"cartBadge\"", content);
+        Assert.Contains("id=\"cartBadgeTotal\"", content);
+    }
+
+    [Fact]
+    public async Task Layout_ForSignedInUser_IncludesMiniCartDrawer()
+    {
+        // Arrange
+        var customerId = "testcustomer_ui5";
+        var client = _client.AuthenticateAs(customerId, customerId, customerId);
+
+        // Act
+        var response = await client.GetAsync("/Products");
+
+        // Assert - mini-cart.js fills the drawer in from the cart API
+        response.EnsureSuccessStatusCode();
+        var content = await response.Content.ReadAsStringAsync();
+        Assert.Contains("id=\"miniCart\"", content);
+        Assert.Contains("id=\"miniCartLines\"", content);
+        Assert.Contains("mini-cart.js", content);
+    }
+
     // DTO classes for deserialization
     private class CartDto
     {
@@ -0,0 +1,96 @@
+using RetailDecomposed.Services;
+using Xunit;
+
+namespace RetailDecomposed.Tests;
+
+/// <summary>
+/// Tests for reading the copilot's interactive tags into typed chat actions.
+/// </summary>
+public class ChatActionParserTests
+{
+    [Fact]
+    public void Parse_ReadsEveryTagType_InOrder()
+    {
+        // Arrange
+        var text = "Try the [PRODUCT:5:Dell XPS 13] [ADD_TO_CART:5:Dell XPS 13] or [PLACE_ORDER:8:MacBook Air]. " +
+                   "[ADD_ALL_TO_CART:5, 8,12] [ORDER_ALL:5,8] [NAVIGATE:/Cart:View your cart]";
+
+        // Act
+        var actions = ChatActionParser.Parse(text);
+
+        // Assert
+        Assert.Collection(actions,
+            a => { Assert.Equal(CopilotChatActionTypes.ViewProduct, a.Type); Assert.Equal(5, a.ProductId); Assert.Equal("Dell XPS 13", a.Name); },
+            a => { Assert.Equal(CopilotChatActionTypes.AddToCart, a.Type); Assert.Equal(5, a.ProductId); Assert.Equal(1, a.Quantity); },
+            a => { Assert.Equal(CopilotChatActionTypes.PlaceOrder, a.Type); Assert.Equal(new[] { 8 }, a.ProductIds); Assert.Equal("MacBook Air", a.Name); },
+            a => { Assert.Equal(CopilotChatActionTypes.AddAllToCart, a.Type); Assert.Equal(new[] { 5, 8, 12 }, a.ProductIds); },
+            a => { Assert.Equal(CopilotChatActionTypes.PlaceOrder, a.Type); Assert.Equal(new[] { 5, 8 }, a.ProductIds); },
+            a => { Assert.Equal(CopilotChatActionTypes.Navigate, a.Type); Assert.Equal("/Cart", a.Url); Assert.Equal("View your cart", a.Name); });
+    }
+
+    [Fact]
+    public void Parse_SkipsRepeatedTags()
+    {
+        // Act
+        var actions = ChatActionParser.Parse("[PRODUCT:5:Dell] is great. Again, the [PRODUCT:5:Dell] [ADD_TO_CART:5] [ADD_TO_CART:5:Dell]");
+
+        // Assert
+        Assert.Equal(2, actions.Count);
+    }
+
+    [Fact]
+    public void Parse_ReadsQuantities()
+    {
+        // Act
+        var actions = ChatActionParser.Parse("[ADD_TO_CART:12:Wool Socks:3] [ADD_ALL_TO_CART:12x3, 15,20x2] [ORDER_ALL:12x3,15]");
+
+        // Assert
+        Assert.Collection(actions,
+            a => { Assert.Equal(CopilotChatActionTypes.AddToCart, a.Type); Assert.Equal("Wool Socks", a.Name); Assert.Equal(3, a.Quantity); },
+            a => { Assert.Equal(new[] { 12, 15, 20 }, a.ProductIds); Assert.Equal(new[] { 3, 1, 2 }, a.Quantities); },
+            a => { Assert.Equal(CopilotChatActionTypes.PlaceOrder, a.Type); Assert.Equal(new[] { 12, 15 }, a.ProductIds); Assert.Null(a.Quantities); });
+    }
+
+    [Theory]
+    [InlineData("[ADD_TO_CART:12:Wool Socks:0]")]
+    [InlineData("[ADD_TO_CART:12:Wool Socks:100]")]
+    [InlineData("[ADD_ALL_TO_CART:12x0,15]")]
+    public void Parse_SkipsQuantitiesOutOfRange(string text)
+    {
+        Assert.Empty(ChatActionParser.Parse(text));
+    }
+
+    [Theory]
+    [InlineData("[NAVIGATE://evil.example.com:Click]")]
+    [InlineData("[NAVIGATE:/Admin:Admin]")]
+    [InlineData("[NAVIGATE:/Cart/../Admin:Cart]")]
+    public void Parse_IgnoresNavigationOutsideTheStore(string text)
+    {
+        // Act
+        var actions = ChatActionParser.Parse(text);
+
+        // Assert
+        Assert.Empty(actions);
+    }
+
+    [Theory]
+    [InlineData("/Orders/Details?id=3")]
+    [InlineData("/Products")]
+    [InlineData("/")]
+    public void Parse_AllowsStorePages(string url)
+    {
+        // Act
+        var action = Assert.Single(ChatActionParser.Parse($"[NAVIGATE:{url}]"));
+
+        // Assert
+        Assert.Equal(url, action.Url);
+        Assert.Null(action.Name);
+    }
+
+    [Fact]
+    public void Parse_WithoutTags_ReturnsEmptyList()
+    {
+        Assert.Empty(ChatActionParser.Parse("We have plenty of laptops in stock."));
+        Assert.Empty(ChatActionParser.Parse(null));
+    }
+}
@@ -0,0 +1,52 @@
+using RetailDecomposed.Services;
+using Xunit;
+
+namespace RetailDecomposed.Tests;
+
+/// <summary>
+/// Tests for taking the copilot's suggested follow-up questions out of its responses.
+/// </summary>
+public class ChatFollowUpParserTests
+{
+    [Fact]
+    public void Extract_RemovesTheTags_AndListsTheQuestionsInOrder()
+    {
+        // Arrange
+        var text = "The [PRODUCT:5:Dell XPS 13] [ADD_TO_CART:5:Dell XPS 13] is £999.\n\n" +
+                   "[FOLLOW_UP:Does it come with a warranty?]\n[FOLLOW_UP: Compare it with the MacBook Air ]\n";
+
+        // Act
+        var (content, suggestions) = ChatFollowUpParser.Extract(text);
+
+        // Assert
+        Assert.Equal("The [PRODUCT:5:Dell XPS 13] [ADD_TO_CART:5:Dell XPS 13] is £999.", content);
+        Assert.Equal(new[] { "Does it come with a warranty?", "Compare it with the MacBook Air" }, suggestions);
+    }
+
+    [Fact]
+    public void Extract_SkipsRepeatedEmptyAndOverlongQuestions_AndKeepsAtMostThree()
+    {
+        // Arrange
+        var text = "Sure. [FOLLOW_UP:Is it in stock?] [FOLLOW_UP:is it in stock?] [FOLLOW_UP: ] " +
+                   $"[FOLLOW_UP:{new string('a', ChatFollowUpParser.MaxSuggestionLength + 1)}] " +
+                   "[FOLLOW_UP:Any discounts?] [FOLLOW_UP:What colours are there?] [FOLLOW_UP:How heavy is it?]";
+
+        // Act
+        var (content, suggestions) = ChatFollowUpParser.Extract(text);
+
+        // Assert
+        Assert.Equal("Sure.", content);
+        Assert.Equal(new[] { "Is it in stock?", "Any discounts?", "What colours are there?" }, suggestions);
+    }
+
+    [Fact]
+    public void Extract_TextWithoutTags_IsReturnedUnchanged()
+    {
+        // Act
+        var (content, suggestions) = ChatFollowUpParser.Extract("Browse everything here: [NAVIGATE:/Products:All products]\n");
+
+        // Assert
+        Assert.Equal("Browse everything here: [NAVIGATE:/Products:All products]\n", content);
+        Assert.Empty(suggestions);
+    }
+}
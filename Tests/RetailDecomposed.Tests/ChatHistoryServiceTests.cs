@@ -0,0 +1,125 @@
+using Microsoft.Extensions.Configuration;
+using Microsoft.Extensions.Logging.Abstractions;
+using Moq;
+using OpenAI.Chat;
+using RetailDecomposed.Models;
+using RetailDecomposed.Services;
+using Xunit;
+
+namespace RetailDecomposed.Tests;
+
+/// <summary>
+/// Tests for the rolling summary that replaces the oldest messages of long conversations.
+/// The chat model and conversation store are mocked, so no database or Azure AI is needed.
+/// </summary>
+public class ChatHistoryServiceTests
+{
+    private const string CustomerId = "customer-1";
+
+    private readonly Mock<IChatModelProvider> _chatModelMock = new();
+    private readonly Mock<IChatConversationService> _conversationsMock = new();
+    private readonly ChatHistoryService _service;
+
+    public ChatHistoryServiceTests()
+    {
+        var configuration = new ConfigurationBuilder()
+            .AddInMemoryCollection(new Dictionary<string, string?>
+            {
+                ["ChatHistory:MaxMessages"] = "4",
+                ["ChatHistory:RecentMessages"] = "2"
+            })
+            .Build();
+
+        _conversationsMock
+            .Setup(c => c.SaveSummaryAsync(It.IsAny<int>(), CustomerId, It.IsAny<string>(), It.IsAny<int>(), It.IsAny<CancellationToken>()))
+            .ReturnsAsync(true);
+
+        _service = new ChatHistoryService(configuration, _chatModelMock.Object, _conversationsMock.Object, NullLogger<ChatHistoryService>.Instance);
+    }
+
+    [Fact]
+    public async Task GetHistoryAsync_WithinBudget_SendsEveryMessageWithoutSummarizing()
+    {
+        // Arrange
+        var conversation = CreateConversation(4);
+
+        // Act
+        var history = await _service.GetHistoryAsync(conversation);
+
+        // Assert
+        Assert.Equal(new[] { "message 1", "message 2", "message 3", "message 4" }, history.Messages.Select(m => m.Content));
+        Assert.False(history.Summarized);
+        _chatModelMock.Verify(m => m.CompleteChatAsync(
+            It.IsAny<IReadOnlyList<OpenAI.Chat.ChatMessage>>(), It.IsAny<ChatCompletionOptions>(), It.IsAny<CancellationToken>()), Times.Never);
+    }
+
+    [Fact]
+    public async Task GetHistoryAsync_OverBudget_FoldsOlderMessagesIntoTheSummary()
+    {
+        // Arrange
+        var conversation = CreateConversation(5);
+        conversation.Summary = "The customer is a size 9.";
+        conversation.SummarizedMessageCount = 0;
+        IReadOnlyList<OpenAI.Chat.ChatMessage>? prompt = null;
+        _chatModelMock
+            .Setup(m => m.CompleteChatAsync(It.IsAny<IReadOnlyList<OpenAI.Chat.ChatMessage>>(), It.IsAny<ChatCompletionOptions>(), It.IsAny<CancellationToken>()))
+            .Callback((IReadOnlyList<OpenAI.Chat.ChatMessage> messages, ChatCompletionOptions _, CancellationToken _) => prompt = messages)
+            .ReturnsAsync(new ChatModelCompletion
+            {
+                Content = "The customer is a size 9 with a £50 budget.",
+                Usage = new CopilotTokenUsage { PromptTokens = 90, CompletionTokens = 10, TotalTokens = 100 }
+            });
+
+        // Act
+        var history = await _service.GetHistoryAsync(conversation);
+
+        // Assert - the previous summary and the three oldest messages went to the model
+        Assert.NotNull(prompt);
+        var transcript = string.Concat(prompt[1].Content.Select(part => part.Text));
+        Assert.Contains("The customer is a size 9.", transcript);
+        Assert.Contains("Customer: message 1", transcript);
+        Assert.Contains("Customer: message 3", transcript);
+        Assert.DoesNotContain("message 4", transcript);
+
+        Assert.True(history.Summarized);
+        Assert.Equal(3, history.SummarizedMessageCount);
+        Assert.Equal(100, history.SummaryUsage?.TotalTokens);
+        Assert.Equal(new[] { "summary", "assistant", "user" }, history.Messages.Select(m => m.Role));
+        Assert.Equal("The customer is a size 9 with a £50 budget.", history.Messages[0].Content);
+        _conversationsMock.Verify(c => c.SaveSummaryAsync(conversation.Id, CustomerId, "The customer is a size 9 with a £50 budget.", 3, It.IsAny<CancellationToken>()), Times.Once);
+    }
+
+    [Fact]
+    public async Task GetHistoryAsync_SummaryFails_SendsEveryUnsummarizedMessageWithThePreviousSummary()
+    {
+        // Arrange
+        var conversation = CreateConversation(7);
+        conversation.Summary = "The customer is a size 9.";
+        conversation.SummarizedMessageCount = 2;
+        _chatModelMock
+            .Setup(m => m.CompleteChatAsync(It.IsAny<IReadOnlyList<OpenAI.Chat.ChatMessage>>(), It.IsAny<ChatCompletionOptions>(), It.IsAny<CancellationToken>()))
+            .ThrowsAsync(new InvalidOperationException("Model unavailable"));
+
+        // Act
+        var history = await _service.GetHistoryAsync(conversation);
+
+        // Assert - over budget, but none of the messages the summary doesn't cover are lost
+        Assert.False(history.Summarized);
+        Assert.Equal(2, history.SummarizedMessageCount);
+        Assert.Equal(new[] { "The customer is a size 9.", "message 3", "message 4", "message 5", "message 6", "message 7" }, history.Messages.Select(m => m.Content));
+        _conversationsMock.Verify(c => c.SaveSummaryAsync(
+            It.IsAny<int>(), It.IsAny<string>(), It.IsAny<string>(), It.IsAny<int>(), It.IsAny<CancellationToken>()), Times.Never);
+    }
+
+    private static ChatConversation CreateConversation(int messageCount)
+    {
+        return new ChatConversation
+        {
+            Id = 1,
+            CustomerId = CustomerId,
+            Messages = Enumerable.Range(1, messageCount)
+                .Select(i => new ChatConversationMessage { Id = i, Role = i % 2 == 1 ? "user" : "assistant", Content = $"message {i}" })
+                .ToList()
+        };
+    }
+}
@@ -0,0 +1,176 @@
+using System.Net;
+using System.Net.Http.Json;
+using Microsoft.AspNetCore.TestHost;
+using Microsoft.Extensions.Configuration;
+using Microsoft.Extensions.DependencyInjection;
+using RetailDecomposed.Services;
+using Xunit;
+
+namespace RetailDecomposed.Tests;
+
+/// <summary>
+/// Tests for the per-user chat request limit and daily token budget.
+/// </summary>
+public class ChatQuotaTests : IClassFixture<DecomposedWebApplicationFactory>
+{
+    private readonly DecomposedWebApplicationFactory _factory;
+
+    public ChatQuotaTests(DecomposedWebApplicationFactory factory)
+    {
+        _factory = factory;
+    }
+
+    [Fact]
+    public void TryStartRequest_OverRequestLimit_IsRejected_UntilWindowPasses()
+    {
+        // Arrange
+        var time = new ManualTimeProvider(new DateTimeOffset(2026, 10, 19, 12, 0, 0, TimeSpan.Zero));
+        var service = CreateService(time, requestsPerMinute: 2, tokensPerDay: 0);
+
+        // Act
+        var first = service.TryStartRequest("user");
+        time.Advance(TimeSpan.FromSeconds(20));
+        var second = service.TryStartRequest("user");
+        var third = service.TryStartRequest("user");
+
+        // Assert
+        Assert.True(first.Allowed);
+        Assert.True(second.Allowed);
+        Assert.False(third.Allowed);
+        Assert.Equal(ChatQuotaLimits.RequestsPerMinute, third.ExceededLimit);
+        Assert.Equal(TimeSpan.FromSeconds(40), third.RetryAfter);
+        Assert.Equal(0, third.Status.RequestsRemaining);
+
+        // The first request leaves the window after a minute
+        time.Advance(TimeSpan.FromSeconds(40));
+        Assert.True(service.TryStartRequest("user").Allowed);
+    }
+
+    [Fact]
+    public void TryStartRequest_OverTokenBudget_IsRejected_UntilUtcMidnight()
+    {
+        // Arrange
+        var time = new ManualTimeProvider(new DateTimeOffset(2026, 10, 19, 22, 0, 0, TimeSpan.Zero));
+        var service = CreateService(time, requestsPerMinute: 0, tokensPerDay: 1000);
+
+        // Act
+        Assert.True(service.TryStartRequest("user").Allowed);
+        var status = service.RecordUsage("user", 1200);
+        var rejected = service.TryStartRequest("user");
+
+        // Assert
+        Assert.Equal(0, status.TokensRemaining);
+        Assert.False(rejected.Allowed);
+        Assert.Equal(ChatQuotaLimits.TokensPerDay, rejected.ExceededLimit);
+        Assert.Equal(new DateTimeOffset(2026, 10, 20, 0, 0, 0, TimeSpan.Zero), rejected.RetryAtUtc);
+
+        time.Advance(TimeSpan.FromHours(2));
+        var nextDay = service.TryStartRequest("user");
+        Assert.True(nextDay.Allowed);
+        Assert.Equal(1000, nextDay.Status.TokensRemaining);
+    }
+
+    [Fact]
+    public void Quotas_AreTrackedPerUser_AndDisabledLimitsAreOmitted()
+    {
+        // Arrange
+        var time = new ManualTimeProvider(DateTimeOffset.UtcNow);
+        var service = CreateService(time, requestsPerMinute: 1, tokensPerDay: 0);
+
+        // Act
+        service.TryStartRequest("alice");
+        var bob = service.TryStartRequest("bob");
+
+        // Assert
+        Assert.True(bob.Allowed);
+        Assert.Null(bob.Status.TokensPerDay);
+        Assert.Null(bob.Status.TokensRemaining);
+    }
+
+    [Fact]
+    public async Task ChatApi_OverRequestLimit_Returns_TooManyRequests_WithRetryAfter()
+    {
+        // Arrange
+        var client = _factory.WithWebHostBuilder(builder =>
+        {
+            builder.ConfigureTestServices(services =>
+            {
+                services.AddSingleton<IChatQuotaService>(CreateService(TimeProvider.System, requestsPerMinute: 1, tokensPerDay: 0));
+            });
+        }).CreateClient().AuthenticateAs("quotauser1", "quotauser1", "quotauser1");
+
+        // Act
+        var first = await client.PostAsJsonAsync("/api/chat", new { message = "Hello" });
+        var second = await client.PostAsJsonAsync("/api/chat", new { message = "Hello again" });
+
+        // Assert
+        first.EnsureSuccessStatusCode();
+        Assert.Equal(HttpStatusCode.TooManyRequests, second.StatusCode);
+        Assert.NotNull(second.Headers.RetryAfter);
+
+        var body = await second.Content.ReadFromJsonAsync<QuotaErrorDto>();
+        Assert.NotNull(body);
+        Assert.Equal(ChatQuotaLimits.RequestsPerMinute, body.Limit);
+        Assert.True(body.RetryAfterSeconds > 0);
+    }
+
+    [Fact]
+    public async Task QuotaApi_Returns_RemainingBudget()
+    {
+        // Arrange
+        var client = _factory.CreateClient().AuthenticateAs("quotauser2", "quotauser2", "quotauser2");
+
+        // Act
+        var status = await client.GetFromJsonAsync<ChatQuotaStatus>("/api/chat/quota");
+
+        // Assert
+        Assert.NotNull(status);
+        Assert.Equal(status.RequestsPerMinute, status.RequestsRemaining);
+        Assert.Equal(status.TokensPerDay, status.TokensRemaining);
+    }
+
+    [Fact]
+    public async Task QuotaApi_WithoutAuthentication_Returns_Unauthorized()
+    {
+        // Act
+        var response = await _factory.CreateClient().GetAsync("/api/chat/quota");
+
+        // Assert
+        Assert.Equal(HttpStatusCode.Unauthorized, response.StatusCode);
+    }
+
+    private static ChatQuotaService CreateService(TimeProvider timeProvider, int requestsPerMinute, int tokensPerDay)
+    {
+        var configuration = new ConfigurationBuilder()
+            .AddInMemoryCollection(new Dictionary<string, string?>
+            {
+                ["ChatQuota:RequestsPerMinute"] = requestsPerMinute.ToString(),
+                ["ChatQuota:TokensPerDay"] = tokensPerDay.ToString()
+            })
+            .Build();
+
+        return new ChatQuotaService(configuration, timeProvider);
+    }
+
+    private class ManualTimeProvider : TimeProvider
+    {
+        private DateTimeOffset _now;
+
+        public ManualTimeProvider(DateTimeOffset now)
+        {
+            _now = now;
+        }
+
+        public override DateTimeOffset GetUtcNow() => _now;
+
+        public void Advance(TimeSpan delta) => _now += delta;
+    }
+
+    // DTO classes for deserialization
+    private class QuotaErrorDto
+    {
+        public string Error { get; set; } = string.Empty;
+        public string? Limit { get; set; }
+        public int RetryAfterSeconds { get; set; }
+    }
+}
@@ -0,0 +1,229 @@
+using System.Text.Json;
+using Moq;
+using RetailDecomposed.Models;
+using RetailDecomposed.Services;
+using Xunit;
+
+namespace RetailDecomposed.Tests;
+
+/// <summary>
+/// Tests for the functions the copilot model can call.
+/// The API clients are mocked, so no backend services or Azure AI are needed.
+/// </summary>
+public class CopilotToolsTests
+{
+    private const string CustomerId = "customer-1";
+
+    private readonly Mock<IProductsApiClient> _productsMock = new();
+    private readonly Mock<ICartApiClient> _cartMock = new();
+    private readonly Mock<IOrdersApiClient> _ordersMock = new();
+
+    public CopilotToolsTests()
+    {
+        var products = new List<Product>
+        {
+            new() { Id = 1, Sku = "RUN-001", Name = "Running Shoes", Price = 89.99m, IsActive = true, Category = "Footwear" },
+            new() { Id = 2, Sku = "TENT-001", Name = "Camping Tent", Price = 199.99m, IsActive = true, Category = "Outdoor" },
+            new() { Id = 3, Sku = "RUN-002", Name = "Trail Running Shoes", Price = 119.99m, IsActive = false, Category = "Footwear" },
+            new() { Id = 4, Sku = "RUN-003", Name = "Racing Flats", Price = 99.99m, IsActive = true, Category = "Footwear" }
+        };
+        // Racing Flats are still on sale but have sold out
+        var stock = new Dictionary<string, int> { ["RUN-001"] = 12, ["TENT-001"] = 5, ["RUN-002"] = 3 };
+
+        _productsMock.Setup(p => p.GetProductsAsync(It.IsAny<CancellationToken>())).ReturnsAsync(products);
+        _productsMock.Setup(p => p.GetProductByIdAsync(It.IsAny<int>(), It.IsAny<CancellationToken>()))
+            .ReturnsAsync((int id, CancellationToken _) => products.FirstOrDefault(p => p.Id == id));
+        _productsMock.Setup(p => p.GetStockAsync(It.IsAny<IEnumerable<string>>(), It.IsAny<CancellationToken>()))
+            .ReturnsAsync((IEnumerable<string> skus, CancellationToken _) =>
+                skus.Distinct().ToDictionary(sku => sku, sku => stock.GetValueOrDefault(sku)));
+
+        _cartMock.Setup(c => c.GetCartAsync(CustomerId, It.IsAny<CancellationToken>())).ReturnsAsync(new Cart
+        {
+            CustomerId = CustomerId,
+            Lines = new List<CartLine>
+            {
+                new() { Sku = "RUN-001", Name = "Running Shoes", UnitPrice = 89.99m, Quantity = 2 }
+            }
+        });
+
+        _ordersMock.Setup(o => o.GetOrdersAsync(It.IsAny<CancellationToken>())).ReturnsAsync(new List<Order>
+        {
+            new() { Id = 10, CustomerId = CustomerId, Status = "Paid", Total = 89.99m },
+            new() { Id = 11, CustomerId = "someone-else", Status = "Paid", Total = 199.99m }
+        });
+        _ordersMock.Setup(o => o.GetOrderByIdAsync(11, It.IsAny<CancellationToken>()))
+            .ReturnsAsync(new Order { Id = 11, CustomerId = "someone-else", Status = "Paid", Total = 199.99m });
+    }
+
+    [Fact]
+    public async Task SearchProducts_FiltersByCategoryAndPrice_AndSkipsInactiveProducts()
+    {
+        // Arrange
+        var tools = CreateTools(CustomerId);
+
+        // Act
+        var result = await InvokeAsync(tools, CopilotTools.SearchProducts, new { category = "footwear", maxPrice = 95 });
+
+        // Assert
+        var products = result.GetProperty("products").EnumerateArray().ToList();
+        Assert.Single(products);
+        Assert.Equal(1, products[0].GetProperty("id").GetInt32());
+        Assert.Equal(12, products[0].GetProperty("stockQuantity").GetInt32());
+        Assert.True(products[0].GetProperty("inStock").GetBoolean());
+    }
+
+    [Fact]
+    public async Task GetProduct_ForActiveProductWithNoStock_ReportsItOutOfStock()
+    {
+        // Arrange
+        var tools = CreateTools(CustomerId);
+
+        // Act
+        var result = await InvokeAsync(tools, CopilotTools.GetProduct, new { productId = 4 });
+
+        // Assert
+        Assert.Equal(0, result.GetProperty("stockQuantity").GetInt32());
+        Assert.False(result.GetProperty("inStock").GetBoolean());
+    }
+
+    [Fact]
+    public async Task ListOrders_ReturnsOnlyTheCustomersOrders()
+    {
+        // Arrange
+        var tools = CreateTools(CustomerId);
+
+        // Act
+        var result = await InvokeAsync(tools, CopilotTools.ListOrders, new { });
+
+        // Assert
+        var orders = result.GetProperty("orders").EnumerateArray().ToList();
+        Assert.Single(orders);
+        Assert.Equal(10, orders[0].GetProperty("id").GetInt32());
+    }
+
+    [Fact]
+    public async Task GetOrder_ForAnotherCustomersOrder_ReportsNotFound()
+    {
+        // Arrange
+        var tools = CreateTools(CustomerId);
+
+        // Act
+        var result = await InvokeAsync(tools, CopilotTools.GetOrder, new { orderId = 11 });
+
+        // Assert
+        Assert.Equal("Order not found", result.GetProperty("error").GetString());
+    }
+
+    [Fact]
+    public async Task ProposeAddToCart_RecordsAction_WithoutChangingTheCart()
+    {
+        // Arrange
+        var tools = CreateTools(CustomerId);
+
+        // Act
+        var result = await InvokeAsync(tools, CopilotTools.ProposeAddToCart, new { productId = 2, quantity = 3 });
+
+        // Assert
+        Assert.Equal("proposed", result.GetProperty("status").GetString());
+        var action = Assert.Single(tools.ProposedActions);
+        Assert.Equal(CopilotProposedActionTypes.AddToCart, action.Type);
+        Assert.Equal(2, action.ProductId);
+        Assert.Equal("Camping Tent", action.Name);
+        Assert.Equal(3, action.Quantity);
+        Assert.Equal(599.97m, action.Total);
+        _cartMock.Verify(c => c.AddToCartAsync(It.IsAny<string>(), It.IsAny<int>(), It.IsAny<int>(), It.IsAny<CancellationToken>()), Times.Never);
+    }
+
+    [Fact]
+    public async Task ProposeAddToCart_ForInactiveProduct_ReturnsError_AndProposesNothing()
+    {
+        // Arrange
+        var tools = CreateTools(CustomerId);
+
+        // Act
+        var result = await InvokeAsync(tools, CopilotTools.ProposeAddToCart, new { productId = 3 });
+
+        // Assert
+        Assert.True(result.TryGetProperty("error", out _));
+        Assert.Empty(tools.ProposedActions);
+    }
+
+    [Fact]
+    public async Task ProposeAddToCart_ForProductWithNoStock_ReturnsError_AndProposesNothing()
+    {
+        // Arrange
+        var tools = CreateTools(CustomerId);
+
+        // Act
+        var result = await InvokeAsync(tools, CopilotTools.ProposeAddToCart, new { productId = 4 });
+
+        // Assert
+        Assert.Equal("Product is out of stock", result.GetProperty("error").GetString());
+        Assert.Empty(tools.ProposedActions);
+    }
+
+    [Fact]
+    public async Task ProposeAddToCart_ForMoreThanIsInStock_ReturnsError_AndProposesNothing()
+    {
+        // Arrange
+        var tools = CreateTools(CustomerId);
+
+        // Act
+        var result = await InvokeAsync(tools, CopilotTools.ProposeAddToCart, new { productId = 2, quantity = 6 });
+
+        // Assert
+        Assert.Equal("Only 5 in stock", result.GetProperty("error").GetString());
+        Assert.Empty(tools.ProposedActions);
+    }
+
+    [Fact]
+    public async Task ProposePlaceOrder_SummarisesTheCurrentCart()
+    {
+        // Arrange
+        var tools = CreateTools(CustomerId);
+
+        // Act
+        await InvokeAsync(tools, CopilotTools.ProposePlaceOrder, new { });
+
+        // Assert
+        var action = Assert.Single(tools.ProposedActions);
+        Assert.Equal(CopilotProposedActionTypes.PlaceOrder, action.Type);
+        Assert.Equal(2, action.Quantity);
+        Assert.Equal(179.98m, action.Total);
+    }
+
+    [Fact]
+    public async Task InvokeAsync_WithMissingArguments_ReturnsErrorToTheModel()
+    {
+        // Arrange
+        var tools = CreateTools(CustomerId);
+
+        // Act
+        var result = await InvokeAsync(tools, CopilotTools.GetProduct, new { });
+
+        // Assert
+        Assert.Equal($"Invalid arguments for '{CopilotTools.GetProduct}'", result.GetProperty("error").GetString());
+    }
+
+    [Fact]
+    public void GetDefinitions_WithoutCustomer_OnlyOffersCatalogTools()
+    {
+        // Arrange
+        var tools = CreateTools(null);
+
+        // Act
+        var names = tools.GetDefinitions().Select(t => t.FunctionName).ToList();
+
+        // Assert
+        Assert.Equal(new[] { CopilotTools.SearchProducts, CopilotTools.GetProduct }, names);
+    }
+
+    private CopilotTools CreateTools(string? customerId) =>
+        new(_productsMock.Object, _cartMock.Object, _ordersMock.Object, customerId);
+
+    private static async Task<JsonElement> InvokeAsync(CopilotTools tools, string name, object arguments)
+    {
+        var json = await tools.InvokeAsync(name, BinaryData.FromObjectAsJson(arguments));
+        return JsonDocument.Parse(json).RootElement;
+    }
+}
@@ -188,7 +188,9 @@ public class DecomposedWebApplicationFactory : WebApplicationFactory<RetailDecom
                 mock.Setup(m => m.SearchProductsAsync(
                     It.IsAny<string>(), 
                     It.IsAny<int>(), 
-                    It.IsAny<string?>()))
+                    It.IsAny<string?>(),
+                    It.IsAny<decimal?>(),
+                    It.IsAny<decimal?>()))
                     .ReturnsAsync(new List<ProductSearchResult>());
                 
                 // Mock CreateOrUpdateIndexAsync to return success
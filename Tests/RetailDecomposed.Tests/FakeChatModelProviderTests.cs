@@ -0,0 +1,165 @@
+using System.Net.Http.Json;
+using System.Text.Json;
+using Microsoft.AspNetCore.Hosting;
+using Microsoft.AspNetCore.Mvc.Testing;
+using Microsoft.AspNetCore.TestHost;
+using Microsoft.Extensions.Configuration;
+using Microsoft.Extensions.DependencyInjection;
+using Microsoft.Extensions.DependencyInjection.Extensions;
+using RetailDecomposed.Services;
+using Xunit;
+
+namespace RetailDecomposed.Tests;
+
+/// <summary>
+/// Runs the chat end to end against the scripted model selected with ChatModel:Provider = Fake,
+/// including its tool calls into the products and cart APIs. No Azure access is needed.
+/// </summary>
+public class FakeChatModelProviderTests : IClassFixture<DecomposedWebApplicationFactory>
+{
+    private readonly DecomposedWebApplicationFactory _factory;
+    private readonly WebApplicationFactory<RetailDecomposed.Program> _fakeModelFactory;
+    private readonly HttpClient _client;
+
+    public FakeChatModelProviderTests(DecomposedWebApplicationFactory factory)
+    {
+        _factory = factory;
+        _fakeModelFactory = factory.WithWebHostBuilder(builder =>
+        {
+            builder.ConfigureAppConfiguration((_, config) =>
+            {
+                config.AddInMemoryCollection(new Dictionary<string, string?>
+                {
+                    ["ChatModel:Provider"] = ChatModelProviders.Fake
+                });
+            });
+        });
+        _client = _fakeModelFactory.CreateClient().AuthenticateAsCustomer();
+    }
+
+    [Fact]
+    public async Task ChatApi_SearchesTheCatalog_AndRepliesWithTaggedProducts()
+    {
+        // Act
+        var response = await _client.PostAsJsonAsync("/api/chat", new { message = "Show me some electronics" });
+
+        // Assert
+        response.EnsureSuccessStatusCode();
+        var body = await response.Content.ReadFromJsonAsync<JsonElement>();
+        Assert.Contains("[PRODUCT:1:Test Product 1] [ADD_TO_CART:1:Test Product 1]", body.GetProperty("response").GetString());
+        Assert.True(body.GetProperty("usage").GetProperty("totalTokens").GetInt32() > 0);
+        Assert.Contains(body.GetProperty("actions").EnumerateArray(), action =>
+            action.GetProperty("type").GetString() == CopilotChatActionTypes.AddToCart &&
+            action.GetProperty("productId").GetInt32() == 1);
+
+        // Follow-up questions come back as suggestions instead of in the text
+        Assert.DoesNotContain("[FOLLOW_UP:", body.GetProperty("response").GetString());
+        var suggestions = body.GetProperty("suggestions").EnumerateArray().Select(s => s.GetString()).ToList();
+        Assert.Equal(2, suggestions.Count);
+        Assert.Contains("What's in my cart?", suggestions);
+    }
+
+    [Fact]
+    public async Task ChatApi_AddRequest_ProposesTheCartAddition()
+    {
+        // Act
+        var response = await _client.PostAsJsonAsync("/api/chat", new { message = "Please add 2 of product 3" });
+
+        // Assert
+        response.EnsureSuccessStatusCode();
+        var body = await response.Content.ReadFromJsonAsync<JsonElement>();
+        var action = Assert.Single(body.GetProperty("proposedActions").EnumerateArray());
+        Assert.Equal(CopilotProposedActionTypes.AddToCart, action.GetProperty("type").GetString());
+        Assert.Equal(3, action.GetProperty("productId").GetInt32());
+        Assert.Equal(2, action.GetProperty("quantity").GetInt32());
+        Assert.Equal(61.98m, action.GetProperty("total").GetDecimal());
+    }
+
+    [Fact]
+    public async Task ChatStreamApi_StreamsTheReply_InChunks()
+    {
+        // Act
+        var response = await _client.PostAsJsonAsync("/api/chat/stream", new { message = "Show me some electronics" });
+
+        // Assert - the reply arrives in several deltas, then a done event with the typed actions
+        response.EnsureSuccessStatusCode();
+        var content = await response.Content.ReadAsStringAsync();
+        Assert.True(content.Split("event: delta").Length > 3);
+        Assert.Contains("event: done", content);
+        Assert.Contains("\"viewProduct\"", content);
+    }
+
+    [Fact]
+    public async Task ChatApi_LongConversation_SummarizesTheOlderMessages()
+    {
+        // Arrange - more stored messages than ChatHistory:MaxMessages allows in full
+        var created = await _client.PostAsJsonAsync("/api/chat/conversations", new { });
+        var conversationId = (await created.Content.ReadFromJsonAsync<JsonElement>()).GetProperty("id").GetInt32();
+        using (var scope = _fakeModelFactory.Services.CreateScope())
+        {
+            var conversations = scope.ServiceProvider.GetRequiredService<IChatConversationService>();
+            var messages = Enumerable.Range(0, 17).Select(i => new ChatMessage
+            {
+                Role = i % 2 == 0 ? "user" : "assistant",
+                Content = i == 0 ? "I'm a size 9" : $"Message {i}"
+            });
+            Assert.True(await conversations.AddMessagesAsync(conversationId, "testuser@example.com", messages));
+        }
+
+        // Act
+        var response = await _client.PostAsJsonAsync("/api/chat", new { message = "Show me some electronics", conversationId });
+
+        // Assert - the nine oldest messages were folded into the summary, which the next request carries forward
+        response.EnsureSuccessStatusCode();
+        var body = await response.Content.ReadFromJsonAsync<JsonElement>();
+        Assert.True(body.GetProperty("historySummarized").GetBoolean());
+
+        var conversation = await _client.GetFromJsonAsync<JsonElement>($"/api/chat/conversations/{conversationId}");
+        Assert.Equal(9, conversation.GetProperty("summarizedMessageCount").GetInt32());
+        Assert.Equal(19, conversation.GetProperty("messages").GetArrayLength());
+    }
+
+    [Fact]
+    public async Task ChatApi_ScriptedFailure_ReturnsTheApology()
+    {
+        // Act
+        var response = await _client.PostAsJsonAsync("/api/chat", new { message = $"Please {FakeChatModelProvider.FailureTrigger}" });
+
+        // Assert
+        response.EnsureSuccessStatusCode();
+        var body = await response.Content.ReadFromJsonAsync<JsonElement>();
+        Assert.StartsWith("I apologize", body.GetProperty("response").GetString());
+    }
+
+    [Fact]
+    public async Task ChatApi_WithoutAzureSearchConfigured_FallsBackToLocalSearch()
+    {
+        // Arrange - the base appsettings: AzureSearch selected but no endpoint, and the app's own search factory
+        // in place of the mock the test factory registers
+        var client = _factory.WithWebHostBuilder(builder =>
+        {
+            builder.ConfigureAppConfiguration((_, config) =>
+            {
+                config.AddInMemoryCollection(new Dictionary<string, string?>
+                {
+                    ["ChatModel:Provider"] = ChatModelProviders.Fake,
+                    ["SemanticSearch:Provider"] = SemanticSearchProviders.AzureSearch,
+                    ["AzureSearch:Endpoint"] = ""
+                });
+            });
+            builder.ConfigureTestServices(services =>
+            {
+                services.RemoveAll<ISemanticSearchService>();
+                services.AddScoped<ISemanticSearchService>(SemanticSearchServiceFactory.Create);
+            });
+        }).CreateClient().AuthenticateAsCustomer();
+
+        // Act
+        var response = await client.PostAsJsonAsync("/api/chat", new { message = "Show me some electronics" });
+
+        // Assert
+        response.EnsureSuccessStatusCode();
+        var body = await response.Content.ReadFromJsonAsync<JsonElement>();
+        Assert.Contains("[PRODUCT:1:Test Product 1]", body.GetProperty("response").GetString());
+    }
+}
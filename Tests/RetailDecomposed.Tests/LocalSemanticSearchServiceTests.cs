@@ -0,0 +1,106 @@
+using Microsoft.EntityFrameworkCore;
+using Microsoft.Extensions.Logging.Abstractions;
+using RetailDecomposed.Data;
+using RetailDecomposed.Models;
+using RetailDecomposed.Services;
+using Xunit;
+
+namespace RetailDecomposed.Tests;
+
+/// <summary>
+/// Tests for the in-process semantic search used when SemanticSearch:Provider is Local.
+/// </summary>
+public class LocalSemanticSearchServiceTests : IDisposable
+{
+    private readonly AppDbContext _context;
+    private readonly LocalSemanticSearchService _service;
+
+    public LocalSemanticSearchServiceTests()
+    {
+        var options = new DbContextOptionsBuilder<AppDbContext>()
+            .UseInMemoryDatabase(databaseName: $"TestDb_{Guid.NewGuid()}")
+            .Options;
+
+        _context = new AppDbContext(options);
+        _context.Products.AddRange(
+            new Product { Id = 1, Sku = "RUN-001", Name = "Running Shoes", Description = "Comfortable running shoes for daily training", Price = 89.99m, IsActive = true, Category = "Footwear" },
+            new Product { Id = 2, Sku = "TENT-001", Name = "Camping Tent", Description = "4-person tent for outdoor camping adventures", Price = 199.99m, IsActive = true, Category = "Home" },
+            new Product { Id = 3, Sku = "TSHIRT-001", Name = "Cotton T-Shirt", Description = "Casual comfortable cotton t-shirt for everyday wear", Price = 19.99m, IsActive = true, Category = "Apparel" },
+            new Product { Id = 4, Sku = "LAPTOP-001", Name = "Business Laptop", Description = "High-performance laptop for office work and productivity", Price = 999.99m, IsActive = true, Category = "Electronics" },
+            new Product { Id = 5, Sku = "INACTIVE-001", Name = "Inactive Running Shoes", Description = "No longer sold", Price = 1.00m, IsActive = false, Category = "Footwear" });
+        _context.SaveChanges();
+
+        _service = new LocalSemanticSearchService(_context, new LocalProductVectorIndex(), NullLogger<LocalSemanticSearchService>.Instance);
+    }
+
+    [Theory]
+    [InlineData("running shoes", 1)]
+    [InlineData("shoe", 1)]
+    [InlineData("laptop for work", 4)]
+    [InlineData("tshirt", 3)]
+    public async Task SearchProductsAsync_RanksTheClosestProductFirst(string query, int expectedId)
+    {
+        // Act
+        var results = await _service.SearchProductsAsync(query);
+
+        // Assert
+        Assert.NotEmpty(results);
+        Assert.Equal(expectedId, results[0].Id);
+        Assert.All(results, r => Assert.InRange(r.Score, 0.0, 1.0001));
+        Assert.Equal(results.OrderByDescending(r => r.Score).Select(r => r.Id), results.Select(r => r.Id));
+    }
+
+    [Fact]
+    public async Task SearchProductsAsync_AppliesCategoryAndPriceFilters()
+    {
+        // Act
+        var footwear = await _service.SearchProductsAsync("comfortable", categoryFilter: "footwear");
+        var cheap = await _service.SearchProductsAsync("comfortable", maxPrice: 50m);
+
+        // Assert
+        Assert.Equal(new[] { 1 }, footwear.Select(r => r.Id));
+        Assert.Equal(new[] { 3 }, cheap.Select(r => r.Id));
+    }
+
+    [Fact]
+    public async Task SearchProductsAsync_LeavesOutInactiveProducts()
+    {
+        // Act
+        var results = await _service.SearchProductsAsync("inactive running shoes");
+
+        // Assert
+        Assert.DoesNotContain(results, r => r.Id == 5);
+    }
+
+    [Fact]
+    public async Task SearchProductsAsync_WithUnknownCategory_ThrowsArgumentException()
+    {
+        await Assert.ThrowsAsync<ArgumentException>(() => _service.SearchProductsAsync("shoes", categoryFilter: "Outdoor' or 1 eq 1"));
+    }
+
+    [Fact]
+    public async Task IndexProductsAsync_IndexesActiveProducts()
+    {
+        // Act
+        var count = await _service.IndexProductsAsync();
+
+        // Assert
+        Assert.Equal(4, count);
+    }
+
+    [Fact]
+    public async Task GenerateEmbeddingsAsync_ReturnsUnitLengthVector()
+    {
+        // Act
+        var embedding = await _service.GenerateEmbeddingsAsync("Running shoes");
+
+        // Assert
+        Assert.Equal(LocalProductVectorIndex.Dimensions, embedding.Length);
+        Assert.Equal(1.0, Math.Sqrt(embedding.ToArray().Sum(v => (double)v * v)), 3);
+    }
+
+    public void Dispose()
+    {
+        _context.Dispose();
+    }
+}
@@ -0,0 +1,56 @@
+using RetailDecomposed.Services;
+using Xunit;
+
+namespace RetailDecomposed.Tests;
+
+/// <summary>
+/// Tests for reading category and price filters out of a shopper's question.
+/// </summary>
+public class ProductQueryFiltersTests
+{
+    [Fact]
+    public void Infer_ReadsCategoryAndMaximumPrice()
+    {
+        // Act
+        var filters = ProductQueryFilters.Infer("Can you find me some running shoes under £100?");
+
+        // Assert
+        Assert.Equal("Footwear", filters.Category);
+        Assert.Null(filters.MinPrice);
+        Assert.Equal(100m, filters.MaxPrice);
+    }
+
+    [Theory]
+    [InlineData("laptops between £500 and £1,200", 500, 1200)]
+    [InlineData("a jacket between 80 and 20", 20, 80)]
+    [InlineData("headphones over $49.99", 49.99, null)]
+    [InlineData("at least 20 but no more than 35 for a belt", 20, 35)]
+    public void Infer_ReadsPriceRanges(string question, double? minPrice, double? maxPrice)
+    {
+        // Act
+        var filters = ProductQueryFilters.Infer(question);
+
+        // Assert
+        Assert.Equal((decimal?)minPrice, filters.MinPrice);
+        Assert.Equal((decimal?)maxPrice, filters.MaxPrice);
+    }
+
+    [Fact]
+    public void Infer_WithSeveralCategories_LeavesCategoryUnset()
+    {
+        // Act
+        var filters = ProductQueryFilters.Infer("I need shoes and a bag for a wedding");
+
+        // Assert
+        Assert.Null(filters.Category);
+    }
+
+    [Theory]
+    [InlineData("What do you recommend for a gift?")]
+    [InlineData("I'm working from home this week")]
+    [InlineData(null)]
+    public void Infer_WithoutFilters_ReturnsEmpty(string? question)
+    {
+        Assert.True(ProductQueryFilters.Infer(question).IsEmpty);
+    }
+}
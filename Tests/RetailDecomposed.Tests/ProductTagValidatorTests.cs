@@ -0,0 +1,127 @@
+using Moq;
+using RetailDecomposed.Models;
+using RetailDecomposed.Services;
+using Xunit;
+
+namespace RetailDecomposed.Tests;
+
+/// <summary>
+/// Tests for the catalog checks applied to copilot responses before they are rendered.
+/// The products API is mocked, so no backend services or Azure AI are needed.
+/// </summary>
+public class ProductTagValidatorTests
+{
+    private readonly Mock<IProductsApiClient> _productsMock = new();
+    private readonly ProductTagValidator _validator;
+
+    public ProductTagValidatorTests()
+    {
+        _productsMock.Setup(p => p.GetProductsAsync(It.IsAny<CancellationToken>())).ReturnsAsync(new List<Product>
+        {
+            new() { Id = 1, Sku = "RUN-001", Name = "Running Shoes", Price = 89.99m, IsActive = true },
+            new() { Id = 2, Sku = "TENT-001", Name = "Camping Tent", Price = 199.99m, IsActive = true },
+            new() { Id = 3, Sku = "RUN-002", Name = "Trail Running Shoes", Price = 119.99m, IsActive = false }
+        });
+
+        _validator = new ProductTagValidator(_productsMock.Object);
+    }
+
+    [Fact]
+    public async Task ValidateAsync_CorrectsWrongNamesAndPrices()
+    {
+        // Act
+        var result = await _validator.ValidateAsync("[PRODUCT:1:Runing Shoe] [ADD_TO_CART:1:Runing Shoe] for £79.99");
+
+        // Assert
+        Assert.Equal("[PRODUCT:1:Running Shoes] [ADD_TO_CART:1:Running Shoes] for £89.99", result.Content);
+        Assert.Equal(2, result.TagCount);
+        Assert.Equal(2, result.CorrectedNames);
+        Assert.Equal(1, result.CorrectedPrices);
+        Assert.Equal(0, result.UnknownReferences);
+    }
+
+    [Fact]
+    public async Task ValidateAsync_UnknownProduct_MarksTheMentionAndRemovesItsButton()
+    {
+        // Act
+        var result = await _validator.ValidateAsync("Try the [PRODUCT:999:Hover Board] [ADD_TO_CART:999:Hover Board] today.");
+
+        // Assert
+        Assert.Equal("Try the Hover Board (not available) today.", result.Content);
+        Assert.Equal(2, result.UnknownReferences);
+        Assert.Equal(new[] { 999 }, result.UnknownProductIds);
+    }
+
+    [Fact]
+    public async Task ValidateAsync_ListTag_KeepsOnlyActiveProducts()
+    {
+        // Act - product 3 exists but is no longer sold
+        var result = await _validator.ValidateAsync("Add them all: [ADD_ALL_TO_CART:1,999,3] [ORDER_ALL:3]");
+
+        // Assert
+        Assert.Equal("Add them all: [ADD_ALL_TO_CART:1]", result.Content);
+        Assert.Equal(3, result.UnknownReferences);
+        Assert.Equal(new[] { 3, 999 }, result.UnknownProductIds);
+    }
+
+    [Fact]
+    public async Task ValidateAsync_KeepsQuantities()
+    {
+        // Act
+        var result = await _validator.ValidateAsync("[ADD_TO_CART:1:Runing Shoe:3] [ADD_ALL_TO_CART:1x3,999x2,2x2]");
+
+        // Assert
+        Assert.Equal("[ADD_TO_CART:1:Running Shoes:3] [ADD_ALL_TO_CART:1x3,2x2]", result.Content);
+        Assert.Equal(new[] { 999 }, result.UnknownProductIds);
+    }
+
+    [Fact]
+    public async Task ValidateAsync_LeavesBudgetsAndCorrectPricesAlone()
+    {
+        // Arrange
+        var text = "[PRODUCT:1:Running Shoes] fits a budget under £100\n[PRODUCT:2:Camping Tent] - £199.99";
+
+        // Act
+        var result = await _validator.ValidateAsync(text);
+
+        // Assert
+        Assert.Equal(text, result.Content);
+        Assert.Equal(0, result.CorrectedPrices);
+    }
+
+    [Fact]
+    public async Task ValidateAsync_CorrectsAPriceInBracketsAfterTheTag()
+    {
+        // Act
+        var result = await _validator.ValidateAsync("[PRODUCT:2:Camping Tent] (£189.99)");
+
+        // Assert
+        Assert.Equal("[PRODUCT:2:Camping Tent] (£199.99)", result.Content);
+        Assert.Equal(1, result.CorrectedPrices);
+    }
+
+    [Theory]
+    [InlineData("[PRODUCT:1:Running Shoes] – was £80, now £60")]
+    [InlineData("[PRODUCT:1:Running Shoes] with £5 delivery")]
+    public async Task ValidateAsync_OtherPricesOnTheLine_AreFlaggedAndLeftAlone(string text)
+    {
+        // Act
+        var result = await _validator.ValidateAsync(text);
+
+        // Assert
+        Assert.Equal(text, result.Content);
+        Assert.Equal(0, result.CorrectedPrices);
+        Assert.Equal(new[] { 1 }, result.MismatchedPriceProductIds);
+    }
+
+    [Fact]
+    public async Task ValidateAsync_TextWithoutProductTags_DoesNotLookUpTheCatalog()
+    {
+        // Act
+        var result = await _validator.ValidateAsync("Browse everything here: [NAVIGATE:/Products:All products]");
+
+        // Assert
+        Assert.Equal("Browse everything here: [NAVIGATE:/Products:All products]", result.Content);
+        _productsMock.Verify(p => p.GetProductsAsync(It.IsAny<CancellationToken>()), Times.Never);
+    }
+}
@@ -94,6 +94,22 @@ public class ProductsApiTests : IClassFixture<DecomposedWebApplicationFactory>
         Assert.Equal(HttpStatusCode.OK, response.StatusCode);
     }
 
+    [Fact]
+    public async Task GetStock_Returns_QuantityPerSku_AndNoneForUnknownSkus()
+    {
+        // Arrange
+        var client = _client.AuthenticateAsCustomer();
+
+        // Act
+        var stock = await client.GetFromJsonAsync<Dictionary<string, int>>("/api/products/stock?skus=TEST-001&skus=NOPE-999");
+
+        // Assert
+        Assert.NotNull(stock);
+        Assert.Equal(2, stock.Count);
+        Assert.Equal(1000, stock["TEST-001"]);
+        Assert.Equal(0, stock["NOPE-999"]);
+    }
+
     [Fact]
     public async Task ProductsPage_Contains_ProductList()
     {